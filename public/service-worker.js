@@ -0,0 +1,114 @@
+/* eslint-disable no-restricted-globals */
+// service-worker.js — offline support: precaches the app shell and the ONNX Runtime
+// binaries, and keeps bundled models once they have been fetched.
+//
+//   app     hashed build assets from asset-manifest.json, index.html, icons (refreshed on every
+//           page load, stale entries pruned)
+//   ort     public/ort/* at the version listed in ort/files.json
+//   models  public/models/* fetched at runtime (models can be large, so only what was used)
+
+const SCOPE = new URL(self.registration.scope).pathname; // ends with "/"
+const APP_CACHE = "app-v1";
+const ORT_CACHE = "ort-v1";
+const MODEL_CACHE = "models-v1";
+const SHELL = ["", "index.html", "manifest.json", "favicon.ico", "logo192.png", "logo512.png", "models/manifest.json"];
+
+const url = (path) => new URL(path, self.registration.scope).href;
+
+async function precacheApp() {
+  const res = await fetch(url("asset-manifest.json"), { cache: "no-store" });
+  if (!res.ok) return;
+  const { files = {} } = await res.json();
+  const wanted = new Set(
+    [...SHELL, ...Object.values(files).map((p) => p.replace(/^\//, "").replace(SCOPE.slice(1), ""))]
+      .filter((p) => !p.endsWith(".map"))
+      .map(url)
+  );
+  const cache = await caches.open(APP_CACHE);
+  const have = new Set((await cache.keys()).map((req) => req.url));
+  // The shell is re-fetched every time (it isn't hashed); hashed assets only when missing
+  await Promise.all([...wanted].map(async (href) => {
+    if (have.has(href) && /\/static\//.test(href)) return;
+    const r = await fetch(href, { cache: "no-store" });
+    if (r.ok) await cache.put(href, r);
+  }));
+  for (const href of have) if (!wanted.has(href)) await cache.delete(href);
+}
+
+async function precacheOrt() {
+  const res = await fetch(url("ort/files.json"), { cache: "no-store" });
+  if (!res.ok) return;
+  const { version, files } = await res.json();
+  const cache = await caches.open(ORT_CACHE);
+  const stamp = await cache.match(url("ort/files.json"));
+  if (stamp && (await stamp.json()).version === version) return;
+  // A different runtime version: replace every binary so JS and WASM stay in step
+  for (const req of await cache.keys()) await cache.delete(req);
+  await cache.addAll(files.map((f) => url(`ort/${f}`)));
+  await cache.put(url("ort/files.json"), new Response(JSON.stringify({ version, files }), {
+    headers: { "Content-Type": "application/json" },
+  }));
+}
+
+async function precache() {
+  await Promise.all([precacheApp(), precacheOrt()]);
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = [APP_CACHE, ORT_CACHE, MODEL_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names.filter((n) => !keep.includes(n)).map((n) => caches.delete(n))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks for a refresh after each load so new builds are cached without a new worker
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "precache") event.waitUntil(precache().catch(() => {}));
+});
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(request, { ignoreSearch: true });
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok) cache.put(request, res.clone());
+  return res;
+}
+
+async function networkFirst(request, fallback) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) (await caches.open(APP_CACHE)).put(fallback || request, res.clone());
+    return res;
+  } catch (err) {
+    const hit = await caches.match(fallback || request);
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const { origin, pathname } = new URL(request.url);
+  if (origin !== self.location.origin || !pathname.startsWith(SCOPE)) return;
+  const path = pathname.slice(SCOPE.length);
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, url("index.html")));
+  } else if (path.startsWith("ort/") && path !== "ort/files.json") {
+    event.respondWith(cacheFirst(request, ORT_CACHE));
+  } else if (path.startsWith("models/") && path !== "models/manifest.json") {
+    event.respondWith(cacheFirst(request, MODEL_CACHE));
+  } else if (path.startsWith("static/")) {
+    event.respondWith(cacheFirst(request, APP_CACHE));
+  } else {
+    event.respondWith(networkFirst(request));
+  }
+});
@@ -0,0 +1,30 @@
+// copy-ort.js — copy ONNX Runtime Web's WASM/JSEP binaries from node_modules into
+// public/ort/ so the app serves the exact runtime version its JS was built against
+// (and works offline). Runs before `npm start` and `npm run build`.
+const fs = require("fs");
+const path = require("path");
+
+const root = path.join(__dirname, "..");
+const pkgDir = path.join(root, "node_modules", "onnxruntime-web");
+const srcDir = path.join(pkgDir, "dist");
+const outDir = path.join(root, "public", "ort");
+const RUNTIME_FILE = /^ort-wasm.*\.(wasm|mjs)$/;
+
+const { version } = JSON.parse(fs.readFileSync(path.join(pkgDir, "package.json"), "utf8"));
+const files = fs.readdirSync(srcDir).filter((f) => RUNTIME_FILE.test(f)).sort();
+if (!files.length) throw new Error(`No ONNX Runtime binaries found in ${srcDir}`);
+
+fs.mkdirSync(outDir, { recursive: true });
+// Drop binaries left over from another runtime version
+for (const f of fs.readdirSync(outDir)) {
+  if (!files.includes(f)) fs.rmSync(path.join(outDir, f));
+}
+for (const f of files) {
+  const from = path.join(srcDir, f), to = path.join(outDir, f);
+  const stale = !fs.existsSync(to) || fs.statSync(to).size !== fs.statSync(from).size ||
+    fs.statSync(to).mtimeMs < fs.statSync(from).mtimeMs;
+  if (stale) fs.copyFileSync(from, to);
+}
+// The service worker precaches this list; the version lets it drop an old runtime
+fs.writeFileSync(path.join(outDir, "files.json"), JSON.stringify({ version, files }, null, 2) + "\n");
+console.log(`onnxruntime-web ${version}: ${files.length} runtime files in public/ort/`);
@@ -1,29 +1,125 @@
-// OnnxObjectDetectionDemo.jsx
+// App.js — one shell for the Detection / Segmentation / Keypoints modes
 import React, { useEffect, useRef, useState } from "react";
-import * as ort from "onnxruntime-web/webgpu";
+import { MODES, DEFAULT_MODE, getMode } from "./modes";
+import { configureOrt, PROVIDERS, PROVIDER_LABELS, DEFAULT_RUNTIME } from "./model";
+import { collectDiagnostics } from "./diagnostics";
+import { createLiveStats } from "./profiler";
+import { runBenchmark, benchmarkReport } from "./benchmark";
+import { createScheduler } from "./scheduler";
+import { modelConfig, describeConfig, configWarnings } from "./modelConfig";
+import { describePrecision } from "./precision";
+import { openBackend, workerSupported } from "./backends";
+import { parseLabelFile } from "./labels";
+import { loadRegistry, defaultEntry } from "./registry";
 import {
-  letterbox,
-  toNchwFloat32,
-  nonMaxSuppression,
-  parseYolo,
-  drawDetectionsOnSource,
-} from "./utils";
+  librarySupported,
+  listModels,
+  saveModel,
+  getModel,
+  updateModel,
+  deleteModel,
+  setLastUsed,
+  lastUsedId,
+  persistedSettings,
+  formatBytes,
+} from "./modelLibrary";
+import { downloadBlob, bundleFiles, baseName } from "./files";
+import { imageFiles, runBatch, batchZip } from "./batch";
+import { createTracker, drawTrails } from "./tracker";
+import { renderAnnotatedVideo } from "./videoExport";
+import { createTimeline, classCounts, drawTimeline, timelineHit } from "./timeline";
+import { COCO_LABELS } from "./classes";
+import {
+  createZoneCounter,
+  drawZones,
+  serializeZones,
+  parseZones,
+  formatCounts,
+  averageDwellMs,
+} from "./zones";
 import "./App.css";
 
-export default function OnnxObjectDetectionDemo() {
-  const [session, setSession] = useState(null);
-  const [usingWebGPU, setUsingWebGPU] = useState(false);
+// A seek may land this far (ms) from a cached video-file frame and still redraw it
+const CACHE_TOLERANCE_MS = 250;
+
+/** Current `#/<mode>` route; updates on hashchange. */
+function useHashRoute() {
+  const read = () => window.location.hash.replace(/^#\/?/, "") || DEFAULT_MODE;
+  const [route, setRoute] = useState(read);
+  useEffect(() => {
+    const onHashChange = () => setRoute(read());
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+  return route;
+}
+
+function initialSettings() {
+  return Object.fromEntries(MODES.map((m) => [m.id, { ...m.defaults }]));
+}
+
+/** Parse a settings input back into the field's type, keeping the default on blanks. */
+function parseSetting(field, target, fallback) {
+  if (field.type === "bool") return target.checked;
+  const raw = target.value;
+  if (raw === "") return fallback;
+  if (field.type === "select") return raw;
+  return field.type === "int" ? parseInt(raw, 10) : parseFloat(raw);
+}
+
+/** Per-stage latency percentiles from profiler.summarizeTimings. */
+function LatencyTable({ title, stages }) {
+  const ms = (v) => (Number.isFinite(v) ? v.toFixed(1) : "–");
+  return (
+    <table className="data-table mt8">
+      <caption>{title}</caption>
+      <thead>
+        <tr><th>Stage</th><th>p50</th><th>p90</th><th>p99</th><th>Mean</th></tr>
+      </thead>
+      <tbody>
+        {stages.map((s) => (
+          <tr key={s.stage}>
+            <td>{s.stage}</td><td>{ms(s.p50)}</td><td>{ms(s.p90)}</td><td>{ms(s.p99)}</td><td>{ms(s.mean)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default function App() {
+  const route = useHashRoute();
+  const mode = getMode(route);
+
+  // Loaded models are kept per mode so switching tabs doesn't drop them
+  const [models, setModels] = useState({});
+  const [useWorker, setUseWorker] = useState(false);
+  const [runtime, setRuntime] = useState(DEFAULT_RUNTIME); // execution provider + WASM options for the next load
+  const [diagnostics, setDiagnostics] = useState(null);
+  const [library, setLibrary] = useState([]); // stored model records, most recent first
+  const [registry, setRegistry] = useState(null); // bundled models from the manifest (null: loading)
+  const [bundledId, setBundledId] = useState("");
+  const visitedModesRef = useRef(new Set());
+  const [settingsByMode, setSettingsByMode] = useState(initialSettings);
   const [busy, setBusy] = useState(false);
-  const [modelFileName, setModelFileName] = useState("");
   const [imageFileName, setImageFileName] = useState("");
   const [message, setMessage] = useState("");
 
-  const [inputSize, setInputSize] = useState(640);
-  const [confThreshold, setConfThreshold] = useState(0.25);
-  const [iouThreshold, setIouThreshold] = useState(0.45);
+  const model = models[mode.id] || null;
+  const backend = model?.backend || null;
+  // The provider the session really initialised on, not what the browser advertises
+  const providerName = backend ? PROVIDER_LABELS[backend.provider] : "";
+  // The form edits `settings`; pipelines also get the label set of the loaded model
+  const settings = settingsByMode[mode.id];
+  const runSettings = {
+    ...settings, labels: model?.labels || null, numClasses: model?.config.numClasses, stride: model?.config.stride ?? null,
+    kptShape: model?.config.kptShape ?? null, modelDecoder: model?.config.decoder ?? null,
+  };
+  const classNames = runSettings.labels || COCO_LABELS;
 
   // Still image & webcam
   const imgRef = useRef(null);
+  const [imageResult, setImageResult] = useState(null); // { modeId, result, width, height, settings } for exports
   const videoRef = useRef(null);  // hidden webcam video
   const canvasRef = useRef(null); // main canvas for image/webcam
 
@@ -33,6 +129,23 @@ export default function OnnxObjectDetectionDemo() {
   const [videoFileName, setVideoFileName] = useState("");
   const [fileStatus, setFileStatus] = useState("");
   const fileObjectUrlRef = useRef(null);
+  const [exportFps, setExportFps] = useState(30);
+  const [videoExport, setVideoExport] = useState(null); // { done, total } while rendering
+  const videoExportAbortRef = useRef(null);
+  // Video-file results by media time: seeking redraws from here, the strip shows class activity
+  const timelineRef = useRef(null);
+  if (!timelineRef.current) timelineRef.current = createTimeline();
+  const timelineCanvasRef = useRef(null);
+  const timelineRowsRef = useRef([]);
+  const [timelineFrames, setTimelineFrames] = useState(0);
+
+  // Batch runs over many images
+  const [batchItems, setBatchItems] = useState([]); // runBatch items + thumbUrl
+  const [batchProgress, setBatchProgress] = useState(null); // { done, total, modeId }
+  const [batchSelected, setBatchSelected] = useState(null);
+  const [batchDetailUrl, setBatchDetailUrl] = useState(null);
+  const batchAbortRef = useRef(null);
+  const batchRunning = !!batchProgress && batchProgress.done < batchProgress.total && !!batchAbortRef.current;
 
   // Webcam & file loops
   const camRunningRef = useRef(false);
@@ -40,23 +153,57 @@ export default function OnnxObjectDetectionDemo() {
   const rafRef = useRef(0);
   const fileRafRef = useRef(0);
 
-  // Throttle & offscreen capture
-  const lastInferRef = useRef(0);
-  const inferIntervalMsRef = useRef(15);
-  const frameCanvasRef = useRef(null);
+  // Live pacing: a target frame rate or latency budget, one frame in flight at a time
+  const [schedule, setSchedule] = useState({ kind: "fps", value: 30, adaptSize: false });
+  const schedulerRef = useRef(null);
+  if (!schedulerRef.current) schedulerRef.current = createScheduler();
+  const liveFrameRef = useRef(null); // { backend, done } for the frame in flight
+  const [liveRate, setLiveRate] = useState(null); // scheduler.stats() while live
+
+  // Stage timings: a rolling window during live runs, percentiles from the benchmark
+  const liveStatsRef = useRef(null);
+  if (!liveStatsRef.current) liveStatsRef.current = createLiveStats();
+  const [liveStats, setLiveStats] = useState(null); // { fps, stages } refreshed twice a second
+  const liveStatsAtRef = useRef(0);
+  const [benchRuns, setBenchRuns] = useState({ warmup: 5, iterations: 30 });
+  const [bench, setBench] = useState(null); // { done, total } while running, then { report }
+  const benchAbortRef = useRef(null);
+
+  // One tracker for live runs, reset whenever a run starts or stops. Other features can
+  // subscribe() to its start/lost/recover/end events.
+  const trackerRef = useRef(null);
+  if (!trackerRef.current) trackerRef.current = createTracker();
+  const [trackStats, setTrackStats] = useState({ active: 0, seen: 0 });
+
+  // Counting lines / polygon zones, drawn on layers above the output canvas and the video
+  const [zones, setZones] = useState([]);
+  const [zoneDraft, setZoneDraft] = useState(null); // { type, points } while placing points
+  const [zoneStats, setZoneStats] = useState({});
+  const counterRef = useRef(null);
+  if (!counterRef.current) counterRef.current = createZoneCounter();
+  const zoneCanvasRef = useRef(null);
+  const fileZoneCanvasRef = useRef(null);
+  const zoneTimeRef = useRef(0);      // timestamp of the last counted frame (ms)
+  const zoneStatsAtRef = useRef(0);   // last time the stats table was refreshed
+  const zonesRef = useRef(zones);
+  zonesRef.current = zones;
+  const zoneDraftRef = useRef(zoneDraft);
+  zoneDraftRef.current = zoneDraft;
 
-  // Single mutex for session.run()
-  const inferInFlightRef = useRef(false);
+  // Live loops read the latest mode/backend/settings from here, not from a stale closure
+  const liveRef = useRef({ mode, backend, settings: runSettings, classNames });
+  liveRef.current = { mode, backend, settings: runSettings, classNames };
+  const modelsRef = useRef(models);
+  modelsRef.current = models;
 
   useEffect(() => {
-    ort.env.wasm.wasmPaths =
-      "https://cdn.jsdelivr.net/npm/onnxruntime-web@latest/dist/";
-    if (ort.env && ort.env.webgpu) {
-      ort.env.webgpu.powerPreference = "high-performance";
-    }
+    configureOrt();
     return () => {
       stopCamera();
       stopFileDetection();
+      batchAbortRef.current?.abort();
+      videoExportAbortRef.current?.abort();
+      Object.values(modelsRef.current).forEach((m) => m?.backend.dispose());
       if (fileObjectUrlRef.current) {
         URL.revokeObjectURL(fileObjectUrlRef.current);
         fileObjectUrlRef.current = null;
@@ -65,69 +212,300 @@ export default function OnnxObjectDetectionDemo() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  useEffect(() => {
+    return trackerRef.current.subscribe(({ type, track }) => {
+      if (type === "start") setTrackStats((s) => ({ active: s.active + 1, seen: s.seen + 1 }));
+      else if (type === "end") {
+        setTrackStats((s) => ({ ...s, active: Math.max(0, s.active - 1) }));
+        counterRef.current.forget(track.id, zoneTimeRef.current);
+      }
+    });
+  }, []);
+
+  // Zone edits apply to the counter right away and repaint both layers
+  useEffect(() => {
+    counterRef.current.setZones(zones);
+    setZoneStats({ ...counterRef.current.stats() });
+    paintZones(zoneCanvasRef.current, canvasRef.current);
+    paintZones(fileZoneCanvasRef.current, fileCanvasRef.current);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [zones, zoneDraft]);
+
+  // Cached frames are only valid for the model and settings that produced them
+  const timelineKey = JSON.stringify([mode.id, model?.name, runSettings]);
+  useEffect(() => {
+    timelineRef.current.clear();
+    paintTimeline();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [timelineKey, backend]);
+
+  // Fixed-shape models can't take a smaller input, so only dynamic ones adapt
+  const canAdaptSize = !!model && !model.config.staticInput;
+  useEffect(() => {
+    schedulerRef.current.configure({
+      target: { kind: schedule.kind, value: schedule.value },
+      adaptSize: schedule.adaptSize && canAdaptSize,
+      baseSize: settings.inputSize,
+      step: model?.config.stride || 32,
+    });
+  }, [schedule, canAdaptSize, settings.inputSize, model?.config.stride]);
+
+  function resetTracks() {
+    trackerRef.current.reset();
+    setTrackStats({ active: 0, seen: 0 });
+  }
+
+  // Switching modes stops live runs
+  useEffect(() => {
+    stopCamera();
+    stopFileDetection();
+    setMessage("");
+    setFileStatus("");
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [mode.id]);
+
+  // On first visit a mode restores the stored model it used last, or loads its default
+  // bundled model (once the manifest is in)
+  useEffect(() => {
+    if (registry === null || visitedModesRef.current.has(mode.id)) return;
+    visitedModesRef.current.add(mode.id);
+    if (models[mode.id]) return;
+    const storedId = librarySupported ? lastUsedId(mode.id) : null;
+    if (storedId) restoreStoredModel(storedId);
+    else loadDefaultModel(mode);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [mode.id, registry]);
+
+  useEffect(() => {
+    refreshLibrary();
+    loadRegistry()
+      .then(setRegistry)
+      .catch((err) => {
+        console.error(err);
+        setRegistry([]);
+        setMessage(`Could not read the bundled model list: ${err?.message || err}`);
+      });
+  }, []);
+
+  // A stored model keeps the labels and thresholds it was last used with
+  const storedSettingsKey = JSON.stringify(persistedSettings(settings));
+  useEffect(() => {
+    if (!model?.libraryId) return;
+    updateModel(model.libraryId, {
+      settings: JSON.parse(storedSettingsKey),
+      labels: model.labels,
+      labelSource: model.labelSource,
+    }).catch(console.error);
+  }, [model?.libraryId, model?.labels, model?.labelSource, storedSettingsKey]);
+
   // ===== Model loading =====
-  async function loadOnnxModelFromFile(file) {
+  /**
+   * Open a model for a mode. Picked files are added to the model library.
+   * @param {{preset?: {modeId: string, labels?: string[]|null, labelSource?: string, settings?: object},
+   *   libraryId?: string}} [opts] preset: task, labels and settings that win over the model's own
+   *   (a manifest entry or a library record); libraryId: the record being restored
+   */
+  async function loadModel(forMode, spec, name, { preset = null, libraryId = null } = {}) {
     setBusy(true);
-    setMessage("Loading model…");
+    setMessage(useWorker ? "Loading model in worker…" : "Loading model…");
+    const restoring = libraryId !== null;
     try {
-      const buffer = await file.arrayBuffer();
-      const providers = ["webgpu", "wasm"];
-      const s = await ort.InferenceSession.create(buffer, {
-        executionProviders: providers,
-      });
-      setSession(s);
-      setModelFileName(file.name);
-      setUsingWebGPU(!!navigator.gpu);
+      const b = await openBackend(spec, { worker: useWorker, runtime });
+      const config = modelConfig(b.info, b.metadata);
+      // A model that declares its task is filed under that mode, whichever tab loaded it
+      const target = preset ? getMode(preset.modeId) : config.mode ? getMode(config.mode) : forMode;
+      const labels = preset?.labels ?? config.labels;
+      const labelSource = preset?.labels ? preset.labelSource : config.labels ? "model metadata" : "";
+      const modelSettings = { inputSize: config.inputSize ?? target.defaults.inputSize, ...preset?.settings };
+
+      let saveNote = "";
+      if (spec.file && !restoring && librarySupported) {
+        try {
+          const record = await saveModel({
+            name, modeId: target.id, blob: spec.file, labels, labelSource,
+            settings: { ...settingsByMode[target.id], ...modelSettings },
+          });
+          libraryId = record.id;
+        } catch (err) {
+          console.error(err);
+          saveNote = ` Not saved to the library: ${err?.message || err}`;
+        }
+      }
+      if (restoring) updateModel(libraryId, { lastUsedAt: Date.now() }).catch(console.error);
+      if (librarySupported) {
+        setLastUsed(target.id, libraryId);
+        refreshLibrary();
+      }
+
+      const previous = modelsRef.current[target.id]?.backend;
+      if (previous) retireBackend(previous);
+      setModels((prev) => ({
+        ...prev,
+        [target.id]: { backend: b, name, config, labels, labelSource, libraryId },
+      }));
+      updateSettings(target.id, modelSettings);
+      const fallback = b.attempts.length
+        ? ` ${b.attempts.map((a) => `${PROVIDER_LABELS[a.provider]} failed (${a.error})`).join("; ")}.`
+        : "";
       setMessage(
-        `Model loaded. Inputs: ${s.inputNames.join(", ")} | Outputs: ${s.outputNames.join(", ")}`
+        `Model loaded on ${PROVIDER_LABELS[b.provider]}${b.kind === "worker" ? " (worker)" : ""}.${fallback} ` +
+        `Inputs: ${b.info.inputNames.join(", ")} | Outputs: ${b.info.outputNames.join(", ")}.${saveNote}`
       );
+      if (target.id !== forMode.id) window.location.hash = `#/${target.id}`;
     } catch (err) {
       console.error(err);
       setMessage(`Failed to load model: ${err?.message || err}`);
-      setSession(null);
     } finally {
       setBusy(false);
     }
   }
 
-  // ===== Still image detection =====
-  async function runDetection() {
-    if (!session) return setMessage("Load an ONNX model first.");
+  /** Dispose a replaced backend, after the live frame still inside its infer() if there is one. */
+  function retireBackend(b) {
+    const frame = liveFrameRef.current;
+    if (frame?.backend === b) frame.done.then(() => b.dispose());
+    else b.dispose();
+  }
+
+  /** Load a manifest entry by URL, with its labels and settings. */
+  function loadBundledModel(entry) {
+    return loadModel(mode, { url: entry.url, externalData: entry.externalData }, entry.name, { preset: entry });
+  }
+
+  function loadDefaultModel(forMode) {
+    const entry = defaultEntry(registry || [], forMode.id);
+    if (entry) loadBundledModel(entry);
+  }
+
+  function onModelFileChange(e) {
+    const f = e.target.files && e.target.files[0];
+    if (f) loadModel(mode, { file: f }, f.name);
+  }
+
+  // ===== Model library (IndexedDB) =====
+  function refreshLibrary() {
+    if (!librarySupported) return;
+    listModels().then(setLibrary).catch((err) => console.error(err));
+  }
+
+  async function restoreStoredModel(id) {
+    try {
+      const stored = await getModel(id);
+      if (!stored) {
+        setLastUsed(mode.id, null);
+        refreshLibrary();
+        loadDefaultModel(mode);
+        return setMessage("The last-used model is no longer in the library.");
+      }
+      await loadModel(mode, { file: stored.blob }, stored.name, { preset: stored, libraryId: stored.id });
+    } catch (err) {
+      console.error(err);
+      setMessage(`Could not open the stored model: ${err?.message || err}`);
+    }
+  }
+
+  async function renameStoredModel(record, name) {
+    name = name.trim();
+    if (!name || name === record.name) return;
+    await updateModel(record.id, { name });
+    setModels((prev) => Object.fromEntries(
+      Object.entries(prev).map(([id, m]) => [id, m?.libraryId === record.id ? { ...m, name } : m])
+    ));
+    refreshLibrary();
+  }
+
+  async function deleteStoredModel(record) {
+    if (!window.confirm(`Delete “${record.name}” (${formatBytes(record.size)}) from this browser?`)) return;
+    try {
+      await deleteModel(record.id);
+      // A loaded copy keeps working, but its edits have nowhere to go any more
+      setModels((prev) => Object.fromEntries(
+        Object.entries(prev).map(([id, m]) => [id, m?.libraryId === record.id ? { ...m, libraryId: null } : m])
+      ));
+      setMessage(`Deleted ${record.name} from the library.`);
+    } catch (err) {
+      console.error(err);
+      setMessage(`Could not delete: ${err?.message || err}`);
+    } finally {
+      refreshLibrary();
+    }
+  }
+
+  // ===== Class labels =====
+  async function onLabelFileChange(e) {
+    const f = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!f) return;
+    if (!model) return setMessage("Load a model first; labels are kept per model.");
+    try {
+      const labels = parseLabelFile(await f.text(), f.name);
+      setModelLabels(mode.id, labels, f.name);
+      setMessage(`Loaded ${labels.length} class names from ${f.name}.`);
+    } catch (err) {
+      console.error(err);
+      setMessage(`Could not read labels: ${err?.message || err}`);
+    }
+  }
+
+  function setModelLabels(modeId, labels, labelSource) {
+    setModels((prev) => prev[modeId] ? { ...prev, [modeId]: { ...prev[modeId], labels, labelSource } } : prev);
+  }
+
+  function updateSettings(modeId, patch) {
+    setSettingsByMode((prev) => ({ ...prev, [modeId]: { ...prev[modeId], ...patch } }));
+  }
+
+  // ===== Still image =====
+  async function runOnImage() {
+    if (!backend) return setMessage("Load an ONNX model first.");
     if (camRunningRef.current || fileRunningRef.current)
       return setMessage("Stop live detection before running on a still image.");
 
     const img = imgRef.current;
-    if (!img || !img.complete) return setMessage("Choose an image first.");
+    if (!img || !img.complete || !img.naturalWidth) return setMessage("Choose an image first.");
 
     setBusy(true);
     setMessage("Running inference…");
-    inferInFlightRef.current = true;
     try {
-      const lb = letterbox(img, inputSize);
-      const inputTensor = toNchwFloat32(lb.canvas);
-      const results = await session.run({ [session.inputNames[0]]: inputTensor });
-      const out = results[session.outputNames[0]];
-      const kept = nonMaxSuppression(parseYolo(out, confThreshold, inputSize), iouThreshold);
-      drawDetectionsOnSource(kept, img, lb, canvasRef.current, { overlay: false });
-      setMessage(`Detections: ${kept.length}${usingWebGPU ? " (WebGPU)" : " (WASM)"}`);
+      const result = await backend.infer(mode, img, runSettings);
+      if (!result) return setMessage("Model is busy, try again.");
+      mode.draw(result, img, canvasRef.current, { overlay: false, settings: runSettings });
+      setImageResult({ modeId: mode.id, result, width: img.naturalWidth, height: img.naturalHeight, settings: runSettings });
+      setMessage(`${mode.summary(result)} (${providerName})`);
     } catch (err) {
       console.error(err);
       setMessage(`Inference failed: ${err?.message || err}`);
     } finally {
-      inferInFlightRef.current = false;
       setBusy(false);
     }
   }
 
-  function onModelFileChange(e) {
-    const f = e.target.files && e.target.files[0];
-    if (f) loadOnnxModelFromFile(f);
+  async function runExport(exp) {
+    setBusy(true);
+    try {
+      const entries = await exp.files(imageResult.result, {
+        fileName: imageFileName,
+        width: imageResult.width,
+        height: imageResult.height,
+        // The mask threshold is applied at export time, so the current value wins
+        settings: { ...imageResult.settings, maskThreshold: settings.maskThreshold },
+      });
+      const { blob, fileName } = bundleFiles(entries, `${baseName(imageFileName)}_${exp.id}.zip`);
+      downloadBlob(blob, fileName);
+      setMessage(`Exported ${fileName}.`);
+    } catch (err) {
+      console.error(err);
+      setMessage(`Export failed: ${err?.message || err}`);
+    } finally {
+      setBusy(false);
+    }
   }
 
   function onImageFileChange(e) {
     const f = e.target.files && e.target.files[0];
     if (!f) return;
     setImageFileName(f.name);
+    setImageResult(null);
     const url = URL.createObjectURL(f);
     const img = imgRef.current;
     img.onload = () => {
@@ -143,7 +521,163 @@ export default function OnnxObjectDetectionDemo() {
     img.src = url;
   }
 
-  // ===== Video FILE handling (overlay boxes on top of the video) =====
+  // ===== Batch (many files or a folder) =====
+  function clearBatch() {
+    setBatchItems((prev) => {
+      prev.forEach((item) => item.thumbUrl && URL.revokeObjectURL(item.thumbUrl));
+      return [];
+    });
+    selectBatchItem(null);
+    setBatchProgress(null);
+  }
+
+  async function onBatchFilesChange(e) {
+    const files = imageFiles(e.target.files);
+    e.target.value = "";
+    if (!files.length) return setMessage("No images in that selection.");
+    if (!backend) return setMessage("Load an ONNX model first.");
+    if (batchAbortRef.current) return setMessage("A batch is already running.");
+
+    clearBatch();
+    const controller = new AbortController();
+    batchAbortRef.current = controller;
+    setBatchProgress({ done: 0, total: files.length, modeId: mode.id });
+    try {
+      const items = await runBatch(files, {
+        backend,
+        mode,
+        settings: runSettings,
+        signal: controller.signal,
+        onItem(item, i) {
+          const withThumb = { ...item, thumbUrl: item.thumb ? URL.createObjectURL(item.thumb) : null };
+          setBatchItems((prev) => [...prev, withThumb]);
+          setBatchProgress((p) => p && { ...p, done: i + 1 });
+        },
+      });
+      const failed = items.filter((item) => item.error).length;
+      const outcome = `${items.length - failed} images done${failed ? `, ${failed} failed` : ""}`;
+      setMessage(controller.signal.aborted ? `Batch stopped: ${outcome}.` : `Batch done: ${outcome}.`);
+    } catch (err) {
+      console.error(err);
+      setMessage(`Batch failed: ${err?.message || err}`);
+    } finally {
+      batchAbortRef.current = null;
+      setBatchProgress((p) => p && { ...p, total: p.done });
+    }
+  }
+
+  function stopBatch() {
+    batchAbortRef.current?.abort();
+  }
+
+  function selectBatchItem(index) {
+    setBatchDetailUrl((prev) => {
+      if (prev) URL.revokeObjectURL(prev);
+      return null;
+    });
+    setBatchSelected(index);
+    const item = index === null ? null : batchItems[index];
+    if (item?.annotated) setBatchDetailUrl(URL.createObjectURL(item.annotated));
+  }
+
+  async function downloadBatch() {
+    setBusy(true);
+    try {
+      const modeId = batchProgress?.modeId || mode.id;
+      downloadBlob(await batchZip(batchItems), `batch_${modeId}_${batchItems.length}.zip`);
+    } catch (err) {
+      console.error(err);
+      setMessage(`Export failed: ${err?.message || err}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // ===== Counting zones =====
+  function paintZones(layer, frameCanvas) {
+    if (!layer || !frameCanvas) return;
+    // Nothing to show: clear once after the last zone goes, then leave the layer alone
+    if (!zonesRef.current.length && !zoneDraftRef.current) {
+      if (layer.dataset.painted) layer.getContext("2d").clearRect(0, 0, layer.width, layer.height);
+      delete layer.dataset.painted;
+      return;
+    }
+    layer.dataset.painted = "1";
+    if (layer.width !== frameCanvas.width || layer.height !== frameCanvas.height) {
+      layer.width = frameCanvas.width;
+      layer.height = frameCanvas.height;
+    }
+    drawZones(layer, zonesRef.current, counterRef.current.stats(), { draft: zoneDraftRef.current });
+  }
+
+  function startZoneDraft(type) {
+    setZoneDraft({ type, points: [] });
+    setMessage(type === "line"
+      ? "Click two points on the video or output to place the line."
+      : "Click the zone's corners, then Finish (or double-click).");
+  }
+
+  function finishZoneDraft(draft = zoneDraft) {
+    if (!draft) return;
+    const needed = draft.type === "line" ? 2 : 3;
+    if (draft.points.length < needed) return setMessage(`A ${draft.type} needs at least ${needed} points.`);
+    const n = zones.filter((z) => z.type === draft.type).length + 1;
+    const zone = {
+      id: `${draft.type}-${Date.now().toString(36)}`,
+      type: draft.type,
+      name: `${draft.type === "line" ? "Line" : "Zone"} ${n}`,
+      points: draft.points,
+      anchor: "bottom",
+    };
+    setZones((prev) => [...prev, zone]);
+    setZoneDraft(null);
+    setMessage(`${zone.name} added.`);
+  }
+
+  function onZonePointerDown(e) {
+    if (!zoneDraft) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const point = [
+      Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+      Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height)),
+    ];
+    const next = { ...zoneDraft, points: [...zoneDraft.points, point] };
+    if (next.type === "line" && next.points.length === 2) finishZoneDraft(next);
+    else setZoneDraft(next);
+  }
+
+  function onZoneDoubleClick() {
+    // The double-click's second press already placed a point on top of the last one
+    if (zoneDraft?.type === "polygon") finishZoneDraft({ ...zoneDraft, points: zoneDraft.points.slice(0, -1) });
+  }
+
+  function resetZoneCounts() {
+    counterRef.current.reset();
+    setZoneStats({ ...counterRef.current.stats() });
+    paintZones(zoneCanvasRef.current, canvasRef.current);
+    paintZones(fileZoneCanvasRef.current, fileCanvasRef.current);
+  }
+
+  function saveZones() {
+    downloadBlob(new Blob([serializeZones(zones)], { type: "application/json" }), "zones.json");
+  }
+
+  async function onZonesFileChange(e) {
+    const f = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!f) return;
+    try {
+      const loaded = parseZones(await f.text());
+      setZoneDraft(null);
+      setZones(loaded);
+      setMessage(`Loaded ${loaded.length} zone${loaded.length === 1 ? "" : "s"} from ${f.name}.`);
+    } catch (err) {
+      console.error(err);
+      setMessage(`Could not read zones: ${err?.message || err}`);
+    }
+  }
+
+  // ===== Video FILE handling (overlay results on top of the video) =====
   function onVideoFileChange(e) {
     const f = e.target.files && e.target.files[0];
     if (!f) return;
@@ -161,6 +695,7 @@ export default function OnnxObjectDetectionDemo() {
       fileObjectUrlRef.current = null;
     }
 
+    timelineRef.current.clear();
     const url = URL.createObjectURL(f);
     fileObjectUrlRef.current = url;
 
@@ -176,8 +711,14 @@ export default function OnnxObjectDetectionDemo() {
         c.width = v.videoWidth;
         c.height = v.videoHeight;
       }
+      paintTimeline();
     };
     v.onerror = () => setFileStatus("Failed to load this video.");
+    v.onseeked = () => {
+      resetTracks(); // jumps break motion continuity
+      showCachedFrame();
+    };
+    v.ontimeupdate = () => paintTimeline();
     v.onended = () => {
       setFileStatus("Video ended.");
       stopFileDetection();
@@ -185,9 +726,10 @@ export default function OnnxObjectDetectionDemo() {
   }
 
   async function startFileDetection() {
-    if (!session) return setFileStatus("Load an ONNX model first.");
+    if (!backend) return setFileStatus("Load an ONNX model first.");
     if (fileRunningRef.current) return setFileStatus("Detection already running.");
     if (camRunningRef.current) return setFileStatus("Stop the webcam first.");
+    if (videoExportAbortRef.current) return setFileStatus("Wait for the video export to finish.");
 
     const v = fileVideoRef.current;
     if (!v.src) return setFileStatus("Choose a video file first.");
@@ -195,8 +737,10 @@ export default function OnnxObjectDetectionDemo() {
       await v.play();
       if (fileRafRef.current) cancelAnimationFrame(fileRafRef.current);
       fileRunningRef.current = true;
+      resetTracks();
+      resetLiveStats();
       loopFileVideo();
-      setFileStatus("Running detection on video…");
+      setFileStatus(`Running ${mode.label.toLowerCase()} on video…`);
     } catch (err) {
       console.error(err);
       setFileStatus(`Cannot play video: ${err?.message || err}`);
@@ -204,9 +748,14 @@ export default function OnnxObjectDetectionDemo() {
   }
 
   function stopFileDetection() {
+    const wasRunning = fileRunningRef.current;
     fileRunningRef.current = false;
+    if (wasRunning) resetTracks();
     if (fileRafRef.current) cancelAnimationFrame(fileRafRef.current);
     try { fileVideoRef.current?.pause(); } catch {}
+    // Don't leave another mode's results painted over the video
+    const c = fileCanvasRef.current;
+    if (wasRunning && c) c.getContext("2d").clearRect(0, 0, c.width, c.height);
   }
 
   function loopFileVideo() {
@@ -216,18 +765,89 @@ export default function OnnxObjectDetectionDemo() {
       fileRafRef.current = requestAnimationFrame(loopFileVideo);
       return;
     }
-    const now = performance.now();
-    if (now - lastInferRef.current >= inferIntervalMsRef.current && !inferInFlightRef.current) {
-      lastInferRef.current = now;
-      // overlay=true so we draw ONLY boxes on the transparent canvas over the video
-      inferOneVideoFrame(v, fileCanvasRef.current, { overlay: true }).catch(console.error);
+    if (schedulerRef.current.due(performance.now())) {
+      // overlay=true so we draw ONLY results on the transparent canvas over the video
+      startLiveFrame(v, fileCanvasRef.current, { overlay: true });
     }
     fileRafRef.current = requestAnimationFrame(loopFileVideo);
   }
 
+  async function exportAnnotatedVideo() {
+    if (!backend) return setFileStatus("Load an ONNX model first.");
+    if (!fileObjectUrlRef.current) return setFileStatus("Choose a video file first.");
+    if (videoExportAbortRef.current) return;
+    stopFileDetection();
+
+    const controller = new AbortController();
+    videoExportAbortRef.current = controller;
+    setVideoExport({ done: 0, total: 0 });
+    setFileStatus("Rendering annotated video…");
+    try {
+      const out = await renderAnnotatedVideo(fileObjectUrlRef.current, {
+        backend,
+        mode,
+        settings: runSettings,
+        fps: exportFps,
+        zones,
+        signal: controller.signal,
+        onProgress: setVideoExport,
+      });
+      if (!out) return setFileStatus("Video export cancelled.");
+      downloadBlob(out.blob, `${baseName(videoFileName, "video")}_${mode.id}.webm`);
+      setFileStatus(`Exported ${out.frames} frames at ${exportFps} fps.`);
+    } catch (err) {
+      console.error(err);
+      setFileStatus(`Video export failed: ${err?.message || err}`);
+    } finally {
+      videoExportAbortRef.current = null;
+      setVideoExport(null);
+    }
+  }
+
+  function cancelVideoExport() {
+    videoExportAbortRef.current?.abort();
+  }
+
+  // ===== Timeline (cached video-file results) =====
+  function showCachedFrame() {
+    const v = fileVideoRef.current, c = fileCanvasRef.current;
+    if (!v || !c) return;
+    const { mode: m, settings: st } = liveRef.current;
+    const entry = timelineRef.current.at(v.currentTime * 1000, CACHE_TOLERANCE_MS);
+    if (entry) m.draw(entry.result, v, c, { overlay: true, settings: st });
+    else c.getContext("2d").clearRect(0, 0, c.width, c.height);
+    paintTimeline();
+  }
+
+  function paintTimeline() {
+    const canvas = timelineCanvasRef.current, v = fileVideoRef.current;
+    if (!canvas || !v || !fileObjectUrlRef.current) return;
+    const width = canvas.clientWidth || 600;
+    if (canvas.width !== width) canvas.width = width;
+    timelineRowsRef.current = drawTimeline(canvas, timelineRef.current, {
+      duration: (v.duration || 0) * 1000,
+      currentTime: v.currentTime * 1000,
+      labels: liveRef.current.classNames,
+    });
+    setTimelineFrames(timelineRef.current.size);
+  }
+
+  function onTimelineClick(e) {
+    const canvas = e.currentTarget, v = fileVideoRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const hit = timelineHit(canvas, timelineRowsRef.current, {
+      x: ((e.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((e.clientY - rect.top) * canvas.height) / rect.height,
+      duration: (v.duration || 0) * 1000,
+    });
+    if (!hit) return;
+    const time = timelineRef.current.nearestWith(hit.cls, hit.time);
+    if (time !== null) v.currentTime = time / 1000;
+  }
+
   // ===== Webcam handling =====
   async function startCamera() {
-    if (!session) return setMessage("Load an ONNX model first.");
+    if (!backend) return setMessage("Load an ONNX model first.");
     if (camRunningRef.current) return setMessage("Camera already running.");
     if (fileRunningRef.current) return setMessage("Stop video-file detection first.");
     if (!navigator.mediaDevices?.getUserMedia)
@@ -243,9 +863,10 @@ export default function OnnxObjectDetectionDemo() {
       await video.play();
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
       camRunningRef.current = true;
-      lastInferRef.current = 0;
+      resetTracks();
+      resetLiveStats();
       loopCamera();
-      setMessage("Camera started. Running live detection…");
+      setMessage(`Camera started. Running live ${mode.label.toLowerCase()}…`);
     } catch (err) {
       console.error(err);
       setMessage(`Camera error: ${err?.message || err}`);
@@ -253,48 +874,73 @@ export default function OnnxObjectDetectionDemo() {
   }
 
   function stopCamera() {
+    const wasRunning = camRunningRef.current;
     camRunningRef.current = false;
+    if (wasRunning) resetTracks();
     if (rafRef.current) cancelAnimationFrame(rafRef.current);
     const video = videoRef.current;
     if (video?.srcObject) {
       video.srcObject.getTracks().forEach((t) => t.stop());
       video.srcObject = null;
     }
-    setMessage("Camera stopped.");
+    if (wasRunning) setMessage("Camera stopped.");
   }
 
   // ===== Shared per-frame inference =====
+  /**
+   * Infer, track and draw one live frame.
+   * @returns {Promise<number|undefined>} the frame's latency in ms, undefined when it was dropped
+   */
   async function inferOneVideoFrame(video, targetCanvas, { overlay = false } = {}) {
-    if (inferInFlightRef.current) return;
-    inferInFlightRef.current = true;
+    const { mode: m, backend: b, settings } = liveRef.current;
+    if (!b) return;
+    // The scheduler may run a smaller input than configured to keep up
+    const inputSize = schedulerRef.current.inputSize;
+    const st = inputSize === settings.inputSize ? settings : { ...settings, inputSize };
+    const stillRunning = () => (overlay ? fileRunningRef.current : camRunningRef.current);
     try {
       // Keep target canvas pixel size equal to the source every frame (defensive)
       const sW = video.videoWidth, sH = video.videoHeight;
-      if (!sW || !sH) { inferInFlightRef.current = false; return; }
+      if (!sW || !sH) return;
       if (targetCanvas.width !== sW || targetCanvas.height !== sH) {
         targetCanvas.width = sW; targetCanvas.height = sH;
       }
 
-      let frameCanvas = frameCanvasRef.current || (frameCanvasRef.current = document.createElement("canvas"));
-      if (frameCanvas.width !== sW || frameCanvas.height !== sH) {
-        frameCanvas.width = sW; frameCanvas.height = sH;
+      const mediaTime = video.currentTime * 1000; // the frame being inferred, for the timeline
+      const start = performance.now();
+      const result = await b.infer(m, video, st);
+      // null = frame dropped; results arriving after Stop are discarded
+      if (!result || !stillRunning()) return;
+      const drawStart = performance.now();
+      const tracker = trackerRef.current;
+      // Counting needs identities, so zones switch tracking on even if the setting is off
+      const counting = zonesRef.current.length > 0;
+      const targets = m.trackTargets ? m.trackTargets(result, sW, sH) : [];
+      if ((st.track || counting) && m.trackTargets) {
+        tracker.update(targets).forEach((id, i) => {
+          if (id != null) targets[i].item.trackId = id;
+        });
       }
-      const fctx = frameCanvas.getContext("2d", { willReadFrequently: true });
-      fctx.drawImage(video, 0, 0, sW, sH);
-
-      const lb = letterbox(frameCanvas, inputSize);
-      const inputTensor = toNchwFloat32(lb.canvas);
-      const results = await session.run({ [session.inputNames[0]]: inputTensor });
-      const out = results[session.outputNames[0]];
-      const dets = nonMaxSuppression(parseYolo(out, confThreshold, inputSize), iouThreshold);
-
-      drawDetectionsOnSource(dets, video, lb, targetCanvas, { overlay });
+      if (overlay) timelineRef.current.add(mediaTime, result, classCounts(targets));
+      m.draw(result, video, targetCanvas, { overlay, settings: st });
+      if (st.track && st.trails) drawTrails(tracker.tracks(), targetCanvas);
+      const latency = recordLiveTimings(result.timings, drawStart, start);
+      if (counting && m.trackTargets) {
+        // Video files count in media time so dwell follows playback speed and pauses
+        zoneTimeRef.current = overlay ? video.currentTime * 1000 : performance.now();
+        counterRef.current.update(tracker.tracks(), { width: sW, height: sH, time: zoneTimeRef.current });
+        const now = performance.now();
+        if (now - zoneStatsAtRef.current > 250) {
+          zoneStatsAtRef.current = now;
+          setZoneStats({ ...counterRef.current.stats() });
+        }
+      }
+      paintZones(overlay ? fileZoneCanvasRef.current : zoneCanvasRef.current, targetCanvas);
+      return latency;
     } catch (err) {
       console.error(err);
       if (overlay) setFileStatus(`Video inference failed: ${err?.message || err}`);
       else setMessage(`Video inference failed: ${err?.message || err}`);
-    } finally {
-      inferInFlightRef.current = false;
     }
   }
 
@@ -305,28 +951,126 @@ export default function OnnxObjectDetectionDemo() {
       rafRef.current = requestAnimationFrame(loopCamera);
       return;
     }
-    const now = performance.now();
-    if (now - lastInferRef.current >= inferIntervalMsRef.current && !inferInFlightRef.current) {
-      lastInferRef.current = now;
-      // webcam path draws frame+boxes into its canvas (not overlay)
-      inferOneVideoFrame(video, canvasRef.current, { overlay: false }).catch(console.error);
+    if (schedulerRef.current.due(performance.now())) {
+      // webcam path draws frame+results into its canvas (not overlay)
+      startLiveFrame(video, canvasRef.current, { overlay: false });
     }
     rafRef.current = requestAnimationFrame(loopCamera);
   }
 
+  // ===== Latency (live stats and benchmark) =====
+  /**
+   * Add a live frame's stage timings; the panels are refreshed at most twice a second.
+   * @returns {number} the frame's total latency in ms
+   */
+  function recordLiveTimings(timings, drawStart, start) {
+    const end = performance.now();
+    const stats = liveStatsRef.current;
+    stats.add({ ...timings, draw: end - drawStart, total: end - start }, end);
+    if (end - liveStatsAtRef.current > 500) {
+      liveStatsAtRef.current = end;
+      setLiveStats({ fps: stats.fps(), stages: stats.summary() });
+      setLiveRate(schedulerRef.current.stats());
+    }
+    return end - start;
+  }
+
+  /** Start a frame the scheduler said is due; loadModel waits for it before disposing its backend. */
+  function startLiveFrame(video, targetCanvas, opts) {
+    const done = inferOneVideoFrame(video, targetCanvas, opts).catch(console.error).then(finishLiveFrame);
+    liveFrameRef.current = { backend: liveRef.current.backend, done };
+  }
+
+  /** Tell the scheduler a live frame is done so the next one can start. */
+  function finishLiveFrame(latency) {
+    schedulerRef.current.finish(latency ?? null, performance.now());
+  }
+
+  function resetLiveStats() {
+    liveStatsRef.current.reset();
+    schedulerRef.current.reset();
+    setLiveRate(null);
+  }
+
+  async function startBenchmark() {
+    if (!backend) return setMessage("Load an ONNX model first.");
+    if (camRunningRef.current || fileRunningRef.current)
+      return setMessage("Stop live detection before benchmarking.");
+    const img = imgRef.current;
+    if (!img || !img.complete || !img.naturalWidth) return setMessage("Choose an image first (panel 2).");
+
+    const controller = new AbortController();
+    benchAbortRef.current = controller;
+    const runSnapshot = runSettings;
+    setBench({ done: 0, total: benchRuns.warmup + benchRuns.iterations });
+    try {
+      const out = await runBenchmark({
+        backend, mode, source: img, settings: runSnapshot, ...benchRuns,
+        signal: controller.signal,
+        onProgress: (p) => setBench(p),
+      });
+      if (!out) return setBench(null);
+      setBench({
+        report: benchmarkReport({
+          kind: "benchmark", model: model.name, mode, backend, settings: runSnapshot,
+          source: { name: imageFileName, width: img.naturalWidth, height: img.naturalHeight },
+          warmup: benchRuns.warmup, ...out,
+        }),
+      });
+    } catch (err) {
+      console.error(err);
+      setBench(null);
+      setMessage(`Benchmark failed: ${err?.message || err}`);
+    } finally {
+      benchAbortRef.current = null;
+    }
+  }
+
+  function saveLatencyReport(report) {
+    const json = JSON.stringify(report, null, 2);
+    const name = `${report.kind}_${mode.id}_${baseName(report.model || "model")}_${report.provider}.json`;
+    downloadBlob(new Blob([json], { type: "application/json" }), name);
+  }
+
+  function saveLiveStats() {
+    const stats = liveStatsRef.current;
+    saveLatencyReport(benchmarkReport({
+      kind: "live", model: model?.name, mode, backend, settings: runSettings,
+      fps: stats.fps(), stages: stats.summary(),
+    }));
+  }
+
+  // ===== Execution provider diagnostics =====
+  async function runDiagnostics() {
+    setDiagnostics(null);
+    try {
+      setDiagnostics(await collectDiagnostics());
+    } catch (err) {
+      console.error(err);
+      setMessage(`Diagnostics failed: ${err?.message || err}`);
+    }
+  }
+
   // ===== UI =====
   return (
     <div className="cyber-page">
       <div className="cyber-bg" />
       <div className="container">
         <header className="header">
-          <h1 className="glitch" data-text="ONNX Object Detection">
-            ONNX Object Detection
+          <h1 className="glitch" data-text={mode.title}>
+            {mode.title}
           </h1>
           <p className="sub">
-            Load a model, detect on an image, your webcam, or a <strong>video file</strong>.
-            Inference stays on-device using <span className="chip">{usingWebGPU ? "WebGPU" : "WASM"}</span>.
+            Load a model, run it on an image, your webcam, or a <strong>video file</strong>.
+            Inference stays on-device using <span className="chip">{providerName || "WebGPU, WebNN or WASM"}</span>.
           </p>
+          <nav className="tabs">
+            {MODES.map((m) => (
+              <a key={m.id} href={`#/${m.id}`} className={`tab ${m.id === mode.id ? "is-active" : ""}`}>
+                {m.label}
+              </a>
+            ))}
+          </nav>
         </header>
 
         {/* Model / Image / Settings */}
@@ -334,58 +1078,309 @@ export default function OnnxObjectDetectionDemo() {
           <div className="panel">
             <h2 className="panel-title">1) Load ONNX model</h2>
             <input type="file" accept=".onnx" onChange={onModelFileChange} className="input" />
-            {modelFileName && <p className="badge">Loaded: {modelFileName}</p>}
-            <p className="hint">Tip: YOLOv5/v8/v11 export at {inputSize}×{inputSize}.</p>
+            {model && <p className="badge">Loaded: {model.name}</p>}
+            {model?.config && describeConfig(model.config) && (
+              <p className="hint">
+                {model.config.fromMetadata ? "From model metadata: " : "From model shapes: "}
+                {describeConfig(model.config)}
+              </p>
+            )}
+            {backend?.precision && <p className="hint">Precision: {describePrecision(backend.precision)}</p>}
+            {configWarnings(model?.config, settings, mode, model?.labels).map((w) => (
+              <p key={w} className="warn">{w}</p>
+            ))}
+            {registry?.length > 0 && (
+              <div className="row mt8">
+                <select
+                  className="input"
+                  aria-label="Bundled model"
+                  value={bundledId}
+                  onChange={(e) => setBundledId(e.target.value)}
+                >
+                  <option value="">Bundled models…</option>
+                  {registry.map((entry) => (
+                    <option key={entry.id} value={entry.id}>
+                      {entry.name} · {getMode(entry.modeId).label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  disabled={busy || !bundledId}
+                  onClick={() => loadBundledModel(registry.find((entry) => entry.id === bundledId))}
+                  className="btn"
+                >
+                  Load
+                </button>
+              </div>
+            )}
+            {registry?.find((entry) => entry.id === bundledId)?.description && (
+              <p className="hint">{registry.find((entry) => entry.id === bundledId).description}</p>
+            )}
+            {library.length > 0 && (
+              <>
+                <p className="hint">Model library (kept in this browser, with labels and settings):</p>
+                <table className="data-table">
+                  <tbody>
+                    {library.map((rec) => (
+                      <tr key={rec.id}>
+                        <td>
+                          <input
+                            key={rec.name}
+                            className="input"
+                            defaultValue={rec.name}
+                            aria-label="Model name"
+                            onBlur={(e) => renameStoredModel(rec, e.target.value).catch(console.error)}
+                            onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+                          />
+                        </td>
+                        <td>{getMode(rec.modeId).label}</td>
+                        <td>{formatBytes(rec.size)}</td>
+                        <td>
+                          {Object.values(models).some((m) => m?.libraryId === rec.id) ? (
+                            <span className="chip">In use</span>
+                          ) : (
+                            <button disabled={busy} onClick={() => restoreStoredModel(rec.id)} className="btn">
+                              Load
+                            </button>
+                          )}
+                        </td>
+                        <td>
+                          <button disabled={busy} onClick={() => deleteStoredModel(rec)} className="btn">Delete</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+            <label className="label">
+              <span>
+                <input
+                  type="checkbox"
+                  checked={useWorker}
+                  disabled={!workerSupported}
+                  onChange={(e)=>setUseWorker(e.target.checked)}
+                />{" "}
+                Run inference in a Web Worker
+              </span>
+            </label>
+            <p className="hint">
+              {workerSupported
+                ? "Applies to the next model you load; keeps the page responsive with heavy models."
+                : "Web Workers with OffscreenCanvas aren’t available in this browser."}
+            </p>
+            <div className="row">
+              <label className="label">
+                <span>Execution provider</span>
+                <select
+                  className="input"
+                  value={runtime.provider}
+                  onChange={(e) => setRuntime((r) => ({ ...r, provider: e.target.value }))}
+                >
+                  {PROVIDERS.map((p) => <option key={p.id} value={p.id}>{p.label}</option>)}
+                </select>
+              </label>
+              <label className="label">
+                <span>WASM threads (0 = auto)</span>
+                <input
+                  type="number"
+                  min={0}
+                  max={16}
+                  value={runtime.numThreads}
+                  onChange={(e) => setRuntime((r) => ({ ...r, numThreads: Math.max(0, parseInt(e.target.value, 10) || 0) }))}
+                  className="input"
+                />
+              </label>
+              <label className="label">
+                <span>WASM SIMD</span>
+                <select
+                  className="input"
+                  value={runtime.simd}
+                  onChange={(e) => setRuntime((r) => ({ ...r, simd: e.target.value }))}
+                >
+                  <option value="fixed">SIMD128</option>
+                  <option value="relaxed">Relaxed SIMD</option>
+                </select>
+              </label>
+            </div>
+            <label className="label">
+              <span>
+                <input
+                  type="checkbox"
+                  checked={runtime.gpuPreprocess}
+                  onChange={(e) => setRuntime((r) => ({ ...r, gpuPreprocess: e.target.checked }))}
+                />{" "}
+                Letterbox and normalize frames on the GPU (WebGPU)
+              </span>
+            </label>
+            <label className="label">
+              <span>
+                <input
+                  type="checkbox"
+                  checked={runtime.gpuOutputs}
+                  onChange={(e) => setRuntime((r) => ({ ...r, gpuOutputs: e.target.checked }))}
+                />{" "}
+                Keep outputs on the GPU and read back only detections (WebGPU)
+              </span>
+            </label>
+            <p className="hint">
+              Applies to the next model you load. Failed providers fall back to WASM; thread and SIMD
+              choices only take effect before the first WASM session of the page (or worker). The GPU
+              options are ignored on WASM and WebNN.
+            </p>
+            <p className="hint">{mode.hint}</p>
           </div>
 
           <div className="panel">
             <h2 className="panel-title">2) Run on image</h2>
             <input type="file" accept="image/*" onChange={onImageFileChange} className="input" />
             {imageFileName && <p className="badge">Selected: {imageFileName}</p>}
-            <button disabled={busy} onClick={runDetection} className={`btn btn-primary ${busy ? "is-busy" : ""}`}>
-              {busy ? "Working…" : "Detect on image"}
+            <button disabled={busy} onClick={runOnImage} className={`btn btn-primary ${busy ? "is-busy" : ""}`}>
+              {busy ? "Working…" : `Run ${mode.label.toLowerCase()}`}
             </button>
+            {mode.exports && imageResult?.modeId === mode.id && (
+              <>
+                <p className="hint">Download results (original image coordinates):</p>
+                <div className="row">
+                  {mode.exports.map((exp) => (
+                    <button key={exp.id} disabled={busy} onClick={() => runExport(exp)} className="btn">
+                      {exp.label}
+                    </button>
+                  ))}
+                </div>
+              </>
+            )}
           </div>
 
           <div className="panel">
             <h2 className="panel-title">Settings</h2>
+            {mode.settings.map((field) =>
+              field.type === "bool" ? (
+                <label key={field.key} className="label">
+                  <span>
+                    <input
+                      type="checkbox"
+                      checked={!!settings[field.key]}
+                      onChange={(e)=>updateSettings(mode.id, { [field.key]: e.target.checked })}
+                    />{" "}
+                    {field.label}
+                  </span>
+                </label>
+              ) : field.type === "select" ? (
+                <label key={field.key} className="label">
+                  <span>{field.label}</span>
+                  <select
+                    value={settings[field.key]}
+                    onChange={(e)=>updateSettings(mode.id, {
+                      [field.key]: parseSetting(field, e.target, mode.defaults[field.key]),
+                    })}
+                    className="input"
+                  >
+                    {field.options.map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+              ) : (
+                <label key={field.key} className="label">
+                  <span>{field.label}</span>
+                  <input
+                    type="number"
+                    step={field.step}
+                    min={field.min}
+                    max={field.max}
+                    value={settings[field.key]}
+                    onChange={(e)=>updateSettings(mode.id, {
+                      [field.key]: parseSetting(field, e.target, mode.defaults[field.key]),
+                    })}
+                    className="input"
+                  />
+                </label>
+              )
+            )}
+            {model?.config.staticInput && mode.settings.some((f) => f.key === "letterbox") && (
+              <p className="hint">
+                The model's input is fixed at {model.config.inputHW[1]}×{model.config.inputHW[0]}; frames are
+                letterboxed to that whatever the input size.
+              </p>
+            )}
             <label className="label">
-              <span>Input size</span>
-              <input
-                type="number"
-                value={inputSize}
-                onChange={(e)=>setInputSize(parseInt(e.target.value || "640", 10))}
-                className="input"
-              />
-            </label>
-            <label className="label">
-              <span>Confidence threshold</span>
+              <span>Class labels (names.txt, data.yaml, labels.json)</span>
               <input
-                type="number"
-                step="0.01"
-                min="0"
-                max="1"
-                value={confThreshold}
-                onChange={(e)=>setConfThreshold(parseFloat(e.target.value || "0.25"))}
+                type="file"
+                accept=".txt,.names,.yaml,.yml,.json"
+                onChange={onLabelFileChange}
                 className="input"
               />
             </label>
+            {model?.labels && (
+              <p className="hint">
+                {model.labels.length} names from {model.labelSource}
+                {model.labelSource !== "model metadata" && (
+                  <>
+                    {" "}
+                    <button
+                      onClick={() => setModelLabels(mode.id, model.config.labels, model.config.labels ? "model metadata" : "")}
+                      className="btn"
+                    >
+                      Reset
+                    </button>
+                  </>
+                )}
+              </p>
+            )}
+            {settings.track && (
+              <p className="hint">Tracks: {trackStats.active} active · {trackStats.seen} seen this run</p>
+            )}
+            <div className="row">
+              <label className="label">
+                <span>Live target</span>
+                <select
+                  className="input"
+                  value={schedule.kind}
+                  onChange={(e) => {
+                    const kind = e.target.value;
+                    setSchedule((s) => ({ ...s, kind, value: kind === "fps" ? 30 : 100 }));
+                  }}
+                >
+                  <option value="fps">Frame rate (FPS)</option>
+                  <option value="latency">Latency budget (ms)</option>
+                </select>
+              </label>
+              <label className="label">
+                <span>{schedule.kind === "fps" ? "FPS" : "ms per frame"}</span>
+                <input
+                  type="number"
+                  min={1}
+                  step={schedule.kind === "fps" ? 1 : 10}
+                  value={schedule.value}
+                  onChange={(e) => setSchedule((s) => ({ ...s, value: Math.max(1, parseFloat(e.target.value) || 1) }))}
+                  className="input"
+                />
+              </label>
+            </div>
             <label className="label">
-              <span>IoU threshold (NMS)</span>
-              <input
-                type="number"
-                step="0.01"
-                min="0"
-                max="1"
-                value={iouThreshold}
-                onChange={(e)=>setIouThreshold(parseFloat(e.target.value || "0.45"))}
-                className="input"
-              />
+              <span>
+                <input
+                  type="checkbox"
+                  checked={schedule.adaptSize}
+                  disabled={!!model && !canAdaptSize}
+                  onChange={(e) => setSchedule((s) => ({ ...s, adaptSize: e.target.checked }))}
+                />{" "}
+                Lower the input size when frames take too long (live)
+              </span>
             </label>
+            {model && !canAdaptSize && <p className="hint">This model has a fixed input size.</p>}
+            {liveRate && (
+              <p className="hint">
+                Effective: {liveRate.fps.toFixed(1)} FPS · {liveRate.latencyMs.toFixed(0)} ms per frame
+                {liveRate.reduced ? ` · input reduced to ${liveRate.inputSize}` : ""}
+              </p>
+            )}
             <p className="hint">
               Backend:{" "}
-              <span className={`chip ${usingWebGPU ? "chip-cyan" : "chip-pink"}`}>
-                {usingWebGPU ? "WebGPU" : "WASM"}
+              <span className={`chip ${backend?.provider === "wasm" ? "chip-pink" : "chip-cyan"}`}>
+                {providerName || "no model"}
               </span>
             </p>
           </div>
@@ -409,21 +1404,58 @@ export default function OnnxObjectDetectionDemo() {
               <span className="status">{message}</span>
             </div>
             <div className="canvas-wrap">
-              <canvas ref={canvasRef} className="canvas" />
+              <div className="zone-stack">
+                <canvas ref={canvasRef} className="canvas" />
+                <canvas
+                  ref={zoneCanvasRef}
+                  className={`zone-layer ${zoneDraft ? "is-editing" : ""}`}
+                  onPointerDown={onZonePointerDown}
+                  onDoubleClick={onZoneDoubleClick}
+                />
+              </div>
               <img ref={imgRef} alt="uploaded" className="hidden" />
             </div>
           </div>
         </section>
 
-        {/* Video FILE mode with overlayed boxes */}
+        {/* Video FILE mode with overlayed results */}
         <section className="panel panel-video">
           <h2 className="panel-title">4) Video file (overlay)</h2>
           <div className="row">
             <input className="input" type="file" accept="video/*" onChange={onVideoFileChange} />
-            <button onClick={startFileDetection} className="btn btn-primary">Start detection</button>
+            <button onClick={startFileDetection} className="btn btn-primary">Start</button>
             <button onClick={stopFileDetection} className="btn">Stop</button>
           </div>
           {videoFileName && <p className="badge">Selected: {videoFileName}</p>}
+          <div className="row mt8">
+            <label className="label">
+              <span>Export FPS</span>
+              <input
+                className="input"
+                type="number"
+                min={1}
+                max={60}
+                step={1}
+                value={exportFps}
+                disabled={!!videoExport}
+                onChange={(e) => setExportFps(Math.min(60, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+              />
+            </label>
+            {videoExport ? (
+              <>
+                <progress className="progress" value={videoExport.done} max={videoExport.total || 1} />
+                <span className="status">{videoExport.done} / {videoExport.total || "…"}</span>
+                <button onClick={cancelVideoExport} className="btn">Cancel</button>
+              </>
+            ) : (
+              <button disabled={!backend || !videoFileName} onClick={exportAnnotatedVideo} className="btn">
+                Export annotated video
+              </button>
+            )}
+          </div>
+          <p className="hint">
+            The export runs the model on every frame, however slow, and saves a WebM without audio.
+          </p>
 
           <div className="video-overlay" /* container must be position:relative in CSS */>
             <video
@@ -440,15 +1472,268 @@ export default function OnnxObjectDetectionDemo() {
               className="overlay-canvas"
               style={{ zIndex: 2, pointerEvents: "none" }}
             />
+            {/* Zones sit on their own layer; it only takes clicks while a zone is being drawn */}
+            <canvas
+              ref={fileZoneCanvasRef}
+              className={`zone-layer ${zoneDraft ? "is-editing" : ""}`}
+              style={{ zIndex: 3 }}
+              onPointerDown={onZonePointerDown}
+              onDoubleClick={onZoneDoubleClick}
+            />
           </div>
 
+          {videoFileName && (
+            <>
+              <canvas ref={timelineCanvasRef} className="timeline mt8" onClick={onTimelineClick} />
+              <p className="hint">
+                {timelineFrames} frames cached · seeking redraws them instantly. Click a class row to jump to
+                its nearest appearance.
+              </p>
+            </>
+          )}
+
           <div className="status mt8">{fileStatus}</div>
         </section>
 
+        {/* Batch: many images or a folder */}
+        <section className="panel panel-video">
+          <h2 className="panel-title">5) Batch (files or folder)</h2>
+          <div className="row">
+            <label className="label">
+              <span>Images</span>
+              <input className="input" type="file" accept="image/*" multiple onChange={onBatchFilesChange} />
+            </label>
+            <label className="label">
+              <span>Folder</span>
+              <input className="input" type="file" webkitdirectory="" directory="" onChange={onBatchFilesChange} />
+            </label>
+          </div>
+          {batchProgress && (
+            <div className="row mt8">
+              <progress className="progress" value={batchProgress.done} max={batchProgress.total || 1} />
+              <span className="status">
+                {batchProgress.done} / {batchProgress.total}
+                {batchItems.some((item) => item.error) && ` · ${batchItems.filter((item) => item.error).length} failed`}
+              </span>
+              {batchRunning ? (
+                <button onClick={stopBatch} className="btn">Stop</button>
+              ) : (
+                <>
+                  <button disabled={busy || !batchItems.length} onClick={downloadBatch} className="btn btn-primary">
+                    Download ZIP
+                  </button>
+                  <button onClick={clearBatch} className="btn">Clear</button>
+                </>
+              )}
+            </div>
+          )}
+          {batchItems.length > 0 && (
+            <div className="gallery mt8">
+              {batchItems.map((item, i) => (
+                <button
+                  key={`${i}:${item.path}`}
+                  className={`gallery-item ${i === batchSelected ? "is-active" : ""}`}
+                  onClick={() => selectBatchItem(i === batchSelected ? null : i)}
+                  title={item.path}
+                >
+                  {item.thumbUrl ? <img src={item.thumbUrl} alt={item.path} /> : <span className="gallery-error">!</span>}
+                  <span className="gallery-caption">{item.error ? "Failed" : item.summary}</span>
+                </button>
+              ))}
+            </div>
+          )}
+          {batchSelected !== null && batchItems[batchSelected] && (
+            <div className="mt8">
+              <p className="badge">
+                {batchItems[batchSelected].path}
+                {batchItems[batchSelected].width &&
+                  ` · ${batchItems[batchSelected].width}×${batchItems[batchSelected].height}`}
+                {" · "}
+                {batchItems[batchSelected].error || batchItems[batchSelected].summary}
+              </p>
+              {batchDetailUrl && (
+                <div className="canvas-wrap">
+                  <img className="canvas" src={batchDetailUrl} alt={batchItems[batchSelected].path} />
+                </div>
+              )}
+            </div>
+          )}
+        </section>
+
+        {/* Counting lines and zones */}
+        <section className="panel panel-video">
+          <h2 className="panel-title">6) Counting lines &amp; zones</h2>
+          <div className="row">
+            <button disabled={!!zoneDraft} onClick={() => startZoneDraft("line")} className="btn">Draw line</button>
+            <button disabled={!!zoneDraft} onClick={() => startZoneDraft("polygon")} className="btn">Draw zone</button>
+            {zoneDraft?.type === "polygon" && (
+              <button onClick={() => finishZoneDraft()} className="btn btn-primary">Finish zone</button>
+            )}
+            {zoneDraft && <button onClick={() => setZoneDraft(null)} className="btn">Cancel</button>}
+            <button disabled={!zones.length} onClick={resetZoneCounts} className="btn">Reset counts</button>
+            <button disabled={!zones.length} onClick={saveZones} className="btn">Save JSON</button>
+            <label className="btn">
+              Load JSON
+              <input type="file" accept=".json,application/json" onChange={onZonesFileChange} className="hidden" />
+            </label>
+          </div>
+          <p className="hint">
+            Draw on the video or the output canvas. Objects are counted at the bottom-centre of their box;
+            a line's arrow points to its “in” side. Counting turns tracking on while zones exist.
+          </p>
+          {zones.length > 0 && (
+            <table className="data-table mt8">
+              <thead>
+                <tr><th>Name</th><th>In</th><th>Out</th><th>Inside</th><th>Avg dwell</th><th /></tr>
+              </thead>
+              <tbody>
+                {zones.map((z) => {
+                  const s = zoneStats[z.id];
+                  return (
+                    <tr key={z.id}>
+                      <td>{z.name}</td>
+                      <td>{s ? formatCounts(s.in, classNames) : "0"}</td>
+                      <td>{s ? formatCounts(s.out, classNames) : "0"}</td>
+                      <td>{z.type === "polygon" && s ? s.occupancy : "–"}</td>
+                      <td>{z.type === "polygon" && s ? `${(averageDwellMs(s) / 1000).toFixed(1)} s` : "–"}</td>
+                      <td>
+                        <button onClick={() => setZones((prev) => prev.filter((p) => p.id !== z.id))} className="btn">
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </section>
+
+        {/* Execution provider diagnostics */}
+        <section className="panel panel-video">
+          <h2 className="panel-title">7) Diagnostics</h2>
+          <div className="row">
+            <button onClick={runDiagnostics} className="btn">Run diagnostics</button>
+          </div>
+          {backend && (
+            <p className="hint">
+              Loaded model runs on <span className="chip">{providerName}</span>
+              {backend.kind === "worker" ? " in a worker" : " on the main thread"}
+              {backend.gpuIo?.preprocess && " · preprocessing on the GPU"}
+              {backend.gpuIo?.outputs && " · outputs kept on the GPU"}.
+              {backend.attempts.map((a) => (
+                <span key={a.provider} className="warn"> {PROVIDER_LABELS[a.provider]} failed: {a.error}</span>
+              ))}
+            </p>
+          )}
+          {diagnostics && (
+            <table className="data-table mt8">
+              <tbody>
+                <tr><th>ONNX Runtime</th><td>{diagnostics.ortVersion || "unknown"}</td></tr>
+                <tr>
+                  <th>WebGPU</th>
+                  <td>
+                    {diagnostics.webgpu.available
+                      ? [
+                          diagnostics.webgpu.adapter.vendor,
+                          diagnostics.webgpu.adapter.architecture,
+                          diagnostics.webgpu.adapter.device,
+                          diagnostics.webgpu.adapter.description,
+                        ].filter(Boolean).join(" · ") || "adapter available"
+                      : diagnostics.webgpu.reason}
+                    {diagnostics.webgpu.fallbackAdapter && " (software fallback adapter)"}
+                  </td>
+                </tr>
+                {diagnostics.webgpu.available && (
+                  <>
+                    <tr><th>GPU features</th><td>{diagnostics.webgpu.features.join(", ") || "none"}</td></tr>
+                    <tr>
+                      <th>GPU limits</th>
+                      <td>
+                        {Object.entries(diagnostics.webgpu.limits)
+                          .map(([k, v]) => `${k} ${v >= 1024 * 1024 ? formatBytes(v) : v}`)
+                          .join(", ")}
+                      </td>
+                    </tr>
+                  </>
+                )}
+                <tr>
+                  <th>WebNN</th>
+                  <td>
+                    {diagnostics.webnn.devices
+                      ? Object.entries(diagnostics.webnn.devices)
+                          .map(([device, ok]) => `${device}: ${ok === true ? "yes" : ok}`)
+                          .join(" · ")
+                      : diagnostics.webnn.reason}
+                  </td>
+                </tr>
+                <tr>
+                  <th>WASM</th>
+                  <td>
+                    SIMD {diagnostics.wasm.simd ? "yes" : "no"} · relaxed SIMD {diagnostics.wasm.relaxedSimd ? "yes" : "no"}
+                    {" · "}threads {diagnostics.wasm.threads ? "yes" : "no (page isn’t cross-origin isolated)"}
+                    {" · "}{diagnostics.wasm.hardwareConcurrency} logical cores
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          )}
+        </section>
+
+        {/* Latency benchmark and live stage timings */}
+        <section className="panel panel-video">
+          <h2 className="panel-title">8) Benchmark</h2>
+          <div className="row">
+            <label className="label">
+              <span>Warm-up runs</span>
+              <input
+                type="number"
+                min={0}
+                value={benchRuns.warmup}
+                onChange={(e) => setBenchRuns((r) => ({ ...r, warmup: Math.max(0, parseInt(e.target.value, 10) || 0) }))}
+                className="input"
+              />
+            </label>
+            <label className="label">
+              <span>Timed runs</span>
+              <input
+                type="number"
+                min={1}
+                value={benchRuns.iterations}
+                onChange={(e) => setBenchRuns((r) => ({ ...r, iterations: Math.max(1, parseInt(e.target.value, 10) || 1) }))}
+                className="input"
+              />
+            </label>
+          </div>
+          <div className="row">
+            {bench && !bench.report ? (
+              <button onClick={() => benchAbortRef.current?.abort()} className="btn btn-secondary">
+                Cancel ({bench.done}/{bench.total})
+              </button>
+            ) : (
+              <button disabled={busy || !backend} onClick={startBenchmark} className="btn btn-primary">
+                Benchmark on image
+              </button>
+            )}
+            {bench?.report && (
+              <button onClick={() => saveLatencyReport(bench.report)} className="btn">Save benchmark JSON</button>
+            )}
+            {liveStats && <button onClick={saveLiveStats} className="btn">Save live stats JSON</button>}
+          </div>
+          <p className="hint">
+            Runs the loaded model on the image from panel 2 with the current settings. Times are in ms;
+            “total” is the whole call as the page sees it, including worker transfer.
+          </p>
+          {bench?.report && <LatencyTable title={`Benchmark · ${bench.report.iterations} runs`} stages={bench.report.stages} />}
+          {liveStats && (
+            <LatencyTable title={`Live · ${liveStats.fps.toFixed(1)} FPS (last 60 frames)`} stages={liveStats.stages} />
+          )}
+        </section>
+
         <footer className="foot">
           <p className="foot-note">
-            Parser auto-detects Ultralytics YOLO <strong>v8/v11</strong> and classic <strong>v5</strong>.
-            For smoother live runs, lower input size or raise the throttle to 150–200&nbsp;ms.
+            {mode.footer} For smoother live runs, set a live target in Settings and let the input size adapt;
+            the benchmark shows where the time goes.
           </p>
         </footer>
       </div>
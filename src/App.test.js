@@ -1,8 +1,9 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the mode tabs', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: 'Detection' })).toHaveAttribute('href', '#/detect');
+  expect(screen.getByRole('link', { name: 'Segmentation' })).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: 'Keypoints' })).toBeInTheDocument();
 });
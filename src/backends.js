@@ -0,0 +1,182 @@
+// backends.js — where a mode's pipeline runs: on the main thread or in a Web Worker.
+//
+// Both backends expose the same shape:
+//   { kind, info, provider, attempts, usingWebGPU, gpuIo, precision, metadata,
+//     infer(mode, source, settings) → Promise<result|null>, dispose() }
+// `info` carries inputNames/outputNames/input+outputMetadata, `metadata` the model's
+// metadata_props; `provider` is the execution provider the session actually runs on and
+// `attempts` the preferred ones that failed first ({ provider, error }); `gpuIo` says whether
+// frames are preprocessed on the GPU and outputs stay there ({ preprocess, outputs }) and
+// `precision` the model's input/output types (precision.js ioPrecision). infer()
+// resolves null when a frame was dropped because an earlier one was still running. A worker
+// that fails to start or crashes rejects the load or every job waiting on it.
+import { loadModelFromFile, loadModelFromUrl } from "./model";
+import { gpuIoInfo } from "./gpuPipeline";
+
+/** Worker inference needs module workers with OffscreenCanvas and ImageBitmap support. */
+export const workerSupported =
+  typeof Worker !== "undefined" &&
+  typeof OffscreenCanvas !== "undefined" &&
+  typeof createImageBitmap !== "undefined";
+
+/**
+ * Open a model on the chosen backend.
+ * @param {{file?: File, url?: string, externalData?: string[]}} spec a picked file or a served model
+ * @param {{worker?: boolean, runtime?: object}} opts runtime: provider/thread preferences (model.js DEFAULT_RUNTIME)
+ */
+export function openBackend(spec, { worker = false, runtime } = {}) {
+  return worker ? createWorkerBackend(spec, runtime) : createMainThreadBackend(spec, runtime);
+}
+
+// === Main thread ===
+async function createMainThreadBackend(spec, runtime) {
+  const { session, provider, attempts, gpu, precision, metadata } = spec.file
+    ? await loadModelFromFile(spec.file, runtime)
+    : await loadModelFromUrl(spec, runtime);
+  let busy = false;
+  let frameCanvas = null;
+
+  // Videos are copied to a reusable canvas first so getImageData reads a stable frame
+  function capture(source) {
+    if (!source.videoWidth) return source;
+    frameCanvas = frameCanvas || document.createElement("canvas");
+    if (frameCanvas.width !== source.videoWidth || frameCanvas.height !== source.videoHeight) {
+      frameCanvas.width = source.videoWidth;
+      frameCanvas.height = source.videoHeight;
+    }
+    frameCanvas.getContext("2d", { willReadFrequently: true }).drawImage(source, 0, 0);
+    return frameCanvas;
+  }
+
+  return {
+    kind: "main",
+    info: session,
+    provider,
+    attempts,
+    usingWebGPU: provider === "webgpu",
+    gpuIo: gpuIoInfo(provider, gpu, runtime),
+    precision,
+    metadata,
+    async infer(mode, source, settings) {
+      if (busy) return null; // single session.run() at a time; skip this frame
+      busy = true;
+      try {
+        // The GPU path uploads the video frame itself; no canvas copy needed
+        return await mode.infer(session, gpu?.letterbox ? source : capture(source), settings, gpu);
+      } finally {
+        busy = false;
+      }
+    },
+    dispose() {
+      gpu?.dispose();
+      return session.release();
+    },
+  };
+}
+
+// === Web Worker ===
+async function createWorkerBackend(spec, runtime) {
+  const { spawnInferenceWorker } = await import("./spawnWorker");
+  const worker = spawnInferenceWorker();
+
+  let seq = 0;
+  let inFlight = null; // job posted to the worker
+  let pending = null;  // newest frame waiting for the worker; replaced, never queued deeper
+  let onLoaded = null;
+  let dead = null; // the error that took the worker down
+
+  function send(job) {
+    inFlight = job;
+    worker.postMessage(job.msg, [job.msg.bitmap]);
+  }
+
+  function settle(msg) {
+    const job = inFlight;
+    inFlight = null;
+    if (msg.type === "result") job.resolve(msg.result);
+    else job.reject(new Error(msg.message));
+    if (pending) {
+      const next = pending;
+      pending = null;
+      send(next);
+    }
+  }
+
+  // Script failed to load, threw outside a handler or sent something unreadable: nothing will
+  // answer the load or the jobs posted so far
+  function fail(error) {
+    if (dead) return;
+    dead = error;
+    onLoaded?.({ type: "error", message: error.message });
+    for (const job of [inFlight, pending]) {
+      if (!job) continue;
+      job.msg.bitmap?.close();
+      job.reject(error);
+    }
+    inFlight = pending = null;
+    worker.terminate();
+  }
+
+  worker.onerror = (e) => {
+    e.preventDefault?.();
+    fail(new Error(`Inference worker crashed: ${e.message || "the worker script failed to load"}`));
+  };
+  worker.onmessageerror = () => fail(new Error("Inference worker sent a message that couldn't be read"));
+
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === "loaded" || (msg.type === "error" && msg.id === undefined)) {
+      onLoaded?.(msg);
+    } else if (inFlight && msg.id === inFlight.msg.id) {
+      settle(msg);
+    }
+  };
+
+  const loadSpec = spec.file
+    ? { buffer: await spec.file.arrayBuffer() }
+    : { url: new URL(spec.url, window.location.href).href, externalData: spec.externalData };
+  const loaded = await new Promise((resolve) => {
+    if (dead) return resolve({ type: "error", message: dead.message });
+    onLoaded = resolve;
+    worker.postMessage({ type: "load", spec: loadSpec, runtime }, loadSpec.buffer ? [loadSpec.buffer] : []);
+  });
+  if (loaded.type === "error") {
+    worker.terminate();
+    throw new Error(loaded.message);
+  }
+
+  return {
+    kind: "worker",
+    info: loaded.info,
+    provider: loaded.provider,
+    attempts: loaded.attempts,
+    usingWebGPU: loaded.provider === "webgpu",
+    gpuIo: loaded.gpuIo,
+    precision: loaded.precision,
+    metadata: loaded.metadata,
+    async infer(mode, source, settings) {
+      if (dead) throw dead;
+      const bitmap = await createImageBitmap(source);
+      return new Promise((resolve, reject) => {
+        if (dead) {
+          bitmap.close();
+          return reject(dead);
+        }
+        const job = { msg: { type: "infer", id: ++seq, mode: mode.id, settings, bitmap }, resolve, reject };
+        if (!inFlight) return send(job);
+        // A newer frame supersedes the one still waiting: drop it
+        if (pending) {
+          pending.msg.bitmap.close();
+          pending.resolve(null);
+        }
+        pending = job;
+      });
+    },
+    dispose() {
+      if (pending) pending.resolve(null);
+      if (inFlight) inFlight.resolve(null);
+      pending = inFlight = null;
+      worker.terminate();
+    },
+  };
+}
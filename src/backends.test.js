@@ -0,0 +1,78 @@
+import { openBackend } from "./backends";
+
+// A stand-in for the inference worker: records posts, lets the test answer or crash it
+class MockWorker {
+  constructor() {
+    this.posted = [];
+    this.terminate = jest.fn();
+    MockWorker.last = this;
+  }
+  postMessage(msg) {
+    this.posted.push(msg);
+  }
+  reply(data) {
+    this.onmessage({ data });
+  }
+  crash(message) {
+    this.onerror({ message, preventDefault() {} });
+  }
+}
+
+jest.mock("./spawnWorker", () => ({ spawnInferenceWorker: () => new MockWorker() }));
+
+const spec = { url: "/models/yolo.onnx" };
+const mode = { id: "detect" };
+const bitmap = () => ({ close: jest.fn() });
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+beforeEach(() => {
+  global.createImageBitmap = jest.fn(async () => bitmap());
+});
+
+async function loadedBackend() {
+  const opening = openBackend(spec, { worker: true });
+  await flush();
+  MockWorker.last.reply({ type: "loaded", info: {}, provider: "wasm", attempts: [] });
+  return opening;
+}
+
+test("a worker that dies while loading rejects the load", async () => {
+  const opening = openBackend(spec, { worker: true });
+  await flush();
+  MockWorker.last.crash("Failed to fetch inference.worker.js");
+  await expect(opening).rejects.toThrow(/worker crashed: Failed to fetch/);
+  expect(MockWorker.last.terminate).toHaveBeenCalled();
+});
+
+test("a worker crash rejects the running and the waiting frame, and later ones", async () => {
+  const backend = await loadedBackend();
+  const worker = MockWorker.last;
+  const running = backend.infer(mode, {}, {});
+  await flush();
+  const waiting = backend.infer(mode, {}, {});
+  await flush();
+  expect(worker.posted.filter((m) => m.type === "infer")).toHaveLength(1);
+
+  worker.crash("out of memory");
+  await expect(running).rejects.toThrow(/out of memory/);
+  await expect(waiting).rejects.toThrow(/out of memory/);
+  await expect(backend.infer(mode, {}, {})).rejects.toThrow(/out of memory/);
+  expect(worker.terminate).toHaveBeenCalledTimes(1);
+});
+
+test("an unreadable message also fails the pending job", async () => {
+  const backend = await loadedBackend();
+  const running = backend.infer(mode, {}, {});
+  await flush();
+  MockWorker.last.onmessageerror({});
+  await expect(running).rejects.toThrow(/couldn't be read/);
+});
+
+test("results still reach the job that asked for them", async () => {
+  const backend = await loadedBackend();
+  const running = backend.infer(mode, {}, {});
+  await flush();
+  const [job] = MockWorker.last.posted.filter((m) => m.type === "infer");
+  MockWorker.last.reply({ type: "result", id: job.id, result: { dets: [] } });
+  await expect(running).resolves.toEqual({ dets: [] });
+});
@@ -0,0 +1,137 @@
+// batch.js — run a mode over many image files with the loaded backend, one at a time
+import { createZip, canvasToBlob, baseName } from "./files";
+
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp|gif|bmp|avif)$/i;
+const THUMB_SIZE = 160;
+const BUSY_RETRY_MS = 20;
+
+/** Images out of a file list (a picked folder also contains everything else). */
+export function imageFiles(fileList) {
+  return Array.from(fileList || [])
+    .filter((f) => f.type.startsWith("image/") || IMAGE_EXTENSIONS.test(f.name))
+    .sort((a, b) => filePath(a).localeCompare(filePath(b), undefined, { numeric: true }));
+}
+
+/** Path inside the picked folder, or just the name for individually picked files. */
+export function filePath(file) {
+  return file.webkitRelativePath || file.name;
+}
+
+async function decodeImage(file) {
+  if (typeof createImageBitmap !== "undefined") return createImageBitmap(file);
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function dirOf(path) {
+  return path.includes("/") ? path.slice(0, path.lastIndexOf("/") + 1) : "";
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Backends drop frames while busy (e.g. a live loop is running): wait for a free slot. */
+export async function inferWhenFree(backend, mode, source, settings, signal) {
+  for (;;) {
+    const result = await backend.infer(mode, source, settings);
+    if (result || signal?.aborted) return result;
+    await sleep(BUSY_RETRY_MS);
+  }
+}
+
+async function thumbnail(canvas) {
+  const k = Math.min(1, THUMB_SIZE / Math.max(canvas.width, canvas.height));
+  const thumb = document.createElement("canvas");
+  thumb.width = Math.max(1, Math.round(canvas.width * k));
+  thumb.height = Math.max(1, Math.round(canvas.height * k));
+  thumb.getContext("2d").drawImage(canvas, 0, 0, thumb.width, thumb.height);
+  return canvasToBlob(thumb, "image/jpeg", 0.8);
+}
+
+/**
+ * Process files in order through `mode` on `backend`. Each item is reported as soon as it
+ * is done; annotated images and the mode's export files are kept for the ZIP, results aren't.
+ * @param {File[]} files
+ * @param {{backend: object, mode: object, settings: object, signal?: AbortSignal,
+ *   onItem?: (item: object, index: number) => void}} opts
+ * @returns {Promise<Array<{path: string, width?: number, height?: number, summary?: string,
+ *   annotated?: Blob, thumb?: Blob, files?: Array<{name: string, data: Uint8Array|string}>, error?: string}>>}
+ */
+export async function runBatch(files, { backend, mode, settings, signal, onItem }) {
+  const items = [];
+  for (let i = 0; i < files.length; i++) {
+    if (signal?.aborted) break;
+    const file = files[i];
+    const path = filePath(file);
+    let item, source;
+    try {
+      source = await decodeImage(file);
+      const width = source.naturalWidth || source.width;
+      const height = source.naturalHeight || source.height;
+      const result = await inferWhenFree(backend, mode, source, settings, signal);
+      if (!result) break; // aborted while waiting
+
+      const canvas = document.createElement("canvas");
+      mode.draw(result, source, canvas, { overlay: false, settings });
+
+      // Export files keep the picked folder structure
+      const exported = [];
+      for (const exp of mode.exports || []) {
+        const entries = await exp.files(result, { fileName: file.name, width, height, settings });
+        exported.push(...entries.map((e) => ({ ...e, name: dirOf(path) + e.name })));
+      }
+
+      item = {
+        path,
+        width,
+        height,
+        summary: mode.summary(result),
+        annotated: await canvasToBlob(canvas, "image/jpeg", 0.9),
+        thumb: await thumbnail(canvas),
+        files: exported,
+      };
+    } catch (err) {
+      console.error(err);
+      item = { path, error: err?.message || String(err) };
+    } finally {
+      source?.close?.();
+    }
+    items.push(item);
+    onItem?.(item, i);
+  }
+  return items;
+}
+
+/**
+ * One ZIP with annotated/<path>.jpg for every processed image and labels/<files>
+ * from the mode's exports (shared files such as classes.txt are written once).
+ * @returns {Promise<Blob>}
+ */
+export async function batchZip(items) {
+  const entries = [];
+  const seen = new Set();
+  for (const item of items) {
+    if (item.error) continue;
+    entries.push({
+      name: `annotated/${dirOf(item.path)}${baseName(item.path)}.jpg`,
+      data: new Uint8Array(await item.annotated.arrayBuffer()),
+    });
+    for (const f of item.files) {
+      const name = `labels/${f.name}`;
+      if (seen.has(name)) continue;
+      seen.add(name);
+      entries.push({ name, data: f.data });
+    }
+  }
+  const failed = items.filter((item) => item.error);
+  if (failed.length) {
+    entries.push({ name: "errors.txt", data: failed.map((item) => `${item.path}: ${item.error}`).join("\n") });
+  }
+  return new Blob([createZip(entries)], { type: "application/zip" });
+}
@@ -0,0 +1,112 @@
+import { imageFiles, filePath, runBatch, batchZip } from "./batch";
+import { createZip } from "./files";
+
+jest.mock("./files", () => ({
+  ...jest.requireActual("./files"),
+  createZip: jest.fn(() => new Uint8Array(0)),
+  canvasToBlob: jest.fn(async () => new Blob(["jpg"])),
+}));
+
+function fileIn(path, type = "") {
+  const name = path.split("/").pop();
+  const file = new File(["x"], name, { type });
+  if (path.includes("/")) Object.defineProperty(file, "webkitRelativePath", { value: path });
+  return file;
+}
+
+test("keeps images from a picked folder in natural path order", () => {
+  const files = imageFiles([
+    fileIn("shots/img10.jpg", "image/jpeg"),
+    fileIn("shots/notes.txt", "text/plain"),
+    fileIn("shots/img2.PNG"),
+    fileIn("shots/.DS_Store"),
+  ]);
+  expect(files.map(filePath)).toEqual(["shots/img2.PNG", "shots/img10.jpg"]);
+});
+
+test("uses plain names for individually picked files", () => {
+  expect(filePath(fileIn("cat.webp", "image/webp"))).toBe("cat.webp");
+  expect(imageFiles(null)).toEqual([]);
+});
+
+describe("runBatch", () => {
+  let bitmaps;
+  const mode = {
+    draw: jest.fn(),
+    summary: () => "1 object",
+    exports: [{ files: async (result, { fileName }) => [{ name: `${fileName}.txt`, data: "0 0.5 0.5 1 1" }] }],
+  };
+  const files = [fileIn("shots/a.jpg", "image/jpeg"), fileIn("shots/b.jpg", "image/jpeg"), fileIn("shots/c.jpg", "image/jpeg")];
+
+  beforeEach(() => {
+    bitmaps = [];
+    global.createImageBitmap = jest.fn(async () => {
+      const bitmap = { width: 64, height: 48, close: jest.fn() };
+      bitmaps.push(bitmap);
+      return bitmap;
+    });
+    jest.spyOn(HTMLCanvasElement.prototype, "getContext").mockReturnValue({ drawImage() {} });
+  });
+
+  afterEach(() => {
+    delete global.createImageBitmap;
+    jest.restoreAllMocks();
+  });
+
+  test("reports a failing file and carries on, closing every decoded image", async () => {
+    const backend = { infer: jest.fn(async (m, source) => {
+      if (source === bitmaps[1]) throw new Error("out of memory");
+      return { boxes: [] };
+    }) };
+    const onItem = jest.fn();
+    const items = await runBatch(files, { backend, mode, settings: {}, onItem });
+    expect(items.map((item) => item.error)).toEqual([undefined, "out of memory", undefined]);
+    expect(items[0]).toMatchObject({ path: "shots/a.jpg", width: 64, height: 48, summary: "1 object" });
+    expect(items[0].files).toEqual([{ name: "shots/a.jpg.txt", data: "0 0.5 0.5 1 1" }]);
+    expect(onItem).toHaveBeenCalledTimes(3);
+    bitmaps.forEach((bitmap) => expect(bitmap.close).toHaveBeenCalled());
+  });
+
+  test("stops between files and while waiting for a busy backend", async () => {
+    const controller = new AbortController();
+    const backend = { infer: jest.fn(async () => ({ boxes: [] })) };
+    const items = await runBatch(files, {
+      backend, mode, settings: {}, signal: controller.signal, onItem: () => controller.abort(),
+    });
+    expect(items).toHaveLength(1);
+
+    const waiting = new AbortController();
+    const busy = { infer: jest.fn(async () => {
+      if (busy.infer.mock.calls.length === 2) waiting.abort();
+      return null;
+    }) };
+    expect(await runBatch(files, { backend: busy, mode, settings: {}, signal: waiting.signal })).toEqual([]);
+    expect(busy.infer).toHaveBeenCalledTimes(2);
+    bitmaps.forEach((bitmap) => expect(bitmap.close).toHaveBeenCalled());
+  });
+
+  test("waits for a busy backend instead of skipping the file", async () => {
+    let calls = 0;
+    const backend = { infer: jest.fn(async () => (++calls < 3 ? null : { boxes: [] })) };
+    const items = await runBatch(files.slice(0, 1), { backend, mode, settings: {} });
+    expect(backend.infer).toHaveBeenCalledTimes(3);
+    expect(items).toHaveLength(1);
+    expect(items[0].error).toBeUndefined();
+  });
+});
+
+test("batchZip writes shared export files once and lists failures", async () => {
+  const annotated = { arrayBuffer: async () => new ArrayBuffer(2) };
+  const shared = { name: "shots/classes.txt", data: "person" };
+  await batchZip([
+    { path: "shots/a.jpg", annotated, files: [{ name: "shots/a.txt", data: "0" }, shared] },
+    { path: "shots/b.jpg", error: "decode failed" },
+    { path: "shots/c.jpg", annotated, files: [{ name: "shots/c.txt", data: "0" }, shared] },
+  ]);
+  const entries = createZip.mock.calls[0][0];
+  expect(entries.map((e) => e.name)).toEqual([
+    "annotated/shots/a.jpg", "labels/shots/a.txt", "labels/shots/classes.txt",
+    "annotated/shots/c.jpg", "labels/shots/c.txt", "errors.txt",
+  ]);
+  expect(entries[5].data).toBe("shots/b.jpg: decode failed");
+});
@@ -0,0 +1,57 @@
+// benchmark.js — time a mode on one image: warm-up passes, then per-stage percentiles
+import { inferWhenFree } from "./batch";
+import { now, summarizeTimings } from "./profiler";
+
+/**
+ * Run `mode` on one image `warmup + iterations` times, drawing each result like the app does,
+ * and summarise the timed passes. `total` is the caller's view (includes worker transfer).
+ * @param {{backend: object, mode: object, source: CanvasImageSource, settings: object,
+ *   warmup?: number, iterations?: number, canvas?: HTMLCanvasElement, signal?: AbortSignal,
+ *   onProgress?: (p: {done: number, total: number}) => void}} opts
+ * @returns {Promise<{stages: Array, samples: Array<Object<string, number>>}|null>} null when cancelled
+ */
+export async function runBenchmark({
+  backend, mode, source, settings, warmup = 5, iterations = 30, canvas, signal, onProgress,
+}) {
+  const target = canvas || document.createElement("canvas");
+  const samples = [];
+  const total = warmup + iterations;
+  for (let i = 0; i < total; i++) {
+    if (signal?.aborted) return null;
+    const start = now();
+    const result = await inferWhenFree(backend, mode, source, settings, signal);
+    if (!result) return null;
+    const drawStart = now();
+    mode.draw(result, source, target, { overlay: false, settings });
+    const end = now();
+    if (i >= warmup) samples.push({ ...result.timings, draw: end - drawStart, total: end - start });
+    onProgress?.({ done: i + 1, total });
+    // Let the page paint between passes so the UI shows progress
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+  return { stages: summarizeTimings(samples), samples };
+}
+
+/**
+ * A benchmark or live snapshot as a JSON-ready object, with what's needed to compare runs
+ * across models and devices.
+ */
+export function benchmarkReport({ kind, model, mode, backend, settings, source, warmup, stages, samples, fps }) {
+  const { labels, ...modelSettings } = settings; // class names only bloat the file
+  return {
+    kind,
+    createdAt: new Date().toISOString(),
+    userAgent: typeof navigator !== "undefined" ? navigator.userAgent : "",
+    model,
+    mode: mode.id,
+    provider: backend.provider,
+    thread: backend.kind,
+    settings: modelSettings,
+    source,
+    warmup,
+    iterations: samples ? samples.length : undefined,
+    fps,
+    stages,
+    samples,
+  };
+}
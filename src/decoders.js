@@ -0,0 +1,231 @@
+// decoders.js — turn a detection model's outputs into boxes: raw Ultralytics YOLO heads,
+// end-to-end exports with NMS baked in (YOLOv10, `nms=True`), RT-DETR and SSD / TF-style
+// multi-output models. Every decoder returns [{ x1, y1, x2, y2, score, cls }] in model-input
+// pixels, so NMS, drawing, tracking and exports don't care which one ran.
+import { parseYolo, scaleNormalizedBoxes } from "./utils";
+
+//
+// A decoder is
+//   { id, label,
+//     nms: whether its candidates still need non-maximum suppression,
+//     matches(heads, metadata) → boolean   (metadata: the export's metadata_props, may be empty),
+//     numClasses?(heads) → number | null   (class count implied by the shapes),
+//     decode(heads, { conf, inputWidth, inputHeight }) → detections }
+// `heads` are the outputs in session order as [{ name, dims, tensor }]; when matching against
+// session metadata there is no tensor and dims may hold symbolic names instead of numbers.
+// pickDecoder tries DECODERS in order, so new formats go before the raw YOLO fallback.
+//
+
+const MAX_E2E_ROWS = 1000; // end-to-end heads keep a few hundred boxes; raw heads have thousands of anchors
+const DEFAULT_MAX_DET = 100;
+
+const dataOf = (tensor) => tensor.cpuData || tensor.data;
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+/** Dims without a leading batch of 1. */
+function unbatched(dims = []) {
+  return dims.length > 1 && dims[0] === 1 ? dims.slice(1) : dims;
+}
+
+/** Session results as decoder heads, in output order. */
+export function outputHeads(outputNames, results) {
+  return outputNames.map((name) => ({ name, dims: results[name].dims, tensor: results[name] }));
+}
+
+/** Decoder heads from session metadata (shapes only). */
+export function metadataHeads(info) {
+  return (info?.outputMetadata || []).map((m, i) => ({
+    name: m.name ?? info.outputNames?.[i] ?? "",
+    dims: m.shape || [],
+  }));
+}
+
+// === Raw Ultralytics YOLO (v5/v8/v11) — the fallback ===
+const yolo = {
+  id: "yolo",
+  label: "YOLO (raw head)",
+  nms: true,
+  matches: (heads) => [2, 3].includes(heads[0]?.dims?.length),
+  decode(heads, { conf, inputWidth, inputHeight }) {
+    return parseYolo(heads[0].tensor, conf, inputWidth, inputHeight);
+  },
+};
+
+// === End-to-end: [1, N, 6] rows of x1, y1, x2, y2, score, class ===
+const E2E_MAX_DETS = [100, 300]; // the max_det values end-to-end exports are made with
+
+/** Whether the export metadata says NMS is part of the graph (Ultralytics `end2end`, `nms=True`). */
+function nmsInGraph(metadata = {}) {
+  return /^true$/i.test(metadata.end2end ?? "") || /^true$/i.test(metadata.nms ?? "") ||
+    /['"]nms['"]:\s*True/.test(metadata.args ?? "");
+}
+
+// A raw one- or two-class head on a small input has the same [N, 6] shape ([1, 525, 6] at
+// 160 px), so the shape alone isn't enough: the metadata, the output name or a usual max_det
+// has to point to NMS in the model.
+function e2eHead(heads, metadata) {
+  const [rows, cols] = unbatched(heads[0]?.dims);
+  if (heads.length !== 1 || cols !== 6) return null;
+  if (typeof rows === "number" && rows > MAX_E2E_ROWS) return null;
+  const evidence = nmsInGraph(metadata) || /det|nms/i.test(heads[0].name) || E2E_MAX_DETS.includes(rows);
+  return evidence ? heads[0] : null;
+}
+
+const endToEnd = {
+  id: "e2e",
+  label: "End-to-end (NMS in the model)",
+  nms: false,
+  matches: (heads, metadata) => !!e2eHead(heads, metadata),
+  decode(heads, { conf, inputWidth, inputHeight }) {
+    if (unbatched(heads[0]?.dims)[1] !== 6) throw new Error("End-to-end decoding needs an [N, 6] output");
+    const data = dataOf(heads[0].tensor);
+    const dets = [];
+    for (let i = 0; i + 6 <= data.length; i += 6) {
+      const score = data[i + 4];
+      if (score < conf) continue;
+      dets.push({ x1: data[i], y1: data[i + 1], x2: data[i + 2], y2: data[i + 3], score, cls: Math.round(data[i + 5]) });
+    }
+    return scaleNormalizedBoxes(dets, inputWidth, inputHeight);
+  },
+};
+
+// === RT-DETR: boxes [1, Q, 4] (cx, cy, w, h, normalized) + class logits [1, Q, C], or the
+// Ultralytics export's single [1, Q, 4 + C] output with the boxes first and sigmoid scores ===
+const DETR_QUERIES = 300;
+
+function detrHeads(heads, metadata = {}) {
+  if (heads.length === 1) {
+    const [q, cols] = unbatched(heads[0].dims);
+    // More queries than columns, unlike an attribute-major YOLO head ([84, 8400])
+    if (typeof q !== "number" || typeof cols !== "number" || cols < 5 || cols >= q || q > MAX_E2E_ROWS) return null;
+    // [300, 6] is also an end-to-end head: two classes need the model to say it's RT-DETR
+    const named = /rt-?detr/i.test(metadata.description ?? "");
+    return named || (q === DETR_QUERIES && cols !== 6) ? { joint: heads[0] } : null;
+  }
+  if (heads.length !== 2) return null;
+  const quad = heads.filter((h) => unbatched(h.dims).length === 2 && unbatched(h.dims)[1] === 4);
+  const boxes = heads.find((h) => /box/i.test(h.name)) || (quad.length === 1 ? quad[0] : null);
+  const scores = heads.find((h) => h !== boxes);
+  if (!boxes || !scores) return null;
+  const [q, four] = unbatched(boxes.dims);
+  const [sq, classes] = unbatched(scores.dims);
+  if (four !== 4 || q !== sq || unbatched(scores.dims).length !== 2 || classes === undefined) return null;
+  return { boxes, scores };
+}
+
+/** Per-query box and score accessors over either RT-DETR layout. */
+function detrRows({ joint, boxes, scores }) {
+  if (joint) {
+    const data = dataOf(joint.tensor);
+    const cols = unbatched(joint.dims)[1];
+    return {
+      count: data.length / cols, numClasses: cols - 4,
+      logits: false, // the Ultralytics export applies the sigmoid
+      box: (q) => data.subarray(q * cols, q * cols + 4),
+      score: (q, c) => data[q * cols + 4 + c],
+    };
+  }
+  const boxData = dataOf(boxes.tensor);
+  const scoreData = dataOf(scores.tensor);
+  const numClasses = unbatched(scores.dims)[1];
+  return {
+    count: boxData.length / 4, numClasses,
+    // Logits unless the export already applied the sigmoid
+    logits: /logit/i.test(scores.name) || scoreData.some((v) => v < 0 || v > 1),
+    box: (q) => boxData.subarray(q * 4, q * 4 + 4),
+    score: (q, c) => scoreData[q * numClasses + c],
+  };
+}
+
+const rtdetr = {
+  id: "rtdetr",
+  label: "RT-DETR (boxes + logits, or one [Q, 4 + classes] output)",
+  nms: false,
+  matches: (heads, metadata) => !!detrHeads(heads, metadata),
+  numClasses(heads, metadata) {
+    const found = detrHeads(heads, metadata);
+    const classes = found?.joint ? unbatched(found.joint.dims)[1] - 4 : unbatched(found?.scores.dims)[1];
+    return typeof classes === "number" ? classes : null;
+  },
+  decode(heads, { conf, inputWidth, inputHeight }) {
+    // A forced decoder has no metadata to go by: take a single output as the Ultralytics layout
+    const found = detrHeads(heads, { description: "RT-DETR" });
+    if (!found) {
+      throw new Error("RT-DETR decoding needs [Q, 4] boxes and [Q, classes] logits outputs, or one [Q, 4 + classes] output");
+    }
+    const rows = detrRows(found);
+    const dets = [];
+    for (let q = 0; q < rows.count; q++) {
+      let best = -Infinity, cls = -1;
+      for (let c = 0; c < rows.numClasses; c++) {
+        const s = rows.score(q, c);
+        if (s > best) { best = s; cls = c; }
+      }
+      const score = rows.logits ? sigmoid(best) : best;
+      if (score < conf) continue;
+      const [cx, cy, w, h] = rows.box(q);
+      dets.push({ x1: cx - w / 2, y1: cy - h / 2, x2: cx + w / 2, y2: cy + h / 2, score, cls });
+    }
+    return scaleNormalizedBoxes(dets, inputWidth, inputHeight);
+  },
+};
+
+// === SSD / TF Object Detection API: boxes [1, N, 4] (ymin, xmin, ymax, xmax), scores [1, N],
+// classes [1, N], optional num_detections [1]. Class ids are used as exported, so the label
+// file has to be indexed the same way (TF label maps usually start at 1). ===
+function ssdHeads(heads) {
+  const scores = heads.find((h) => /score/i.test(h.name));
+  const classes = heads.find((h) => /class/i.test(h.name));
+  const boxes = heads.find((h) => /box/i.test(h.name));
+  if (!scores || !classes || !boxes) return null;
+  const [n, four] = unbatched(boxes.dims);
+  if (four !== 4 || unbatched(scores.dims).length !== 1 || unbatched(scores.dims)[0] !== n) return null;
+  return { boxes, scores, classes, count: heads.find((h) => /num/i.test(h.name)) || null };
+}
+
+const ssd = {
+  id: "ssd",
+  label: "SSD / TF (boxes, scores, classes)",
+  nms: false,
+  matches: (heads) => !!ssdHeads(heads),
+  decode(heads, { conf, inputWidth, inputHeight }) {
+    const found = ssdHeads(heads);
+    if (!found) throw new Error("SSD decoding needs boxes [N, 4], scores [N] and classes [N] outputs");
+    const boxes = dataOf(found.boxes.tensor);
+    const scores = dataOf(found.scores.tensor);
+    const classes = dataOf(found.classes.tensor);
+    const n = found.count ? Math.min(scores.length, Number(dataOf(found.count.tensor)[0])) : scores.length;
+    const dets = [];
+    for (let i = 0; i < n; i++) {
+      if (scores[i] < conf) continue;
+      const [y1, x1, y2, x2] = boxes.subarray(i * 4, i * 4 + 4);
+      dets.push({ x1, y1, x2, y2, score: scores[i], cls: Math.round(Number(classes[i])) });
+    }
+    return scaleNormalizedBoxes(dets, inputWidth, inputHeight);
+  },
+};
+
+// RT-DETR first: its description in the metadata wins over the [300, 6] end-to-end shape of a two-class export
+export const DECODERS = [rtdetr, endToEnd, ssd, yolo];
+
+export function getDecoder(id) {
+  return DECODERS.find((d) => d.id === id) || null;
+}
+
+/**
+ * The decoder for a model's outputs: `id` when given (anything but "auto"), otherwise the first
+ * one whose matches() accepts the heads and export metadata, raw YOLO when none does.
+ */
+export function pickDecoder(heads, id = "auto", metadata = {}) {
+  if (id && id !== "auto") {
+    const decoder = getDecoder(id);
+    if (!decoder) throw new Error(`Unknown output decoder: ${id}`);
+    return decoder;
+  }
+  return DECODERS.find((d) => d.matches(heads, metadata)) || yolo;
+}
+
+/** The best `maxDet` detections, for decoders whose output is already suppressed. */
+export function keepTop(dets, maxDet = DEFAULT_MAX_DET) {
+  return [...dets].sort((a, b) => b.score - a.score).slice(0, maxDet);
+}
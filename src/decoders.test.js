@@ -0,0 +1,123 @@
+import * as ort from "onnxruntime-web/webgpu";
+import { DECODERS, pickDecoder, getDecoder, metadataHeads, outputHeads, keepTop } from "./decoders";
+import { modelConfig, describeConfig } from "./modelConfig";
+
+const head = (name, data, dims) => ({ name, dims, tensor: new ort.Tensor("float32", Float32Array.from(data), dims) });
+const shapes = (...dims) => dims.map(([name, d]) => ({ name, dims: d }));
+const decodeOpts = { conf: 0.5, inputWidth: 640, inputHeight: 384 };
+
+describe("pickDecoder", () => {
+  test("recognises each output format by names and shapes", () => {
+    expect(pickDecoder(shapes(["output0", [1, 84, 8400]])).id).toBe("yolo");
+    expect(pickDecoder(shapes(["output0", [1, 25200, 6]])).id).toBe("yolo"); // one-class v5 head
+    expect(pickDecoder(shapes(["output0", [1, 300, 6]])).id).toBe("e2e");
+    expect(pickDecoder(shapes(["output0", [1, 300, 84]])).id).toBe("rtdetr"); // Ultralytics RT-DETR
+    expect(pickDecoder(shapes(["pred_boxes", [1, 300, 4]], ["logits", [1, 300, 80]])).id).toBe("rtdetr");
+    expect(pickDecoder(shapes(["scores", [1, 300, 80]], ["boxes", [1, 300, 4]])).id).toBe("rtdetr");
+    expect(pickDecoder(shapes(
+      ["detection_boxes", [1, 100, 4]], ["detection_classes", [1, 100]],
+      ["detection_scores", [1, 100]], ["num_detections", [1]],
+    )).id).toBe("ssd");
+    expect(pickDecoder(shapes(["output0", [1, 116, 8400]], ["output1", [1, 32, 160, 160]])).id).toBe("yolo");
+    expect(pickDecoder([]).id).toBe("yolo");
+  });
+
+  test("honours a manual choice and rejects unknown ids", () => {
+    expect(pickDecoder(shapes(["output0", [1, 300, 6]]), "yolo").id).toBe("yolo");
+    expect(() => pickDecoder([], "centernet")).toThrow(/Unknown output decoder/);
+    expect(DECODERS.map((d) => d.id)).toContain(getDecoder("ssd").id);
+  });
+
+  test("a forced decoder explains outputs it can't read", () => {
+    const heads = [head("output0", new Array(84 * 100).fill(0), [1, 84, 100])];
+    expect(() => getDecoder("rtdetr").decode(heads, decodeOpts)).toThrow(/RT-DETR/);
+    expect(() => getDecoder("e2e").decode(heads, decodeOpts)).toThrow(/\[N, 6\]/);
+  });
+});
+
+test("an [N, 6] head needs evidence of NMS in the model to be read as end-to-end", () => {
+  const small = shapes(["output0", [1, 525, 6]]); // raw 2-class head at 160 px
+  expect(pickDecoder(small).id).toBe("yolo");
+  expect(pickDecoder(small, "auto", { end2end: "True" }).id).toBe("e2e");
+  expect(pickDecoder(small, "auto", { args: "{'batch': 1, 'nms': True}" }).id).toBe("e2e");
+  expect(pickDecoder(small, "auto", { args: "{'batch': 1, 'nms': False}" }).id).toBe("yolo");
+  expect(pickDecoder(shapes(["detections", [1, 525, 6]])).id).toBe("e2e");
+  expect(pickDecoder(shapes(["output0", [1, 100, 6]])).id).toBe("e2e");
+  expect(pickDecoder(shapes(["output0", [1, "num_dets", 6]]), "auto", { nms: "true" }).id).toBe("e2e");
+  expect(pickDecoder(shapes(["output0", [1, "num_dets", 6]])).id).toBe("yolo");
+});
+
+test("end-to-end rows are corner boxes with score and class", () => {
+  const dets = getDecoder("e2e").decode([head("output0", [
+    10, 20, 110, 220, 0.9, 3,
+    0, 0, 0, 0, 0, 0, // padding row
+    5, 5, 50, 50, 0.4, 1,
+  ], [1, 3, 6])], decodeOpts);
+  expect(dets).toHaveLength(1);
+  expect(dets[0]).toMatchObject({ x1: 10, y1: 20, x2: 110, y2: 220, cls: 3 });
+  expect(dets[0].score).toBeCloseTo(0.9);
+});
+
+test("RT-DETR queries take the sigmoid of the best logit and scale normalized cxcywh", () => {
+  const boxes = head("pred_boxes", [0.5, 0.5, 0.25, 0.5, 0.1, 0.1, 0.1, 0.1], [1, 2, 4]);
+  const logits = head("logits", [-3, 4, 0, -5, -6, -7], [1, 2, 3]);
+  const [d, ...rest] = getDecoder("rtdetr").decode([boxes, logits], decodeOpts);
+  expect(rest).toHaveLength(0); // the second query's best score is sigmoid(-5)
+  expect(d.cls).toBe(1);
+  expect(d.score).toBeCloseTo(1 / (1 + Math.exp(-4)));
+  expect(d).toMatchObject({ x1: 240, y1: 96, x2: 400, y2: 288 });
+  expect(getDecoder("rtdetr").numClasses([boxes, logits])).toBe(3);
+});
+
+test("the single-output Ultralytics RT-DETR export has boxes first and sigmoid scores", () => {
+  const joint = head("output0", [
+    0.5, 0.5, 0.25, 0.5, 0.1, 0.8, 0.05,
+    0.1, 0.1, 0.1, 0.1, 0.2, 0.1, 0.3,
+    ...new Array(6 * 7).fill(0),
+  ], [1, 8, 7]);
+  expect(pickDecoder([joint]).id).toBe("yolo"); // eight queries aren't an RT-DETR export…
+  expect(pickDecoder([joint], "auto", { description: "Ultralytics RT-DETR-l model" }).id).toBe("rtdetr"); // …unless it says so
+  expect(getDecoder("rtdetr").numClasses([joint], { description: "rtdetr-l" })).toBe(3);
+  const dets = getDecoder("rtdetr").decode([joint], decodeOpts);
+  expect(dets).toHaveLength(1);
+  expect(dets[0]).toMatchObject({ x1: 240, y1: 96, x2: 400, y2: 288, cls: 1 });
+  expect(dets[0].score).toBeCloseTo(0.8);
+
+  // Two classes give the end-to-end shape: only the metadata tells them apart
+  const twoClass = shapes(["output0", [1, 300, 6]]);
+  expect(pickDecoder(twoClass).id).toBe("e2e");
+  expect(pickDecoder(twoClass, "auto", { description: "Ultralytics RT-DETR-l model" }).id).toBe("rtdetr");
+});
+
+test("SSD outputs are ymin/xmin/ymax/xmax and stop at num_detections", () => {
+  const heads = outputHeads(["detection_boxes", "detection_scores", "detection_classes", "num_detections"], {
+    detection_boxes: head("", [0.25, 0.5, 0.75, 1, 0.1, 0.1, 0.2, 0.2, 0, 0, 1, 1], [1, 3, 4]).tensor,
+    detection_scores: head("", [0.8, 0.7, 0.9], [1, 3]).tensor,
+    detection_classes: head("", [18, 1, 3], [1, 3]).tensor,
+    num_detections: head("", [2], [1]).tensor,
+  });
+  const dets = getDecoder("ssd").decode(heads, decodeOpts);
+  expect(dets).toHaveLength(2);
+  expect(dets[0]).toMatchObject({ x1: 320, y1: 96, x2: 640, y2: 288, cls: 18 });
+  expect(dets[1].cls).toBe(1);
+});
+
+test("keepTop sorts by score and caps the count", () => {
+  const dets = [{ score: 0.2 }, { score: 0.9 }, { score: 0.5 }];
+  expect(keepTop(dets, 2).map((d) => d.score)).toEqual([0.9, 0.5]);
+  expect(dets[0].score).toBe(0.2);
+});
+
+test("model config reports the decoder and its class count", () => {
+  const info = {
+    outputNames: ["boxes", "logits"],
+    outputMetadata: [{ name: "boxes", shape: [1, 300, 4] }, { name: "logits", shape: [1, 300, 20] }],
+  };
+  expect(metadataHeads(info).map((h) => h.name)).toEqual(["boxes", "logits"]);
+  const config = modelConfig(info);
+  expect(config).toMatchObject({ decoder: "rtdetr", numClasses: 20 });
+  expect(describeConfig(config)).toContain("RT-DETR");
+
+  const e2e = modelConfig({ outputMetadata: [{ name: "output0", shape: [1, 300, 6] }] });
+  expect(e2e).toMatchObject({ decoder: "e2e", numClasses: null });
+});
@@ -0,0 +1,117 @@
+// detectionExport.js — detection results as COCO JSON, YOLO txt and Pascal VOC XML
+import { toSourceDetections } from "./detector";
+import { COCO_LABELS } from "./classes";
+import { baseName } from "./files";
+
+/** COCO categories for a label set; ids are class index + 1. */
+export function cocoCategories(labels) {
+  return labels.map((name, i) => ({ id: i + 1, name, supercategory: "" }));
+}
+
+const round = (v, digits = 2) => Number(v.toFixed(digits));
+
+/**
+ * Kept boxes from a detect-mode result, mapped back to source pixels through the
+ * letterbox (the same inverse drawDetectionsOnSource uses).
+ * @param {{dets: Array, lb: object}} result
+ * @param {{width: number, height: number, labels?: string[]}} opts source size
+ */
+export function sourceDetections(result, { width, height, labels }) {
+  return toSourceDetections(result.dets, result.lb, width, height, labels || COCO_LABELS);
+}
+
+/**
+ * COCO results for one image: the image entry, categories and one annotation per box.
+ * @param {Array} dets from sourceDetections
+ * @param {{fileName: string, width: number, height: number, labels?: string[]}} opts
+ */
+export function toCocoJson(dets, opts) {
+  const { fileName, width, height } = opts;
+  return {
+    info: { description: "Detections exported from the browser", date_created: new Date().toISOString() },
+    images: [{ id: 1, file_name: fileName, width, height }],
+    categories: cocoCategories(opts.labels || COCO_LABELS),
+    annotations: dets.map((d, i) => {
+      const w = d.x2 - d.x1, h = d.y2 - d.y1;
+      return {
+        id: i + 1,
+        image_id: 1,
+        category_id: d.cls + 1,
+        category_name: d.label,
+        bbox: [round(d.x1), round(d.y1), round(w), round(h)],
+        area: round(w * h),
+        iscrowd: 0,
+        score: round(d.score, 4),
+      };
+    }),
+  };
+}
+
+/**
+ * YOLO label lines: `class cx cy w h score`, coordinates normalized to the image size
+ * (the score column matches Ultralytics' save_conf output).
+ */
+export function toYoloTxt(dets, { width, height }) {
+  return dets
+    .map((d) => {
+      const cx = (d.x1 + d.x2) / 2 / width;
+      const cy = (d.y1 + d.y2) / 2 / height;
+      const w = (d.x2 - d.x1) / width;
+      const h = (d.y2 - d.y1) / height;
+      return [d.cls, ...[cx, cy, w, h].map((v) => v.toFixed(6)), d.score.toFixed(4)].join(" ");
+    })
+    .join("\n");
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" })[c]);
+}
+
+/** Pascal VOC annotation XML (1-based pixel coordinates), with the score kept per object. */
+export function toVocXml(dets, { fileName, width, height, depth = 3 }) {
+  const objects = dets.map((d) => `  <object>
+    <name>${escapeXml(d.label)}</name>
+    <pose>Unspecified</pose>
+    <truncated>0</truncated>
+    <difficult>0</difficult>
+    <score>${d.score.toFixed(4)}</score>
+    <bndbox>
+      <xmin>${Math.round(d.x1) + 1}</xmin>
+      <ymin>${Math.round(d.y1) + 1}</ymin>
+      <xmax>${Math.round(d.x2)}</xmax>
+      <ymax>${Math.round(d.y2)}</ymax>
+    </bndbox>
+  </object>`);
+  return `<annotation>
+  <filename>${escapeXml(fileName)}</filename>
+  <size>
+    <width>${width}</width>
+    <height>${height}</height>
+    <depth>${depth}</depth>
+  </size>
+  <segmented>0</segmented>
+${objects.join("\n")}
+</annotation>
+`;
+}
+
+/**
+ * Export files for one image.
+ * @param {"coco"|"yolo"|"voc"} format yolo comes with its classes.txt
+ * @param {{dets: Array, lb: object}} result detect-mode result
+ * @param {{fileName: string, width: number, height: number, labels?: string[]}} opts
+ * @returns {Array<{name: string, data: string}>}
+ */
+export function detectionFiles(format, result, opts) {
+  const dets = sourceDetections(result, opts);
+  const stem = baseName(opts.fileName);
+  if (format === "coco") return [{ name: `${stem}_coco.json`, data: JSON.stringify(toCocoJson(dets, opts), null, 2) }];
+  if (format === "yolo") {
+    return [
+      { name: `${stem}.txt`, data: toYoloTxt(dets, opts) },
+      { name: "classes.txt", data: (opts.labels || COCO_LABELS).join("\n") },
+    ];
+  }
+  if (format === "voc") return [{ name: `${stem}.xml`, data: toVocXml(dets, opts) }];
+  throw new Error(`Unknown export format: ${format}`);
+}
@@ -0,0 +1,36 @@
+import { sourceDetections, toCocoJson, toYoloTxt, toVocXml, detectionFiles } from "./detectionExport";
+
+// 1280x720 source letterboxed into 640x640: scale 0.5, 140px top padding
+const lb = { scale: 0.5, padLeft: 0, padTop: 140 };
+const result = { dets: [{ x1: 270, y1: 170, x2: 370, y2: 240, cls: 1, score: 0.87654 }], lb };
+const opts = { fileName: "street & sky.jpg", width: 1280, height: 720, labels: ["person", "bike"] };
+
+test("maps boxes back to source pixels with labels", () => {
+  expect(sourceDetections(result, opts)).toEqual([
+    { x1: 540, y1: 60, x2: 740, y2: 200, score: 0.87654, cls: 1, label: "bike" },
+  ]);
+});
+
+test("writes COCO, YOLO and VOC annotations", () => {
+  const dets = sourceDetections(result, opts);
+
+  const coco = toCocoJson(dets, opts);
+  expect(coco.images[0]).toMatchObject({ file_name: "street & sky.jpg", width: 1280, height: 720 });
+  expect(coco.categories).toHaveLength(2);
+  expect(coco.annotations[0]).toMatchObject({
+    category_id: 2, category_name: "bike", bbox: [540, 60, 200, 140], area: 28000, score: 0.8765,
+  });
+
+  expect(toYoloTxt(dets, opts)).toBe("1 0.500000 0.180556 0.156250 0.194444 0.8765");
+
+  const xml = toVocXml(dets, opts);
+  expect(xml).toContain("<filename>street &amp; sky.jpg</filename>");
+  expect(xml).toContain("<width>1280</width>");
+  expect(xml).toMatch(/<name>bike<\/name>[\s\S]*<xmin>541<\/xmin>[\s\S]*<ymax>200<\/ymax>/);
+});
+
+test("names export files after the image", () => {
+  expect(detectionFiles("coco", result, opts).map((f) => f.name)).toEqual(["street & sky_coco.json"]);
+  expect(detectionFiles("yolo", result, opts).map((f) => f.name)).toEqual(["street & sky.txt", "classes.txt"]);
+  expect(() => detectionFiles("csv", result, opts)).toThrow(/Unknown export format/);
+});
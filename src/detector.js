@@ -0,0 +1,211 @@
+// detector.js — framework-free YOLO inference (no React, no app state)
+import {
+  letterbox,
+  toNchwFloat32,
+  nonMaxSuppression,
+  parseYolo,
+  parseYoloSeg,
+  yoloSegMasks,
+  sourceSize,
+  unletterbox,
+} from "./utils";
+import { COCO_LABELS } from "./classes";
+import { createSession, loadModelFromUrl } from "./model";
+import { modelConfig, staticInputHW } from "./modelConfig";
+import { stageClock } from "./profiler";
+import { toCpu, releaseOutputs } from "./gpuPipeline";
+import { outputHeads, pickDecoder, keepTop } from "./decoders";
+import { parseYoloPose, unletterboxKeypoints } from "./pose";
+
+export const TASKS = ["detect", "segment", "pose"];
+
+const SEG_MAX_DET = 50;
+
+/**
+ * One pass of the YOLO pipeline: letterbox → tensor → session.run → decode → NMS.
+ * Results stay in letterboxed model-input pixels so they can be drawn with lb; `timings`
+ * holds each stage's duration in ms. With `gpu` (gpuPipeline.createGpuIo) the frame is
+ * letterboxed on the GPU and a detection head left there is filtered before read-back.
+ * Fixed-shape models get their own H×W; dynamic ones an inputSize square, or with `auto` the
+ * frame fitted into it and padded only up to a multiple of `stride`. Detection outputs go
+ * through the decoder named by `decoder` (decoders.js). On "auto" that is `modelDecoder`, the one
+ * modelConfig picked with the export metadata, unless it fell back to raw YOLO (symbolic metadata
+ * shapes can hide other heads); then the outputs decide. End-to-end decoders skip NMS. Pose detections carry `keypoints` (model-input pixels too).
+ * @param {ort.InferenceSession} session
+ * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageBitmap} source
+ * @param {{task?: string, inputSize: number, conf: number, iou: number, maxDet?: number, numClasses?: number,
+ *   auto?: boolean, stride?: number, decoder?: string, modelDecoder?: string, kptShape?: number[],
+ *   agnostic?: boolean, gpu?: object}} opts agnostic: NMS across classes
+ * @returns {Promise<{dets: Array, masks?: Array, lb: object, decoder?: string, timings: Object<string, number>}>}
+ */
+export async function runYolo(session, source, opts) {
+  const { task = "detect", inputSize, conf, iou, numClasses, gpu, auto = false, stride = 32, agnostic = false } = opts;
+  const fixed = staticInputHW(session);
+  const target = fixed ? { width: fixed[1], height: fixed[0] } : inputSize;
+  const geometry = fixed ? {} : { auto, stride };
+  const clock = stageClock();
+  let lb, inputTensor;
+  if (gpu?.letterbox) {
+    ({ lb, tensor: inputTensor } = gpu.letterbox(source, target, geometry));
+    clock.lap("letterbox");
+  } else {
+    lb = letterbox(source, target, geometry);
+    clock.lap("letterbox");
+    inputTensor = toNchwFloat32(lb.canvas);
+    clock.lap("toNchwFloat32");
+  }
+  const results = await session.run({ [session.inputNames[0]]: inputTensor });
+  clock.lap("session.run");
+
+  try {
+    if (task === "segment") {
+      const out = await toCpu(results[session.outputNames[0]]);
+      const protoOut = await toCpu(results[session.outputNames[1]]);
+      const candidates = parseYoloSeg(out, conf, { protoOut, numClasses });
+      clock.lap("parseYolo");
+      const dets = nonMaxSuppression(candidates, iou, opts.maxDet ?? SEG_MAX_DET, { agnostic });
+      clock.lap("nonMaxSuppression");
+      const masks = yoloSegMasks(dets, protoOut);
+      clock.lap("yoloSegMasks");
+      return { dets, masks, lb, timings: clock.timings };
+    }
+    if (task === "pose") {
+      const out = await toCpu(results[session.outputNames[0]]);
+      const candidates = parseYoloPose(out, conf, { kptShape: opts.kptShape });
+      clock.lap("parseYoloPose");
+      const dets = nonMaxSuppression(candidates, iou, opts.maxDet, { agnostic });
+      clock.lap("nonMaxSuppression");
+      return { dets, lb, timings: clock.timings };
+    }
+    const out = results[session.outputNames[0]];
+    const { width, height } = lb.canvas;
+    const heads = outputHeads(session.outputNames, results);
+    const fromConfig = (opts.decoder ?? "auto") === "auto" && opts.modelDecoder !== "yolo" ? opts.modelDecoder : null;
+    const decoder = pickDecoder(heads, fromConfig || opts.decoder);
+    let candidates;
+    if (decoder.id === "yolo") {
+      candidates = gpu && out.location === "gpu-buffer" && out.type === "float32"
+        ? await gpu.decodeYolo(out, conf, width, height)
+        : parseYolo(await toCpu(out), conf, width, height);
+      clock.lap("parseYolo");
+    } else {
+      for (const head of heads) head.tensor = await toCpu(head.tensor);
+      candidates = decoder.decode(heads, { conf, inputWidth: width, inputHeight: height });
+      clock.lap("decode");
+    }
+    const dets = decoder.nms ? nonMaxSuppression(candidates, iou, opts.maxDet, { agnostic }) : keepTop(candidates, opts.maxDet);
+    clock.lap(decoder.nms ? "nonMaxSuppression" : "keepTop");
+    return { dets, lb, decoder: decoder.id, timings: clock.timings };
+  } finally {
+    releaseOutputs(results);
+  }
+}
+
+/**
+ * Map pipeline detections to source pixels with class labels attached (and keypoints, for pose).
+ * @returns {Array<{x1:number,y1:number,x2:number,y2:number,score:number,cls:number,label:string}>}
+ */
+export function toSourceDetections(dets, lb, width, height, labels = COCO_LABELS, masks) {
+  return dets.map((d, i) => {
+    const det = {
+      ...unletterbox(d, lb, width, height),
+      score: d.score,
+      cls: d.cls,
+      label: labels[d.cls] || `cls ${d.cls}`,
+    };
+    if (masks) det.mask = masks[i];
+    if (d.keypoints) det.keypoints = unletterboxKeypoints(d.keypoints, lb);
+    return det;
+  });
+}
+
+async function openSession(model, sessionOptions) {
+  if (model && typeof model.run === "function") return { session: model, metadata: {}, owned: false };
+  if (typeof model === "string") return { ...(await loadModelFromUrl({ url: model })), owned: true };
+  const bytes = typeof Blob !== "undefined" && model instanceof Blob ? await model.arrayBuffer() : model;
+  if (!bytes) throw new Error("createDetector: a model URL, bytes, Blob or session is required");
+  return { ...(await createSession(bytes, sessionOptions)), owned: true };
+}
+
+function toDrawable(imageLike) {
+  if (typeof ImageData === "undefined" || !(imageLike instanceof ImageData)) return imageLike;
+  const c = document.createElement("canvas");
+  c.width = imageLike.width;
+  c.height = imageLike.height;
+  c.getContext("2d").putImageData(imageLike, 0, 0);
+  return c;
+}
+
+/**
+ * Create a detector around an ONNX model.
+ *
+ *   const detector = await createDetector({ model: "/models/yolo11n.onnx" });
+ *   const dets = await detector.detect(imgElement); // source-pixel boxes
+ *   await detector.dispose();
+ *
+ * @param {object} opts
+ * @param {string|ArrayBuffer|Uint8Array|Blob|ort.InferenceSession} opts.model URL, bytes, file or an open session
+ *   (a session passed in is not released by dispose())
+ * @param {"detect"|"segment"|"pose"} [opts.task]
+ * @param {number} [opts.inputSize] defaults to the model's input shape or exported imgsz, else 640;
+ *   fixed-shape models always run at their own H×W
+ * @param {boolean} [opts.auto] letterbox dynamic-shape models with minimal stride-aligned padding
+ * @param {string} [opts.decoder] output decoder id (decoders.js); "auto" picks one from the outputs
+ * @param {number} [opts.conf] confidence threshold
+ * @param {number} [opts.iou] NMS IoU threshold
+ * @param {number} [opts.maxDet] max detections kept after NMS
+ * @param {boolean} [opts.agnostic] NMS across classes instead of per class
+ * @param {string[]} [opts.labels] class names; defaults to the model's `names` metadata, else COCO
+ * @param {object} [opts.sessionOptions] extra ort.InferenceSession options
+ */
+export async function createDetector(opts = {}) {
+  const {
+    model,
+    task = "detect",
+    conf = 0.25,
+    iou = 0.45,
+    maxDet,
+    agnostic = false,
+    auto = false,
+    decoder = "auto",
+    sessionOptions,
+  } = opts;
+  if (!TASKS.includes(task)) throw new Error(`Unsupported task: ${task}`);
+
+  const { session, metadata, owned } = await openSession(model, sessionOptions);
+  const config = modelConfig(session, metadata);
+  const inputSize = opts.inputSize ?? config.inputSize ?? 640;
+  const labels = opts.labels ?? config.labels ?? COCO_LABELS;
+  let disposed = false;
+
+  return {
+    session,
+    task,
+    inputSize,
+    labels,
+
+    /**
+     * Run detection on an image-like source.
+     * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageBitmap|ImageData} imageLike
+     * @returns {Promise<Array>} detections in source pixels; segment detections carry a proto-space mask
+     */
+    async detect(imageLike) {
+      if (disposed) throw new Error("Detector has been disposed");
+      const source = toDrawable(imageLike);
+      const { width, height } = sourceSize(source);
+      const { dets, masks, lb } = await runYolo(session, source, {
+        task, inputSize, conf, iou, maxDet, agnostic, auto, decoder, modelDecoder: config.decoder, stride: config.stride ?? undefined,
+        kptShape: config.kptShape ?? undefined,
+        numClasses: config.numClasses ?? undefined,
+      });
+      return toSourceDetections(dets, lb, width, height, labels, masks);
+    },
+
+    /** Release the session (if the detector created it). Safe to call twice. */
+    async dispose() {
+      if (disposed) return;
+      disposed = true;
+      if (owned) await session.release();
+    },
+  };
+}
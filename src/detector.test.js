@@ -0,0 +1,211 @@
+import * as ort from "onnxruntime-web/webgpu";
+import { createDetector, runYolo } from "./detector";
+import {
+  letterbox,
+  toNchwFloat32,
+  parseYolo,
+  parseYoloSeg,
+  yoloSegMasks,
+  nonMaxSuppression,
+  unletterbox,
+} from "./utils";
+
+// Canvas isn't available in jsdom: stub the pixel stages, keep the parsing real.
+jest.mock("./utils", () => ({
+  ...jest.requireActual("./utils"),
+  letterbox: jest.fn(),
+  toNchwFloat32: jest.fn(),
+}));
+
+/**
+ * Build a [1, S, N] (attribute-major) YOLOv8 head from per-anchor rows.
+ * Padded with empty anchors so N > S, as in real exports (layout is inferred from that).
+ */
+function v8Head(rows, numClasses = 80) {
+  const S = 4 + numClasses;
+  const N = Math.max(rows.length, S + 1);
+  const data = new Float32Array(S * N);
+  rows.forEach(({ box, cls, score }, i) => {
+    box.forEach((v, k) => { data[k * N + i] = v; });
+    data[(4 + cls) * N + i] = score;
+  });
+  return new ort.Tensor("float32", data, [1, S, N]);
+}
+
+describe("parseYolo", () => {
+  test("decodes attribute-major v8/v11 heads", () => {
+    const out = v8Head([
+      { box: [100, 100, 40, 20], cls: 2, score: 0.9 },
+      { box: [300, 200, 10, 10], cls: 5, score: 0.1 },
+    ]);
+    const dets = parseYolo(out, 0.25, 640);
+    expect(dets).toHaveLength(1);
+    expect(dets[0]).toMatchObject({ x1: 80, y1: 90, x2: 120, y2: 110, cls: 2 });
+    expect(dets[0].score).toBeCloseTo(0.9);
+  });
+
+  test("decodes anchor-major v5 heads with objectness", () => {
+    const S = 85;
+    const data = new Float32Array(2 * S);
+    data.set([50, 60, 20, 20, 0.8], 0);
+    data[5 + 7] = 0.5;                   // class 7, score 0.8 * 0.5
+    data.set([10, 10, 4, 4, 0.1], S);
+    data[S + 5] = 0.9;                   // 0.1 * 0.9 — below threshold
+    const dets = parseYolo(new ort.Tensor("float32", data, [2, S]), 0.3, 640);
+    expect(dets).toHaveLength(1);
+    expect(dets[0].cls).toBe(7);
+    expect(dets[0].score).toBeCloseTo(0.4);
+  });
+
+  test("scales normalized coordinates to the input size", () => {
+    const out = v8Head([{ box: [0.5, 0.5, 0.25, 0.25], cls: 0, score: 0.7 }]);
+    const [d] = parseYolo(out, 0.25, 640);
+    expect(d.x1).toBeCloseTo(240);
+    expect(d.x2).toBeCloseTo(400);
+  });
+});
+
+describe("nonMaxSuppression", () => {
+  const box = (x1, cls, score) => ({ x1, y1: 0, x2: x1 + 100, y2: 100, cls, score });
+
+  test("suppresses overlapping boxes of the same class only", () => {
+    const kept = nonMaxSuppression([box(0, 1, 0.6), box(5, 1, 0.9), box(5, 2, 0.8)], 0.45);
+    expect(kept.map((d) => d.score)).toEqual([0.9, 0.8]);
+  });
+
+  test("suppresses across classes when agnostic", () => {
+    // A car and a truck on the same box: both kept per class, only the best across classes
+    const dets = () => [box(0, 2, 0.7), box(2, 7, 0.9), box(400, 7, 0.5)];
+    expect(nonMaxSuppression(dets(), 0.45).map((d) => d.cls)).toEqual([7, 2, 7]);
+    expect(nonMaxSuppression(dets(), 0.45, 100, { agnostic: true }).map((d) => d.score)).toEqual([0.9, 0.5]);
+  });
+
+  test("caps the number of kept boxes", () => {
+    const kept = nonMaxSuppression([box(0, 1, 0.5), box(500, 1, 0.6), box(1000, 1, 0.7)], 0.45, 2);
+    expect(kept).toHaveLength(2);
+  });
+});
+
+describe("unletterbox", () => {
+  test("undoes scale and padding and clamps to the frame", () => {
+    const map = { scale: 0.5, padLeft: 0, padTop: 80 };
+    expect(unletterbox({ x1: 10, y1: 90, x2: 700, y2: 200 }, map, 1280, 480)).toEqual({
+      x1: 20, y1: 20, x2: 1280, y2: 240,
+    });
+  });
+});
+
+describe("YOLO-seg parsing", () => {
+  const numClasses = 2, maskDim = 2, nAttr = 4 + numClasses + maskDim;
+  // Anchor rows: box, class scores, mask coefficients. Padded so N > nAttr.
+  const rows = [
+    [32, 32, 16, 16, 0.1, 0.8, 4, -4],
+    [8, 8, 4, 4, 0.2, 0.1, 0, 0],
+  ];
+  const N = nAttr + 1;
+  // proto channel 0 is on in the first pixel, channel 1 in the second
+  const proto = new ort.Tensor("float32", new Float32Array([1, 0, 0, 1]), [1, maskDim, 1, 2]);
+
+  function segHead(attributeMajor) {
+    const data = new Float32Array(nAttr * N);
+    rows.forEach((row, i) => row.forEach((v, k) => {
+      data[attributeMajor ? k * N + i : i * nAttr + k] = v;
+    }));
+    return new ort.Tensor("float32", data, attributeMajor ? [1, nAttr, N] : [1, N, nAttr]);
+  }
+
+  test.each([
+    ["attribute-major [1, S, N]", true],
+    ["anchor-major [1, N, S]", false],
+  ])("decodes %s heads, taking the class count from the proto shape", (_, attributeMajor) => {
+    const dets = parseYoloSeg(segHead(attributeMajor), 0.5, { protoOut: proto });
+    expect(dets).toHaveLength(1);
+    expect(dets[0]).toMatchObject({ x1: 24, y1: 24, x2: 40, y2: 40, cls: 1 });
+    expect(Array.from(dets[0].maskCoeffs)).toEqual([4, -4]);
+  });
+
+  test("builds proto-space masks from the coefficients", () => {
+    const dets = parseYoloSeg(segHead(true), 0.5, { protoOut: proto });
+    const [{ mask, width, height }] = yoloSegMasks(dets, proto);
+    expect([width, height]).toEqual([2, 1]);
+    expect(mask[0]).toBeGreaterThan(0.9);
+    expect(mask[1]).toBeLessThan(0.1);
+  });
+
+  test("rejects heads too small for the proto channels", () => {
+    const bigProto = new ort.Tensor("float32", new Float32Array(8), [1, 8, 1, 1]);
+    expect(() => parseYoloSeg(segHead(true), 0.5, { protoOut: bigProto })).toThrow(/mask channels/);
+  });
+});
+
+describe("createDetector", () => {
+  const lb = { canvas: {}, scale: 0.5, padLeft: 0, padTop: 140 };
+  const image = { naturalWidth: 1280, naturalHeight: 720 };
+
+  function fakeSession(output) {
+    return {
+      inputNames: ["images"],
+      outputNames: ["output0"],
+      inputMetadata: [{ shape: [1, 3, 640, 640] }],
+      run: jest.fn(async () => ({ output0: output })),
+      release: jest.fn(),
+    };
+  }
+
+  beforeEach(() => {
+    letterbox.mockReturnValue(lb);
+    toNchwFloat32.mockReturnValue(new ort.Tensor("float32", new Float32Array(3), [1, 3, 1, 1]));
+  });
+
+  test("returns labelled detections in source pixels", async () => {
+    const session = fakeSession(v8Head([
+      { box: [320, 320, 100, 50], cls: 2, score: 0.9 },
+      { box: [322, 321, 100, 50], cls: 2, score: 0.6 },
+    ]));
+    const detector = await createDetector({ model: session, conf: 0.5 });
+    expect(detector.inputSize).toBe(640);
+
+    const dets = await detector.detect(image);
+    // Fixed-shape model: letterboxed to its own H×W
+    expect(letterbox).toHaveBeenCalledWith(image, { width: 640, height: 640 }, {});
+    expect(session.run).toHaveBeenCalledTimes(1);
+    expect(dets).toHaveLength(1);
+    expect(dets[0]).toMatchObject({ x1: 540, y1: 310, x2: 740, y2: 410, cls: 2, label: "car" });
+  });
+
+  test("uses custom labels and does not release a borrowed session", async () => {
+    const session = fakeSession(v8Head([{ box: [320, 320, 10, 10], cls: 0, score: 0.9 }]));
+    const detector = await createDetector({ model: session, labels: ["widget"] });
+    const [d] = await detector.detect(image);
+    expect(d.label).toBe("widget");
+
+    await detector.dispose();
+    expect(session.release).not.toHaveBeenCalled();
+    await expect(detector.detect(image)).rejects.toThrow(/disposed/);
+  });
+
+  test("letterboxes dynamic-shape models to inputSize, auto-padded when asked", async () => {
+    const session = fakeSession(v8Head([]));
+    session.inputMetadata = [{ shape: ["batch", 3, "height", "width"] }];
+    const detector = await createDetector({ model: session, inputSize: 320, auto: true });
+    await detector.detect(image);
+    expect(letterbox).toHaveBeenCalledWith(image, 320, { auto: true, stride: 32 });
+  });
+
+  test("auto decoding follows the decoder the export metadata pointed to", async () => {
+    const rows = new Float32Array(525 * 6);
+    rows.set([100, 100, 200, 200, 0.9, 1]);
+    const session = fakeSession(new ort.Tensor("float32", rows, [1, 525, 6]));
+    const opts = { inputSize: 640, conf: 0.5, iou: 0.45, decoder: "auto" };
+
+    const e2e = await runYolo(session, image, { ...opts, modelDecoder: "e2e" });
+    expect(e2e.decoder).toBe("e2e");
+    expect(e2e.dets[0]).toMatchObject({ x1: 100, y1: 100, x2: 200, y2: 200, cls: 1 });
+    // Falling back to raw YOLO from metadata shapes leaves the choice to the real outputs
+    expect((await runYolo(session, image, { ...opts, modelDecoder: "yolo" })).decoder).toBe("yolo");
+  });
+
+  test("rejects unknown tasks", async () => {
+    await expect(createDetector({ model: fakeSession(null), task: "depth" })).rejects.toThrow(/Unsupported task/);
+  });
+});
@@ -0,0 +1,98 @@
+// diagnostics.js — what this browser offers each execution provider: WebGPU adapter and
+// features, WebNN availability, WASM SIMD/threads support
+/* global crossOriginIsolated */
+import * as ort from "onnxruntime-web/webgpu";
+
+// Smallest module using a v128 op (i32x4.splat), and one using a relaxed-SIMD op
+// (i8x16.relaxed_swizzle); validate() tells whether the engine accepts them
+const SIMD_PROBE = new Uint8Array([
+  0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 8, 1, 6, 0, 65, 0, 253, 17, 11,
+]);
+const RELAXED_SIMD_PROBE = new Uint8Array([
+  0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 15, 1, 13, 0, 65, 1, 253, 15, 65,
+  2, 253, 15, 253, 128, 2, 11,
+]);
+
+// The limits that decide whether a model fits, not the whole list
+const GPU_LIMITS = ["maxBufferSize", "maxStorageBufferBindingSize", "maxComputeWorkgroupStorageSize", "maxComputeInvocationsPerWorkgroup"];
+
+/** Whether the WebAssembly engine accepts `bytes` (false when WebAssembly is missing). */
+export function wasmValidates(bytes) {
+  try {
+    return typeof WebAssembly !== "undefined" && WebAssembly.validate(bytes);
+  } catch {
+    return false;
+  }
+}
+
+async function webgpuInfo() {
+  if (typeof navigator === "undefined" || !navigator.gpu) {
+    return { available: false, reason: "navigator.gpu is missing (WebGPU unsupported or disabled)" };
+  }
+  let adapter;
+  try {
+    adapter = await navigator.gpu.requestAdapter({ powerPreference: "high-performance" });
+  } catch (err) {
+    return { available: false, reason: `requestAdapter failed: ${err?.message || err}` };
+  }
+  if (!adapter) return { available: false, reason: "No GPU adapter (blocklisted GPU or driver)" };
+  // Chrome ≥ 114 has adapter.info; older builds only requestAdapterInfo()
+  const info = adapter.info || (await adapter.requestAdapterInfo?.().catch(() => null)) || {};
+  return {
+    available: true,
+    adapter: {
+      vendor: info.vendor || "",
+      architecture: info.architecture || "",
+      device: info.device || "",
+      description: info.description || "",
+    },
+    fallbackAdapter: !!(adapter.isFallbackAdapter ?? info.isFallbackAdapter),
+    features: [...(adapter.features || [])].sort(),
+    limits: Object.fromEntries(GPU_LIMITS.filter((k) => adapter.limits?.[k] !== undefined).map((k) => [k, adapter.limits[k]])),
+  };
+}
+
+async function webnnInfo() {
+  if (typeof navigator === "undefined" || !navigator.ml) {
+    return { available: false, reason: "navigator.ml is missing (WebNN unsupported or disabled)" };
+  }
+  const devices = {};
+  for (const deviceType of ["gpu", "npu", "cpu"]) {
+    try {
+      await navigator.ml.createContext({ deviceType });
+      devices[deviceType] = true;
+    } catch (err) {
+      devices[deviceType] = err?.message || String(err);
+    }
+  }
+  const usable = Object.values(devices).some((v) => v === true);
+  return { available: usable, devices, reason: usable ? "" : "No WebNN device could create a context" };
+}
+
+function wasmInfo() {
+  const isolated = typeof crossOriginIsolated !== "undefined" && crossOriginIsolated;
+  return {
+    available: typeof WebAssembly !== "undefined",
+    simd: wasmValidates(SIMD_PROBE),
+    relaxedSimd: wasmValidates(RELAXED_SIMD_PROBE),
+    // ORT only spawns threads when SharedArrayBuffer is usable, i.e. the page is cross-origin isolated
+    threads: isolated && typeof SharedArrayBuffer !== "undefined",
+    crossOriginIsolated: isolated,
+    hardwareConcurrency: (typeof navigator !== "undefined" && navigator.hardwareConcurrency) || 1,
+  };
+}
+
+/**
+ * Probe every execution provider. Nothing here loads a model.
+ * @returns {Promise<{ortVersion: string, userAgent: string, webgpu: object, webnn: object, wasm: object}>}
+ */
+export async function collectDiagnostics() {
+  const [webgpu, webnn] = await Promise.all([webgpuInfo(), webnnInfo()]);
+  return {
+    ortVersion: ort.env.versions?.web || "",
+    userAgent: typeof navigator !== "undefined" ? navigator.userAgent : "",
+    webgpu,
+    webnn,
+    wasm: wasmInfo(),
+  };
+}
@@ -0,0 +1,35 @@
+/**
+ * @jest-environment node
+ */
+import { collectDiagnostics, wasmValidates } from "./diagnostics";
+import { providerCandidates } from "./model";
+
+test("falls back to WASM after an explicit GPU provider", () => {
+  expect(providerCandidates("webgpu")).toEqual(["webgpu", "wasm"]);
+  expect(providerCandidates("webnn")).toEqual(["webnn", "wasm"]);
+  expect(providerCandidates("wasm")).toEqual(["wasm"]);
+});
+
+test("only tries WebGPU automatically when the browser has it", () => {
+  expect(providerCandidates("auto")).toEqual(["wasm"]);
+  global.navigator = { gpu: {} };
+  try {
+    expect(providerCandidates("auto")).toEqual(["webgpu", "wasm"]);
+  } finally {
+    delete global.navigator;
+  }
+});
+
+test("explains why GPU providers are unavailable and probes WASM", async () => {
+  const d = await collectDiagnostics();
+  expect(d.webgpu.available).toBe(false);
+  expect(d.webgpu.reason).toMatch(/navigator\.gpu/);
+  expect(d.webnn.available).toBe(false);
+  expect(d.wasm.available).toBe(true);
+  expect(d.wasm.simd).toBe(true);
+  expect(d.wasm.hardwareConcurrency).toBeGreaterThanOrEqual(1);
+});
+
+test("treats garbage as invalid WebAssembly", () => {
+  expect(wasmValidates(new Uint8Array([1, 2, 3]))).toBe(false);
+});
@@ -0,0 +1,143 @@
+// files.js — getting results out of the browser: ZIP archives, PNG blobs, downloads
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/** MS-DOS date/time words used by ZIP headers. */
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return [time, day];
+}
+
+/**
+ * Build an uncompressed (stored) ZIP archive. PNGs and JSON are all we pack,
+ * and PNGs are already deflated, so compression isn't worth a dependency.
+ * @param {Array<{name: string, data: Uint8Array|string}>} entries paths may contain "/"
+ * @param {Date} [date] modification time written for every entry
+ * @returns {Uint8Array}
+ */
+export function createZip(entries, date = new Date()) {
+  const encoder = new TextEncoder();
+  const [time, day] = dosDateTime(date);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const data = typeof entry.data === "string" ? encoder.encode(entry.data) : entry.data;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);          // version needed
+    local.setUint16(6, 0x0800, true);      // UTF-8 names
+    local.setUint16(8, 0, true);           // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    locals.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);        // version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, day, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((n, part) => n + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+  let pos = 0;
+  for (const part of parts) {
+    out.set(part, pos);
+    pos += part.length;
+  }
+  return out;
+}
+
+/** Encode a canvas (DOM or Offscreen) as an image blob. */
+export function canvasToBlob(canvas, type = "image/png", quality) {
+  if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality });
+  return new Promise((resolve, reject) =>
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error(`${type} encoding failed`))), type, quality)
+  );
+}
+
+const MIME_TYPES = {
+  json: "application/json",
+  xml: "application/xml",
+  txt: "text/plain",
+  png: "image/png",
+  jpg: "image/jpeg",
+  zip: "application/zip",
+};
+
+/**
+ * One download for a set of export files: the file itself when there is only one,
+ * otherwise a ZIP of all of them.
+ * @param {Array<{name: string, data: Uint8Array|string}>} entries
+ * @param {string} zipName used when more than one file is bundled
+ * @returns {{blob: Blob, fileName: string}}
+ */
+export function bundleFiles(entries, zipName) {
+  if (entries.length === 1) {
+    const [{ name, data }] = entries;
+    const type = MIME_TYPES[name.split(".").pop().toLowerCase()] || "application/octet-stream";
+    return { blob: new Blob([data], { type }), fileName: name.replace(/^.*\//, "") };
+  }
+  return { blob: new Blob([createZip(entries)], { type: MIME_TYPES.zip }), fileName: zipName };
+}
+
+/** Save a blob through a temporary link. */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** File name without its extension, safe to reuse as an export prefix. */
+export function baseName(fileName, fallback = "image") {
+  const name = (fileName || "").replace(/^.*[\\/]/, "").replace(/\.[^.]+$/, "");
+  return name || fallback;
+}
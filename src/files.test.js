@@ -0,0 +1,30 @@
+/**
+ * @jest-environment node
+ */
+import { crc32, createZip, baseName } from "./files";
+
+test("computes the standard CRC-32", () => {
+  expect(crc32(new TextEncoder().encode("123456789"))).toBe(0xcbf43926);
+});
+
+test("writes a stored ZIP with a central directory", () => {
+  const zip = createZip([
+    { name: "a.json", data: "{}" },
+    { name: "masks/b.png", data: new Uint8Array([1, 2, 3]) },
+  ]);
+  const view = new DataView(zip.buffer);
+  expect(view.getUint32(0, true)).toBe(0x04034b50);
+
+  const end = zip.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  expect(view.getUint16(end + 10, true)).toBe(2);
+  const centralOffset = view.getUint32(end + 16, true);
+  expect(view.getUint32(centralOffset, true)).toBe(0x02014b50);
+  // second local header follows the first entry's 30-byte header, name and data
+  expect(view.getUint32(30 + "a.json".length + 2, true)).toBe(0x04034b50);
+});
+
+test("strips directories and extensions from export names", () => {
+  expect(baseName("C:\\photos\\street.scene.jpg")).toBe("street.scene");
+  expect(baseName("")).toBe("image");
+});
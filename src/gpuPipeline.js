@@ -0,0 +1,252 @@
+// gpuPipeline.js — GPU-side I/O for sessions on the WebGPU provider: frames are letterboxed
+// and normalised by a compute shader straight into the input tensor's buffer, and YOLO heads
+// left on the GPU are filtered there so only candidates above the threshold are read back
+/* global GPUBufferUsage, GPUTextureUsage, GPUMapMode */
+import * as ort from "onnxruntime-web/webgpu";
+import { yoloHeadShape, scaleNormalizedBoxes, letterboxGeometry } from "./utils";
+
+const PAD_VALUE = 114; // same grey as the canvas letterbox
+const MAX_CANDIDATES = 8192; // anchors above the threshold read back per frame; the rest are dropped
+const CANDIDATE_FLOATS = 6; // cx, cy, w, h, score, cls
+
+const LETTERBOX_WGSL = /* wgsl */ `
+struct Params { width: u32, height: u32, padLeft: u32, padTop: u32, nw: u32, nh: u32, signed: u32, pad: f32 };
+@group(0) @binding(0) var src: texture_2d<f32>;
+@group(0) @binding(1) var samp: sampler;
+@group(0) @binding(2) var<storage, read_write> dst: array<f32>;
+@group(0) @binding(3) var<uniform> p: Params;
+
+@compute @workgroup_size(8, 8)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  if (id.x >= p.width || id.y >= p.height) { return; }
+  var rgb = vec3<f32>(p.pad);
+  if (id.x >= p.padLeft && id.x < p.padLeft + p.nw && id.y >= p.padTop && id.y < p.padTop + p.nh) {
+    let uv = (vec2<f32>(f32(id.x - p.padLeft), f32(id.y - p.padTop)) + 0.5) / vec2<f32>(f32(p.nw), f32(p.nh));
+    rgb = textureSampleLevel(src, samp, uv, 0.0).rgb;
+  }
+  if (p.signed == 1u) { rgb = rgb * 2.0 - 1.0; }
+  let plane = p.width * p.height;
+  let i = id.y * p.width + id.x;
+  dst[i] = rgb.r;
+  dst[i + plane] = rgb.g;
+  dst[i + 2u * plane] = rgb.b;
+}`;
+
+// Mirrors parseYolo: best class per anchor (times objectness for v5 heads), kept when ≥ conf
+const YOLO_FILTER_WGSL = /* wgsl */ `
+struct Params { numPred: u32, stride: u32, transposed: u32, hasObj: u32, conf: f32, maxOut: u32, _a: u32, _b: u32 };
+@group(0) @binding(0) var<storage, read> head: array<f32>;
+@group(0) @binding(1) var<storage, read_write> count: atomic<u32>;
+@group(0) @binding(2) var<storage, read_write> out: array<f32>;
+@group(0) @binding(3) var<uniform> p: Params;
+
+fn at(i: u32, k: u32) -> f32 {
+  if (p.transposed == 1u) { return head[k * p.numPred + i]; }
+  return head[i * p.stride + k];
+}
+
+@compute @workgroup_size(64)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  let i = id.x;
+  if (i >= p.numPred) { return; }
+  let first = 4u + p.hasObj;
+  var best = 0.0;
+  var cls = -1.0;
+  for (var c = first; c < p.stride; c++) {
+    let s = at(i, c);
+    if (s > best) { best = s; cls = f32(c - first); }
+  }
+  var score = best;
+  if (p.hasObj == 1u) { score = at(i, 4u) * best; }
+  if (score < p.conf) { return; }
+  let slot = atomicAdd(&count, 1u);
+  if (slot >= p.maxOut) { return; }
+  let o = slot * ${CANDIDATE_FLOATS}u;
+  out[o] = at(i, 0u);
+  out[o + 1u] = at(i, 1u);
+  out[o + 2u] = at(i, 2u);
+  out[o + 3u] = at(i, 3u);
+  out[o + 4u] = score;
+  out[o + 5u] = cls;
+}`;
+
+/** A tensor the CPU code can read: GPU-resident outputs are downloaded (and their buffer released). */
+export async function toCpu(tensor) {
+  if (tensor.location !== "gpu-buffer") return tensor;
+  return new ort.Tensor(tensor.type, await tensor.getData(true), tensor.dims);
+}
+
+/** Every output of a run as a CPU tensor. */
+export async function cpuOutputs(results) {
+  const entries = await Promise.all(Object.entries(results).map(async ([name, t]) => [name, await toCpu(t)]));
+  return Object.fromEntries(entries);
+}
+
+/** What runs on the GPU besides the model, for a session on `provider`: { preprocess, outputs }. */
+export function gpuIoInfo(provider, gpu, runtime) {
+  return { preprocess: !!gpu?.letterbox, outputs: provider === "webgpu" && !!runtime?.gpuOutputs };
+}
+
+/** Release outputs still on the GPU (ones already read back are no-ops). */
+export function releaseOutputs(results) {
+  for (const t of Object.values(results)) if (t.location === "gpu-buffer") t.dispose();
+}
+
+async function readBuffer(device, buffer, byteLength) {
+  const staging = device.createBuffer({ size: byteLength, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+  const encoder = device.createCommandEncoder();
+  encoder.copyBufferToBuffer(buffer, 0, staging, 0, byteLength);
+  device.queue.submit([encoder.finish()]);
+  await staging.mapAsync(GPUMapMode.READ);
+  const data = new Float32Array(staging.getMappedRange().slice(0));
+  staging.unmap();
+  staging.destroy();
+  return data;
+}
+
+/**
+ * GPU I/O on ONNX Runtime's WebGPU device. Call after a WebGPU session exists.
+ * @param {{preprocess?: boolean}} [opts] preprocess: offer letterbox(); decodeYolo() is always there
+ * @returns {Promise<{letterbox: Function|null, decodeYolo: Function, dispose: () => void}>}
+ */
+export async function createGpuIo({ preprocess = true } = {}) {
+  const device = await ort.env.webgpu.device;
+  if (!device) throw new Error("ONNX Runtime has no WebGPU device");
+
+  const uniform = (size) => device.createBuffer({ size, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+  const pipeline = (code) => device.createComputePipeline({
+    layout: "auto",
+    compute: { module: device.createShaderModule({ code }), entryPoint: "main" },
+  });
+  const owned = [];
+  const keep = (buffer) => {
+    owned.push(buffer);
+    return buffer;
+  };
+
+  // Letterbox: source texture and output buffer are reused while the sizes stay the same
+  const lbPipeline = preprocess ? pipeline(LETTERBOX_WGSL) : null;
+  const lbParams = keep(uniform(32));
+  const sampler = device.createSampler({ magFilter: "linear", minFilter: "linear" });
+  let texture = null;
+  let input = null; // { buffer, width, height }
+
+  /**
+   * Letterbox `source` into a float32 NCHW tensor on the GPU.
+   * @param {number|{width: number, height: number}} target as for utils.letterbox
+   * @param {{signed?: boolean, auto?: boolean, stride?: number}} [opts] signed: [-1, 1] instead of [0, 1]
+   */
+  function letterbox(source, target, { signed = false, ...geometry } = {}) {
+    const iw = source.videoWidth || source.naturalWidth || source.displayWidth || source.width;
+    const ih = source.videoHeight || source.naturalHeight || source.displayHeight || source.height;
+    if (!texture || texture.width !== iw || texture.height !== ih) {
+      texture?.destroy();
+      texture = device.createTexture({
+        size: [iw, ih],
+        format: "rgba8unorm",
+        usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT,
+      });
+    }
+    const lb = letterboxGeometry(iw, ih, target, geometry);
+    const { width, height } = lb.canvas;
+    if (input?.width !== width || input?.height !== height) {
+      input?.buffer.destroy();
+      input = {
+        width,
+        height,
+        buffer: device.createBuffer({
+          size: 3 * width * height * 4,
+          usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+        }),
+      };
+    }
+    device.queue.copyExternalImageToTexture({ source }, { texture }, [iw, ih]);
+
+    const params = new ArrayBuffer(32);
+    new Uint32Array(params, 0, 7).set([width, height, lb.padLeft, lb.padTop, lb.nw, lb.nh, signed ? 1 : 0]);
+    new Float32Array(params, 28, 1)[0] = PAD_VALUE / 255;
+    device.queue.writeBuffer(lbParams, 0, params);
+
+    const bindGroup = device.createBindGroup({
+      layout: lbPipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: texture.createView() },
+        { binding: 1, resource: sampler },
+        { binding: 2, resource: { buffer: input.buffer } },
+        { binding: 3, resource: { buffer: lbParams } },
+      ],
+    });
+    const encoder = device.createCommandEncoder();
+    const pass = encoder.beginComputePass();
+    pass.setPipeline(lbPipeline);
+    pass.setBindGroup(0, bindGroup);
+    pass.dispatchWorkgroups(Math.ceil(width / 8), Math.ceil(height / 8));
+    pass.end();
+    device.queue.submit([encoder.finish()]);
+
+    const tensor = ort.Tensor.fromGpuBuffer(input.buffer, { dataType: "float32", dims: [1, 3, height, width] });
+    return { tensor, lb };
+  }
+
+  // YOLO filter: a counter and a fixed candidate list, read back in two small copies
+  const filterPipeline = pipeline(YOLO_FILTER_WGSL);
+  const filterParams = keep(uniform(32));
+  const counter = keep(device.createBuffer({
+    size: 4, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+  }));
+  const candidates = keep(device.createBuffer({
+    size: MAX_CANDIDATES * CANDIDATE_FLOATS * 4, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
+  }));
+
+  /**
+   * parseYolo for a head that stayed on the GPU (float32).
+   * @param {ort.Tensor} output location "gpu-buffer"
+   * @returns {Promise<Array<{x1,y1,x2,y2,score,cls}>>} model-input pixels, before NMS
+   */
+  async function decodeYolo(output, confThresh, inputWidth, inputHeight = inputWidth) {
+    const { numPred, stride, transposed } = yoloHeadShape(output.dims || []);
+    const params = new ArrayBuffer(32);
+    new Uint32Array(params, 0, 4).set([numPred, stride, transposed ? 1 : 0, stride === 85 ? 1 : 0]);
+    new Float32Array(params, 16, 1)[0] = confThresh;
+    new Uint32Array(params, 20, 1)[0] = MAX_CANDIDATES;
+    device.queue.writeBuffer(filterParams, 0, params);
+    device.queue.writeBuffer(counter, 0, new Uint32Array([0]));
+
+    const bindGroup = device.createBindGroup({
+      layout: filterPipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: output.gpuBuffer } },
+        { binding: 1, resource: { buffer: counter } },
+        { binding: 2, resource: { buffer: candidates } },
+        { binding: 3, resource: { buffer: filterParams } },
+      ],
+    });
+    const encoder = device.createCommandEncoder();
+    const pass = encoder.beginComputePass();
+    pass.setPipeline(filterPipeline);
+    pass.setBindGroup(0, bindGroup);
+    pass.dispatchWorkgroups(Math.ceil(numPred / 64));
+    pass.end();
+    device.queue.submit([encoder.finish()]);
+
+    const count = Math.min(MAX_CANDIDATES, new Uint32Array((await readBuffer(device, counter, 4)).buffer)[0]);
+    if (!count) return [];
+    const data = await readBuffer(device, candidates, count * CANDIDATE_FLOATS * 4);
+    const dets = [];
+    for (let i = 0; i < count; i++) {
+      const [cx, cy, w, h, score, cls] = data.subarray(i * CANDIDATE_FLOATS, (i + 1) * CANDIDATE_FLOATS);
+      dets.push({ x1: cx - w / 2, y1: cy - h / 2, x2: cx + w / 2, y2: cy + h / 2, score, cls });
+    }
+    return scaleNormalizedBoxes(dets, inputWidth, inputHeight);
+  }
+
+  return {
+    letterbox: preprocess ? letterbox : null,
+    decodeYolo,
+    dispose() {
+      texture?.destroy();
+      input?.buffer.destroy();
+      owned.forEach((b) => b.destroy());
+    },
+  };
+}
@@ -0,0 +1,57 @@
+import { toCpu, cpuOutputs, releaseOutputs, gpuIoInfo } from "./gpuPipeline";
+import { yoloHeadShape, scaleNormalizedBoxes, letterboxGeometry } from "./utils";
+
+test("letterboxGeometry matches the canvas letterbox and the keypoints field names", () => {
+  const lb = letterboxGeometry(1280, 720, 640);
+  expect(lb).toMatchObject({ scale: 0.5, nw: 640, nh: 360, padLeft: 0, padTop: 140 });
+  expect(lb).toMatchObject({ ratio: 0.5, padX: 0, padY: 140, canvas: { width: 640, height: 640 } });
+});
+
+test("letterboxGeometry fits rectangular targets and pads auto inputs to the stride", () => {
+  // 16:9 into a 640×384 export: scaled to 640×360, 12px above and below
+  expect(letterboxGeometry(1280, 720, { width: 640, height: 384 })).toMatchObject({
+    scale: 0.5, padLeft: 0, padTop: 12, canvas: { width: 640, height: 384 },
+  });
+  // Auto: 360 rounds up to 384 rather than padding to the full square
+  expect(letterboxGeometry(1280, 720, 640, { auto: true })).toMatchObject({
+    padLeft: 0, padTop: 12, canvas: { width: 640, height: 384 },
+  });
+  // Portrait frame at stride 64: the fitted 480px width pads out to 512
+  expect(letterboxGeometry(720, 960, 640, { auto: true, stride: 64 })).toMatchObject({
+    nw: 480, nh: 640, padLeft: 16, padTop: 0, canvas: { width: 512, height: 640 },
+  });
+});
+
+test("yoloHeadShape finds the anchor axis", () => {
+  expect(yoloHeadShape([1, 84, 8400])).toEqual({ numPred: 8400, stride: 84, transposed: true });
+  expect(yoloHeadShape([1, 25200, 85])).toEqual({ numPred: 25200, stride: 85, transposed: false });
+  expect(() => yoloHeadShape([8400])).toThrow(/Unsupported/);
+});
+
+test("scaleNormalizedBoxes only scales normalized coordinates", () => {
+  expect(scaleNormalizedBoxes([{ x1: 0.1, y1: 0.2, x2: 0.5, y2: 1 }], 100)[0]).toEqual({ x1: 10, y1: 20, x2: 50, y2: 100 });
+  expect(scaleNormalizedBoxes([{ x1: 10, y1: 20, x2: 50, y2: 100 }], 640)[0].x2).toBe(50);
+  expect(scaleNormalizedBoxes([{ x1: 0.5, y1: 0.5, x2: 1, y2: 1 }], 640, 384)[0]).toEqual({ x1: 320, y1: 192, x2: 640, y2: 384 });
+});
+
+test("GPU-resident outputs are downloaded and released", async () => {
+  const data = new Float32Array([1, 2]);
+  const gpuTensor = {
+    location: "gpu-buffer", type: "float32", dims: [2],
+    getData: jest.fn(async () => data),
+    dispose: jest.fn(),
+  };
+  const cpuTensor = { location: "cpu", data: new Float32Array([3]) };
+  const out = await cpuOutputs({ a: gpuTensor, b: cpuTensor });
+  expect(gpuTensor.getData).toHaveBeenCalledWith(true);
+  expect(out.a.data).toEqual(data);
+  expect(out.b).toBe(cpuTensor);
+  expect(await toCpu(cpuTensor)).toBe(cpuTensor);
+  releaseOutputs({ a: gpuTensor, b: cpuTensor });
+  expect(gpuTensor.dispose).toHaveBeenCalledTimes(1);
+});
+
+test("gpuIoInfo reports what runs on the GPU", () => {
+  expect(gpuIoInfo("webgpu", { letterbox() {} }, { gpuOutputs: true })).toEqual({ preprocess: true, outputs: true });
+  expect(gpuIoInfo("wasm", null, { gpuOutputs: true })).toEqual({ preprocess: false, outputs: false });
+});
@@ -0,0 +1,67 @@
+/* eslint-disable no-restricted-globals */
+// inference.worker.js — owns an ort.InferenceSession off the main thread.
+//
+// Messages in:  { type: "load", spec, runtime }   spec = { url, externalData } | { buffer }
+//               { type: "infer", id, mode, settings, bitmap }
+// Messages out: { type: "loaded", info, provider, attempts, gpuIo, precision, metadata }
+//               { type: "result", id, result }
+//               { type: "error", id?, message }
+import { configureOrt, createSession, loadModelFromUrl } from "./model";
+import { getMode } from "./modes";
+import { gpuIoInfo } from "./gpuPipeline";
+
+let session = null;
+let gpu = null; // gpuPipeline I/O when the session is on WebGPU
+
+configureOrt();
+
+/** Results must survive structured cloning: keep only the letterbox canvas size. */
+function toTransferable(result) {
+  const out = { ...result };
+  const transfer = [];
+  if (result.lb) {
+    const { canvas, ...rest } = result.lb;
+    out.lb = { ...rest, canvas: { width: canvas.width, height: canvas.height } };
+  }
+  if (result.masks) result.masks.forEach((m) => transfer.push(m.mask.buffer));
+  return { out, transfer };
+}
+
+async function load(spec, runtime) {
+  gpu?.dispose();
+  if (session) await session.release();
+  session = gpu = null;
+  const opened = spec.buffer ? await createSession(spec.buffer, {}, runtime) : await loadModelFromUrl(spec, runtime);
+  session = opened.session;
+  gpu = opened.gpu;
+  const info = {
+    inputNames: session.inputNames,
+    outputNames: session.outputNames,
+    inputMetadata: session.inputMetadata?.map((m) => ({ name: m.name, type: m.type, shape: m.shape })),
+    outputMetadata: session.outputMetadata?.map((m) => ({ name: m.name, type: m.type, shape: m.shape })),
+  };
+  self.postMessage({
+    type: "loaded", info, provider: opened.provider, attempts: opened.attempts,
+    gpuIo: gpuIoInfo(opened.provider, gpu, runtime), precision: opened.precision, metadata: opened.metadata,
+  });
+}
+
+async function infer({ id, mode, settings, bitmap }) {
+  try {
+    const result = await getMode(mode).infer(session, bitmap, settings, gpu);
+    const { out, transfer } = toTransferable(result);
+    self.postMessage({ type: "result", id, result: out }, transfer);
+  } finally {
+    bitmap.close();
+  }
+}
+
+self.onmessage = async (e) => {
+  const msg = e.data;
+  try {
+    if (msg.type === "load") await load(msg.spec, msg.runtime);
+    else if (msg.type === "infer") await infer(msg);
+  } catch (err) {
+    self.postMessage({ type: "error", id: msg.id, message: err?.message || String(err) });
+  }
+};
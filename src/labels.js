@@ -0,0 +1,129 @@
+// labels.js — class label sets from names.txt, Ultralytics data.yaml or labels.json
+
+/** Strip one layer of matching quotes and unescape. */
+function unquote(s) {
+  const t = s.trim();
+  const q = t[0];
+  if ((q === "'" || q === '"') && t[t.length - 1] === q) {
+    return t.slice(1, -1).replace(/\\(.)/g, "$1").replace(/''/g, "'");
+  }
+  return t;
+}
+
+/** Drop a trailing ` # comment` that isn't inside quotes. */
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === "'" || c === '"') {
+      quote = c;
+    } else if (c === "#" && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+/** Split a YAML flow collection body on top-level commas. */
+function splitFlow(body) {
+  const items = [];
+  let cur = "", quote = null;
+  for (const c of body) {
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === "'" || c === '"') {
+      quote = c;
+    } else if (c === ",") {
+      items.push(cur);
+      cur = "";
+      continue;
+    }
+    cur += c;
+  }
+  if (cur.trim()) items.push(cur);
+  return items;
+}
+
+/** Turn {id: name} pairs into a dense array; gaps become `cls N`. */
+function fromPairs(pairs) {
+  const names = [];
+  for (const [k, v] of pairs) {
+    const id = parseInt(k, 10);
+    if (Number.isInteger(id) && id >= 0) names[id] = String(v);
+  }
+  for (let i = 0; i < names.length; i++) if (names[i] === undefined) names[i] = `cls ${i}`;
+  return names;
+}
+
+/** Split `key: value` on the first colon outside quotes. */
+function splitPair(item) {
+  const parts = splitFlow(item.replace(/:/, ","));
+  return [unquote(parts[0] || ""), unquote(parts.slice(1).join(","))];
+}
+
+/** Plain text: one class name per line. */
+export function parseNamesTxt(text) {
+  return text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+}
+
+/**
+ * The `names:` entry of an Ultralytics data.yaml: a block list, a block map,
+ * or a flow list/map on the same line.
+ */
+export function parseDataYaml(text) {
+  const lines = text.split(/\r?\n/);
+  const start = lines.findIndex((l) => /^\s*names\s*:/.test(l));
+  if (start < 0) throw new Error("No `names:` entry found in the YAML file");
+
+  const indent = lines[start].match(/^\s*/)[0].length;
+  const inline = stripComment(lines[start].replace(/^\s*names\s*:/, "")).trim();
+  if (inline.startsWith("[")) {
+    return splitFlow(inline.slice(1, inline.lastIndexOf("]"))).map(unquote);
+  }
+  if (inline.startsWith("{")) {
+    return fromPairs(splitFlow(inline.slice(1, inline.lastIndexOf("}"))).map(splitPair));
+  }
+
+  const list = [];
+  const pairs = [];
+  for (const raw of lines.slice(start + 1)) {
+    const line = stripComment(raw);
+    if (!line.trim()) continue;
+    if (line.match(/^\s*/)[0].length <= indent && !/^\s*-/.test(line)) break;
+    const item = line.trim();
+    if (item.startsWith("-")) list.push(unquote(item.slice(1)));
+    else pairs.push(splitPair(item));
+  }
+  return list.length ? list : fromPairs(pairs);
+}
+
+/** JSON array, {"0": "name"} map, or either of those under a `names` key. */
+export function parseLabelsJson(text) {
+  let data = JSON.parse(text);
+  if (data && !Array.isArray(data) && data.names) data = data.names;
+  if (Array.isArray(data)) return data.map(String);
+  if (data && typeof data === "object") return fromPairs(Object.entries(data));
+  throw new Error("Expected a JSON array or an {id: name} map");
+}
+
+/**
+ * Parse a label file by extension (falls back to sniffing the content).
+ * @param {string} text file contents
+ * @param {string} fileName used for the extension
+ * @returns {string[]} class names indexed by class id
+ */
+export function parseLabelFile(text, fileName = "") {
+  const ext = fileName.toLowerCase().split(".").pop();
+  let names;
+  if (ext === "json") names = parseLabelsJson(text);
+  else if (ext === "yaml" || ext === "yml") names = parseDataYaml(text);
+  else if (ext === "txt" || ext === "names") names = parseNamesTxt(text);
+  else if (/^\s*[[{]/.test(text)) names = parseLabelsJson(text);
+  else if (/^\s*names\s*:/m.test(text)) names = parseDataYaml(text);
+  else names = parseNamesTxt(text);
+
+  if (!names.length) throw new Error("The label file has no class names");
+  return names;
+}
@@ -0,0 +1,35 @@
+import { parseLabelFile, parseDataYaml } from "./labels";
+
+test("reads one name per line from names.txt", () => {
+  expect(parseLabelFile("cat\r\ndog\n\n hot dog \n", "names.txt")).toEqual(["cat", "dog", "hot dog"]);
+});
+
+describe("data.yaml", () => {
+  test("block map form", () => {
+    const yaml = `path: ../datasets/pets
+train: images/train
+names:
+  0: cat   # felines
+  1: 'dog'
+  3: "guinea pig"
+nc: 4
+`;
+    expect(parseLabelFile(yaml, "data.yaml")).toEqual(["cat", "dog", "cls 2", "guinea pig"]);
+  });
+
+  test("block and flow list forms", () => {
+    expect(parseDataYaml("names:\n  - cat\n  - 'dog, big'\nnc: 2\n")).toEqual(["cat", "dog, big"]);
+    expect(parseDataYaml("nc: 2\nnames: ['cat', \"dog's toy\"]  # list\n")).toEqual(["cat", "dog's toy"]);
+    expect(parseDataYaml("names: {0: cat, 1: 'dog'}")).toEqual(["cat", "dog"]);
+  });
+
+  test("rejects files without names", () => {
+    expect(() => parseLabelFile("nc: 3\n", "data.yml")).toThrow(/names/);
+  });
+});
+
+test("labels.json as array, map or names key", () => {
+  expect(parseLabelFile('["a", "b"]', "labels.json")).toEqual(["a", "b"]);
+  expect(parseLabelFile('{"1": "b", "0": "a"}', "labels.json")).toEqual(["a", "b"]);
+  expect(parseLabelFile('{"names": {"0": "a"}}', "classes")).toEqual(["a"]);
+});
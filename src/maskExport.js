@@ -0,0 +1,288 @@
+// maskExport.js — instance masks out of the segmentation pipeline: binary masks at source
+// resolution, polygon contours, COCO RLE, and a COCO instances file (+ PNGs, zipped)
+import { createCanvas, unletterbox, MASK_THRESHOLD } from "./utils";
+import { COCO_LABELS } from "./classes";
+import { canvasToBlob, baseName } from "./files";
+import { cocoCategories } from "./detectionExport";
+
+// Moore neighbourhood, clockwise from west (y grows downwards)
+const NEIGHBOURS = [[-1, 0], [-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1]];
+
+/**
+ * Upsample one proto-space mask to a binary mask in source pixels, cropped to its box.
+ * @param {{x1:number,y1:number,x2:number,y2:number}} det box in letterboxed model-input pixels
+ * @param {{mask: Float32Array, width: number, height: number}} protoMask from yoloSegMasks
+ * @param {{scale:number,padLeft:number,padTop:number,canvas:{width:number,height:number}}} lb letterbox info
+ * @param {number} width source width
+ * @param {number} height source height
+ * @param {number} [threshold]
+ * @returns {Uint8Array} width*height, 1 inside the instance
+ */
+export function sourceMask(det, protoMask, lb, width, height, threshold = MASK_THRESHOLD) {
+  const { mask, width: pW, height: pH } = protoMask;
+  const sx = pW / lb.canvas.width;
+  const sy = pH / lb.canvas.height;
+  const out = new Uint8Array(width * height);
+  const box = unletterbox(det, lb, width, height);
+
+  for (let y = Math.floor(box.y1); y < Math.ceil(box.y2); y++) {
+    // Bilinear sample at the pixel centre, mapped source → model input → proto
+    const py = Math.min(pH - 1, Math.max(0, ((y + 0.5) * lb.scale + lb.padTop) * sy - 0.5));
+    const y0 = Math.floor(py), y1 = Math.min(pH - 1, y0 + 1), fy = py - y0;
+    for (let x = Math.floor(box.x1); x < Math.ceil(box.x2); x++) {
+      const px = Math.min(pW - 1, Math.max(0, ((x + 0.5) * lb.scale + lb.padLeft) * sx - 0.5));
+      const x0 = Math.floor(px), x1 = Math.min(pW - 1, x0 + 1), fx = px - x0;
+      const top = mask[y0 * pW + x0] * (1 - fx) + mask[y0 * pW + x1] * fx;
+      const bottom = mask[y1 * pW + x0] * (1 - fx) + mask[y1 * pW + x1] * fx;
+      if (top * (1 - fy) + bottom * fy > threshold) out[y * width + x] = 1;
+    }
+  }
+  return out;
+}
+
+/**
+ * COCO uncompressed RLE: run lengths over the mask in column-major order, starting with a
+ * (possibly empty) run of zeros.
+ * @returns {{size: [number, number], counts: number[]}}
+ */
+export function encodeRle(bin, width, height) {
+  const counts = [];
+  let current = 0, run = 0;
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      const v = bin[y * width + x];
+      if (v === current) {
+        run++;
+      } else {
+        counts.push(run);
+        current = v;
+        run = 1;
+      }
+    }
+  }
+  counts.push(run);
+  return { size: [height, width], counts };
+}
+
+/** Pixel count and tight COCO bbox [x, y, w, h] of a binary mask (null bbox when empty). */
+export function maskStats(bin, width, height) {
+  let area = 0, minX = width, minY = height, maxX = -1, maxY = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!bin[y * width + x]) continue;
+      area++;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+  return { area, bbox: area ? [minX, minY, maxX - minX + 1, maxY - minY + 1] : null };
+}
+
+/** Label 8-connected components; returns per-pixel ids (0 = background) and each component's first pixel. */
+function components(bin, width, height) {
+  const ids = new Int32Array(width * height);
+  const starts = [];
+  const stack = [];
+  for (let i = 0; i < bin.length; i++) {
+    if (!bin[i] || ids[i]) continue;
+    const id = starts.length + 1;
+    starts.push({ index: i, area: 0 });
+    ids[i] = id;
+    stack.push(i);
+    while (stack.length) {
+      const p = stack.pop();
+      starts[id - 1].area++;
+      const px = p % width, py = (p - px) / width;
+      for (const [dx, dy] of NEIGHBOURS) {
+        const qx = px + dx, qy = py + dy;
+        if (qx < 0 || qy < 0 || qx >= width || qy >= height) continue;
+        const q = qy * width + qx;
+        if (bin[q] && !ids[q]) {
+          ids[q] = id;
+          stack.push(q);
+        }
+      }
+    }
+  }
+  return { ids, starts };
+}
+
+/**
+ * Moore-neighbour trace of one component's outer boundary. `start` must be the component's
+ * first pixel in raster order, so its west neighbour is background.
+ */
+function directionOf(dx, dy) {
+  return NEIGHBOURS.findIndex(([nx, ny]) => nx === dx && ny === dy);
+}
+
+function traceBoundary(ids, id, width, height, start) {
+  const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && ids[y * width + x] === id;
+  const sx = start % width, sy = (start - sx) / width;
+  const points = [[sx, sy]];
+  let [x, y] = [sx, sy];
+  let back = 0; // direction of the background pixel we entered from
+  const maxSteps = 4 * width * height;
+
+  for (let step = 0; step < maxSteps; step++) {
+    let found = -1;
+    for (let k = 1; k <= 8; k++) {
+      const d = (back + k) % 8;
+      if (inside(x + NEIGHBOURS[d][0], y + NEIGHBOURS[d][1])) {
+        found = d;
+        break;
+      }
+    }
+    if (found < 0) break; // isolated pixel
+    const prev = (found + 7) % 8; // last background neighbour checked
+    const bx = x + NEIGHBOURS[prev][0], by = y + NEIGHBOURS[prev][1];
+    x += NEIGHBOURS[found][0];
+    y += NEIGHBOURS[found][1];
+    back = directionOf(bx - x, by - y);
+    // Jacob's stopping criterion: back at the start, entered the same way as the first time
+    if (x === sx && y === sy && back === 0) break;
+    points.push([x, y]);
+  }
+  return points;
+}
+
+function perpendicularDistance([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax, dy = by - ay;
+  const len = Math.hypot(dx, dy);
+  if (!len) return Math.hypot(px - ax, py - ay);
+  return Math.abs(dy * px - dx * py + bx * ay - by * ax) / len;
+}
+
+/** Douglas–Peucker simplification of an open polyline. */
+export function simplifyPath(points, epsilon) {
+  if (points.length < 3) return points;
+  let index = 0, maxDist = 0;
+  const last = points.length - 1;
+  for (let i = 1; i < last; i++) {
+    const d = perpendicularDistance(points[i], points[0], points[last]);
+    if (d > maxDist) { maxDist = d; index = i; }
+  }
+  if (maxDist <= epsilon) return [points[0], points[last]];
+  const left = simplifyPath(points.slice(0, index + 1), epsilon);
+  const right = simplifyPath(points.slice(index), epsilon);
+  return left.slice(0, -1).concat(right);
+}
+
+/**
+ * Outer contours of a binary mask as COCO polygons ([x1, y1, x2, y2, ...] in source pixels),
+ * one per connected region, largest first.
+ * @param {{epsilon?: number, minArea?: number}} [opts] simplification tolerance in pixels;
+ *   regions smaller than minArea pixels are dropped
+ * @returns {number[][]}
+ */
+export function maskPolygons(bin, width, height, opts = {}) {
+  const { epsilon = 1, minArea = 4 } = opts;
+  const { ids, starts } = components(bin, width, height);
+  return starts
+    .map((s, i) => ({ ...s, id: i + 1 }))
+    .filter((s) => s.area >= minArea)
+    .sort((a, b) => b.area - a.area)
+    .map(({ id, index }) => {
+      const ring = traceBoundary(ids, id, width, height, index);
+      // Simplify as a path closed back onto its first point, then drop the repeat
+      const simplified = simplifyPath([...ring, ring[0]], epsilon).slice(0, -1);
+      // Small regions can collapse to a line; keep their exact outline instead
+      return (simplified.length >= 3 ? simplified : ring).flat();
+    })
+    .filter((poly) => poly.length >= 6);
+}
+
+/**
+ * Per-instance masks, polygons and RLE for a segmentation result.
+ * @param {{dets: Array, masks: Array, lb: object}} result from the segment mode
+ * @param {{width: number, height: number, labels?: string[], maskThreshold?: number}} opts
+ */
+export function extractInstances(result, opts) {
+  const { width, height, maskThreshold = MASK_THRESHOLD } = opts;
+  const labels = opts.labels || COCO_LABELS;
+  return result.dets.map((det, i) => {
+    const bin = sourceMask(det, result.masks[i], result.lb, width, height, maskThreshold);
+    const { area, bbox } = maskStats(bin, width, height);
+    return {
+      cls: det.cls,
+      label: labels[det.cls] || `cls ${det.cls}`,
+      score: det.score,
+      bin,
+      area,
+      bbox,
+      polygons: area ? maskPolygons(bin, width, height) : [],
+      rle: encodeRle(bin, width, height),
+    };
+  });
+}
+
+/**
+ * COCO instances document for one image. Category ids are class index + 1.
+ * @param {Array} instances from extractInstances
+ * @param {{fileName: string, width: number, height: number, labels?: string[], segmentation?: "polygon"|"rle"}} opts
+ */
+export function cocoInstances(instances, opts) {
+  const { fileName, width, height, segmentation = "polygon" } = opts;
+  const labels = opts.labels || COCO_LABELS;
+  return {
+    info: { description: "Instance masks exported from the browser", date_created: new Date().toISOString() },
+    images: [{ id: 1, file_name: fileName, width, height }],
+    categories: cocoCategories(labels),
+    annotations: instances
+      .filter((inst) => inst.area > 0)
+      .map((inst, i) => ({
+        id: i + 1,
+        image_id: 1,
+        category_id: inst.cls + 1,
+        segmentation: segmentation === "rle" ? inst.rle : inst.polygons,
+        area: inst.area,
+        bbox: inst.bbox,
+        iscrowd: 0,
+        score: Number(inst.score.toFixed(4)),
+      })),
+  };
+}
+
+/** Full-resolution black/white PNG of one binary mask. */
+export async function maskPng(bin, width, height) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  const img = ctx.createImageData(width, height);
+  for (let i = 0; i < bin.length; i++) {
+    const v = bin[i] ? 255 : 0;
+    const j = i * 4;
+    img.data[j] = img.data[j + 1] = img.data[j + 2] = v;
+    img.data[j + 3] = 255;
+  }
+  ctx.putImageData(img, 0, 0);
+  return new Uint8Array(await (await canvasToBlob(canvas)).arrayBuffer());
+}
+
+/**
+ * Export files for one image: <image>_instances.json (polygons), <image>_instances_rle.json
+ * (RLE) and, unless `json` is set, masks/<image>_<n>_<label>.png.
+ * @param {object} result segment mode result
+ * @param {{fileName: string, width: number, height: number, labels?: string[], maskThreshold?: number,
+ *   json?: boolean}} opts
+ * @returns {Promise<Array<{name: string, data: Uint8Array|string}>>}
+ */
+export async function maskFiles(result, opts) {
+  const instances = extractInstances(result, opts).filter((inst) => inst.area > 0);
+  const stem = baseName(opts.fileName);
+  const entries = [{ name: `${stem}_instances.json`, data: JSON.stringify(cocoInstances(instances, opts)) }];
+  if (opts.json) return entries;
+  entries.push({
+    name: `${stem}_instances_rle.json`,
+    data: JSON.stringify(cocoInstances(instances, { ...opts, segmentation: "rle" })),
+  });
+  for (let i = 0; i < instances.length; i++) {
+    const inst = instances[i];
+    const label = inst.label.replace(/[^\w-]+/g, "_");
+    entries.push({
+      name: `masks/${stem}_${String(i + 1).padStart(3, "0")}_${label}.png`,
+      data: await maskPng(inst.bin, opts.width, opts.height),
+    });
+  }
+  return entries;
+}
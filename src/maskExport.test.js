@@ -0,0 +1,60 @@
+import { sourceMask, encodeRle, maskStats, maskPolygons, extractInstances, cocoInstances } from "./maskExport";
+
+// 4x4 image with a 2x2 square at (1,1)
+const W = 4, H = 4;
+const square = Uint8Array.from([
+  0, 0, 0, 0,
+  0, 1, 1, 0,
+  0, 1, 1, 0,
+  0, 0, 0, 0,
+]);
+
+test("encodes COCO RLE in column-major order", () => {
+  expect(encodeRle(square, W, H)).toEqual({ size: [4, 4], counts: [5, 2, 2, 2, 5] });
+  expect(encodeRle(Uint8Array.from([1, 1]), 2, 1).counts).toEqual([0, 2]);
+});
+
+test("measures area and bbox", () => {
+  expect(maskStats(square, W, H)).toEqual({ area: 4, bbox: [1, 1, 2, 2] });
+  expect(maskStats(new Uint8Array(4), 2, 2).bbox).toBeNull();
+});
+
+test("traces and simplifies outer contours, one polygon per region", () => {
+  const bin = new Uint8Array(10 * 6);
+  for (let y = 1; y < 5; y++) for (let x = 1; x < 5; x++) bin[y * 10 + x] = 1; // 4x4 block
+  bin[2 * 10 + 8] = bin[2 * 10 + 7] = bin[3 * 10 + 7] = bin[3 * 10 + 8] = 1; // 2x2 block
+  const polys = maskPolygons(bin, 10, 6, { epsilon: 0.5 });
+  expect(polys).toHaveLength(2);
+  expect(polys[0]).toEqual([1, 1, 4, 1, 4, 4, 1, 4]);
+  expect(maskPolygons(bin, 10, 6, { minArea: 5 })).toHaveLength(1);
+});
+
+test("maps proto masks back through the letterbox, cropped to the box", () => {
+  // 8x4 source letterboxed into 8x8 (scale 1, 2px top padding); proto at the same resolution
+  const lb = { scale: 1, padLeft: 0, padTop: 2, canvas: { width: 8, height: 8 } };
+  const mask = new Float32Array(64).fill(1);
+  const det = { x1: 2, y1: 3, x2: 6, y2: 5 };
+  const bin = sourceMask(det, { mask, width: 8, height: 8 }, lb, 8, 4);
+  expect(maskStats(bin, 8, 4)).toEqual({ area: 8, bbox: [2, 1, 4, 2] });
+});
+
+test("builds a COCO instances document", () => {
+  const lb = { scale: 1, padLeft: 0, padTop: 0, canvas: { width: 4, height: 4 } };
+  const mask = Float32Array.from(square);
+  const result = {
+    dets: [{ x1: 0, y1: 0, x2: 4, y2: 4, cls: 1, score: 0.91234 }],
+    masks: [{ mask, width: 4, height: 4 }],
+    lb,
+  };
+  const instances = extractInstances(result, { width: W, height: H, labels: ["cat", "dog"] });
+  expect(instances[0]).toMatchObject({ label: "dog", area: 4, bbox: [1, 1, 2, 2] });
+
+  const coco = cocoInstances(instances, { fileName: "pets.jpg", width: W, height: H, labels: ["cat", "dog"] });
+  expect(coco.images).toEqual([{ id: 1, file_name: "pets.jpg", width: 4, height: 4 }]);
+  expect(coco.categories.map((c) => c.id)).toEqual([1, 2]);
+  expect(coco.annotations[0]).toMatchObject({ category_id: 2, area: 4, bbox: [1, 1, 2, 2], iscrowd: 0, score: 0.9123 });
+  expect(coco.annotations[0].segmentation[0].length).toBeGreaterThanOrEqual(6);
+
+  const rle = cocoInstances(instances, { fileName: "pets.jpg", width: W, height: H, segmentation: "rle" });
+  expect(rle.annotations[0].segmentation.counts).toEqual([5, 2, 2, 2, 5]);
+});
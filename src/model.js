@@ -0,0 +1,143 @@
+// model.js — shared ONNX Runtime setup and model loading
+import * as ort from "onnxruntime-web/webgpu";
+import { readOnnxMetadata } from "./modelConfig";
+import { createGpuIo } from "./gpuPipeline";
+import { readQuantization, ioPrecision, adaptSession, plainInput } from "./precision";
+
+// WASM/JSEP binaries copied from node_modules by scripts/copy-ort.js, so they always match
+// the installed onnxruntime-web JS and are available offline
+export const ORT_WASM_PATH = `${process.env.PUBLIC_URL}/ort/`;
+
+/** Execution providers the picker offers; "auto" is WebGPU when the browser has it, else WASM. */
+export const PROVIDERS = [
+  { id: "auto", label: "Auto" },
+  { id: "webgpu", label: "WebGPU" },
+  { id: "webnn", label: "WebNN" },
+  { id: "wasm", label: "WASM" },
+];
+
+export const PROVIDER_LABELS = { webgpu: "WebGPU", webnn: "WebNN", wasm: "WASM" };
+
+/**
+ * Runtime preferences: provider, WASM threads (0 = ORT's default) and SIMD flavour; on WebGPU,
+ * whether frames are preprocessed on the GPU and whether outputs stay there.
+ */
+export const DEFAULT_RUNTIME = { provider: "auto", numThreads: 0, simd: "fixed", gpuPreprocess: true, gpuOutputs: false };
+
+/** One-time ORT environment setup (WASM binaries location, GPU preference). */
+export function configureOrt() {
+  ort.env.logLevel = "error";
+  // Absolute, so the worker (whose own URL is under static/js/) resolves it the same way;
+  // `self` is the window on the page and the worker's global scope in the worker
+  // eslint-disable-next-line no-restricted-globals
+  ort.env.wasm.wasmPaths = new URL(ORT_WASM_PATH, self.location.href).href;
+  if (ort.env && ort.env.webgpu) {
+    ort.env.webgpu.powerPreference = "high-performance";
+  }
+}
+
+/**
+ * Providers to try, in order, for a preference. WASM always comes last as the fallback.
+ * @param {string} provider "auto" | "webgpu" | "webnn" | "wasm"
+ */
+export function providerCandidates(provider) {
+  const hasGpu = typeof navigator !== "undefined" && !!navigator.gpu;
+  if (provider === "webgpu" || provider === "webnn") return [provider, "wasm"];
+  if (provider === "wasm") return ["wasm"];
+  return hasGpu ? ["webgpu", "wasm"] : ["wasm"];
+}
+
+/** Why a provider can't even be tried here, or null. */
+function unavailableReason(provider) {
+  const nav = typeof navigator !== "undefined" ? navigator : {};
+  if (provider === "webgpu" && !nav.gpu) return "navigator.gpu is missing (WebGPU unsupported or disabled)";
+  if (provider === "webnn" && !nav.ml) return "navigator.ml is missing (WebNN unsupported or disabled)";
+  return null;
+}
+
+const providerOption = (provider) =>
+  provider === "webnn" ? { name: "webnn", deviceType: "gpu", powerPreference: "high-performance" } : provider;
+
+/** WASM thread/SIMD flags; they only take effect before ORT first initialises WASM in this context. */
+function applyRuntime({ numThreads = 0, simd = "fixed" } = {}) {
+  if (numThreads > 0) ort.env.wasm.numThreads = numThreads;
+  ort.env.wasm.simd = simd === "relaxed" ? "relaxed" : true;
+}
+
+/**
+ * Create an inference session on the preferred execution provider. Each candidate is tried
+ * on its own, so the provider reported is the one that really initialised; failures are
+ * kept with their reasons.
+ * @param {ArrayBuffer|Uint8Array|string} model model bytes or URL
+ * @param {object} options extra ort.InferenceSession options (e.g. externalData)
+ * @param {{provider?: string, numThreads?: number, simd?: string, gpuPreprocess?: boolean,
+ *   gpuOutputs?: boolean}} [runtime] see DEFAULT_RUNTIME
+ * @returns {Promise<{session: ort.InferenceSession, provider: string, attempts: Array<{provider: string, error: string}>,
+ *   usingWebGPU: boolean, gpu: object|null, precision: object, metadata: Record<string, string>}>}
+ *   session takes and returns float32 whatever the model's own precision (see precision.js, which
+ *   also describes `precision`); gpu is gpuPipeline's I/O helper on WebGPU sessions; metadata is
+ *   the model's metadata_props, read from the bytes (loadModelFromUrl fetches them too; only a
+ *   URL string passed here directly gets none)
+ */
+export async function createSession(model, options = {}, runtime = DEFAULT_RUNTIME) {
+  // ORT's JS API doesn't expose metadata_props, so read them from the bytes ourselves
+  const metadata = typeof model === "string" ? {} : readOnnxMetadata(model);
+  const quant = typeof model === "string" ? {} : readQuantization(model);
+  applyRuntime(runtime);
+  const attempts = [];
+  for (const provider of providerCandidates(runtime.provider)) {
+    const reason = unavailableReason(provider);
+    if (reason) {
+      attempts.push({ provider, error: reason });
+      continue;
+    }
+    const onGpu = provider === "webgpu";
+    try {
+      const session = await ort.InferenceSession.create(model, {
+        executionProviders: [providerOption(provider)],
+        ...(onGpu && runtime.gpuOutputs ? { preferredOutputLocation: "gpu-buffer" } : {}),
+        ...options,
+      });
+      const precision = ioPrecision(session, quant);
+      // The GPU letterbox writes float32 NCHW; other inputs go through adaptSession on the CPU
+      const gpu = onGpu ? await openGpuIo({ ...runtime, gpuPreprocess: runtime.gpuPreprocess !== false && plainInput(precision) }) : null;
+      return {
+        session: adaptSession(session, precision), provider, attempts, usingWebGPU: onGpu, gpu, precision, metadata,
+      };
+    } catch (err) {
+      attempts.push({ provider, error: err?.message || String(err) });
+    }
+  }
+  throw new Error(attempts.map((a) => `${PROVIDER_LABELS[a.provider]}: ${a.error}`).join(" · "));
+}
+
+/** GPU I/O for a WebGPU session; null (CPU pre/post-processing) when it isn't wanted or can't start. */
+async function openGpuIo({ gpuPreprocess = true, gpuOutputs = false }) {
+  if (!gpuPreprocess && !gpuOutputs) return null;
+  try {
+    return await createGpuIo({ preprocess: gpuPreprocess });
+  } catch (err) {
+    console.warn("GPU preprocessing unavailable, using the CPU path:", err);
+    return null;
+  }
+}
+
+/** Load a user-picked .onnx file. */
+export async function loadModelFromFile(file, runtime) {
+  const buffer = await file.arrayBuffer();
+  return createSession(buffer, {}, runtime);
+}
+
+/**
+ * Fetch a model served with the app (public/…).
+ * @param {{url: string, externalData?: string[]}} spec external data files sit next to the graph
+ */
+export async function loadModelFromUrl({ url, externalData = [] }, runtime) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  const buffer = await res.arrayBuffer();
+  const dir = url.slice(0, url.lastIndexOf("/"));
+  return createSession(buffer, {
+    externalData: externalData.map((path) => ({ path, data: `${dir}/${path}` })),
+  }, runtime);
+}
@@ -0,0 +1,216 @@
+// modelConfig.js — read Ultralytics export metadata and derive app settings from it
+import { metadataHeads, pickDecoder, getDecoder } from "./decoders";
+import { parseKptShape } from "./pose";
+
+// ModelProto field numbers (onnx.proto)
+const MODEL_METADATA_PROPS = 14;
+const ENTRY_KEY = 1;
+const ENTRY_VALUE = 2;
+
+// Ultralytics task → app mode id (null: no mode for that task yet)
+const TASK_MODES = { detect: "detect", segment: "segment", pose: "pose", obb: null, classify: null };
+
+function readVarint(bytes, pos) {
+  let value = 0;
+  let shift = 1;
+  for (;;) {
+    const b = bytes[pos++];
+    value += (b & 0x7f) * shift;
+    if (b < 0x80) return [value, pos];
+    shift *= 128;
+  }
+}
+
+/**
+ * Walk protobuf fields of a message, calling visit(field, wireType, bytesOrValue): varints
+ * as numbers, length-delimited and fixed32/fixed64 fields as byte views.
+ */
+export function scanFields(bytes, visit) {
+  let pos = 0;
+  while (pos < bytes.length) {
+    let key;
+    [key, pos] = readVarint(bytes, pos);
+    const field = Math.floor(key / 8);
+    const wire = key & 7;
+    if (wire === 0) {
+      let v;
+      [v, pos] = readVarint(bytes, pos);
+      visit(field, wire, v);
+    } else if (wire === 1) {
+      visit(field, wire, bytes.subarray(pos, pos + 8));
+      pos += 8;
+    } else if (wire === 5) {
+      visit(field, wire, bytes.subarray(pos, pos + 4));
+      pos += 4;
+    } else if (wire === 2) {
+      let len;
+      [len, pos] = readVarint(bytes, pos);
+      visit(field, wire, bytes.subarray(pos, pos + len));
+      pos += len;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wire}`);
+    }
+  }
+}
+
+/**
+ * Read the ONNX model's metadata_props (key/value strings) from raw model bytes.
+ * Only top-level fields are scanned, so large graphs are skipped over, not parsed.
+ * @param {ArrayBuffer|Uint8Array} model
+ * @returns {Record<string, string>}
+ */
+export function readOnnxMetadata(model) {
+  const bytes = model instanceof Uint8Array ? model : new Uint8Array(model);
+  const decoder = new TextDecoder();
+  const props = {};
+  try {
+    scanFields(bytes, (field, wire, value) => {
+      if (field !== MODEL_METADATA_PROPS || wire !== 2) return;
+      let key = "", text = "";
+      scanFields(value, (f, w, v) => {
+        if (w !== 2) return;
+        if (f === ENTRY_KEY) key = decoder.decode(v);
+        else if (f === ENTRY_VALUE) text = decoder.decode(v);
+      });
+      if (key) props[key] = text;
+    });
+  } catch (err) {
+    console.warn("Could not read ONNX metadata:", err);
+  }
+  return props;
+}
+
+/**
+ * Parse Ultralytics `names`, a Python dict repr like "{0: 'person', 1: "bob's"}".
+ * @returns {string[]|null} names indexed by class id
+ */
+export function parseNamesDict(text) {
+  if (!text) return null;
+  const names = [];
+  const re = /(\d+)\s*:\s*(?:'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)")/g;
+  let m;
+  while ((m = re.exec(text))) {
+    names[parseInt(m[1], 10)] = (m[2] ?? m[3]).replace(/\\(.)/g, "$1");
+  }
+  if (!names.length) return null;
+  for (let i = 0; i < names.length; i++) if (names[i] === undefined) names[i] = `cls ${i}`;
+  return names;
+}
+
+/** Parse Ultralytics `imgsz` ("[640, 640]" or "640") into [h, w]. */
+function parseImgsz(text) {
+  if (!text) return null;
+  const nums = (text.match(/\d+/g) || []).map(Number);
+  if (!nums.length) return null;
+  return nums.length === 1 ? [nums[0], nums[0]] : nums.slice(0, 2);
+}
+
+/** Static [h, w] of the first input (NCHW, or NHWC when the last dim is 3), or null when the dims are symbolic. */
+export function staticInputHW(info) {
+  const shape = info?.inputMetadata?.[0]?.shape || [];
+  const [h, w] = shape[1] !== 3 && shape[3] === 3 ? [shape[1], shape[2]] : [shape[2], shape[3]];
+  return typeof h === "number" && typeof w === "number" && h > 0 && w > 0 ? [h, w] : null;
+}
+
+/** Guess the task from output shapes when the model carries no metadata. */
+function taskFromOutputs(info) {
+  const outs = info?.outputMetadata || [];
+  if (outs.length >= 2 && outs[1]?.shape?.length === 4) return "segment";
+  return null;
+}
+
+/**
+ * Class count implied by static output shapes: [1, 4+nc(+maskDim | +K·D), N] heads,
+ * with the mask dimension taken from a [1, maskDim, h, w] prototype output and the
+ * keypoint block from kpt_shape.
+ */
+function classCountFromOutputs(info, kptShape) {
+  const [head, proto] = info?.outputMetadata || [];
+  const shape = head?.shape || [];
+  if (shape.length !== 3 || typeof shape[1] !== "number" || typeof shape[2] !== "number") return null;
+  const attrs = Math.min(shape[1], shape[2]);
+  const maskDim = proto?.shape?.length === 4 && typeof proto.shape[1] === "number" ? proto.shape[1] : 0;
+  if (maskDim) return attrs - 4 - maskDim;
+  if (kptShape) return attrs - 4 - kptShape[0] * kptShape[1];
+  return attrs === 85 ? 80 : attrs - 4; // v5 heads carry an objectness column
+}
+
+/**
+ * Derive app settings from a loaded model. `decoder` is the output decoder the shapes point to
+ * (decoders.js); non-YOLO heads carry no class count the raw-head rule could read.
+ * @param {{inputMetadata?: Array, outputMetadata?: Array}} info session (or worker-side copy)
+ * @param {Record<string, string>} metadata from readOnnxMetadata
+ * @returns {{task: string|null, mode: string|null, labels: string[]|null, inputSize: number|null,
+ *   inputHW: number[]|null, staticInput: boolean, stride: number|null, numClasses: number|null,
+ *   decoder: string, kptShape: number[]|null, fromMetadata: boolean}} kptShape: [K, D] keypoints of pose models
+ */
+export function modelConfig(info, metadata = {}) {
+  const task = metadata.task || taskFromOutputs(info);
+  const staticHW = staticInputHW(info);
+  const inputHW = staticHW || parseImgsz(metadata.imgsz);
+  const stride = metadata.stride ? parseInt(metadata.stride, 10) : null;
+  const labels = parseNamesDict(metadata.names);
+  const kptShape = parseKptShape(metadata.kpt_shape);
+  const heads = metadataHeads(info);
+  const decoder = pickDecoder(heads, "auto", metadata);
+  const shapeClasses = decoder.id === "yolo"
+    ? classCountFromOutputs(info, kptShape)
+    : decoder.numClasses?.(heads, metadata) ?? null;
+  return {
+    task,
+    mode: task ? TASK_MODES[task] ?? null : null,
+    labels,
+    inputSize: inputHW ? Math.max(inputHW[0], inputHW[1]) : null,
+    inputHW,
+    staticInput: !!staticHW,
+    stride: Number.isFinite(stride) ? stride : null,
+    numClasses: labels ? labels.length : shapeClasses > 0 ? shapeClasses : null,
+    decoder: decoder.id,
+    kptShape,
+    fromMetadata: Object.keys(metadata).length > 0,
+  };
+}
+
+/** One-line description of the model for the model panel. */
+export function describeConfig(config) {
+  const parts = [];
+  if (config.task) parts.push(`task ${config.task}`);
+  if (config.inputHW) parts.push(`${config.inputHW[1]}×${config.inputHW[0]}${config.staticInput ? "" : " (dynamic)"}`);
+  if (config.numClasses) parts.push(`${config.numClasses} classes`);
+  if (config.stride) parts.push(`stride ${config.stride}`);
+  if (config.kptShape) parts.push(`${config.kptShape[0]} keypoints`);
+  if (config.decoder && config.decoder !== "yolo" && (!config.task || config.task === "detect")) parts.push(getDecoder(config.decoder).label);
+  return parts.join(" · ");
+}
+
+/**
+ * Settings the user entered that contradict the loaded model.
+ * @param {string[]|null} labels the label set in use for this model
+ * @returns {string[]} human-readable warnings
+ */
+export function configWarnings(config, settings, mode, labels = null) {
+  if (!config) return [];
+  const warnings = [];
+  if (config.task && config.mode !== mode.id) {
+    warnings.push(
+      config.mode
+        ? `Model task is "${config.task}" but this is the ${mode.label} mode.`
+        : `Model task "${config.task}" isn't supported by this app yet; results may be wrong.`
+    );
+  }
+  if (config.staticInput) {
+    // Pipelines feed fixed-shape models their own H×W whatever the settings say
+    if (settings.inputSize !== config.inputSize) {
+      warnings.push(`The model's input is fixed at ${config.inputHW[1]}×${config.inputHW[0]}; input size ${settings.inputSize} is ignored.`);
+    }
+  } else if (config.inputSize && settings.inputSize !== config.inputSize) {
+    warnings.push(`Input size ${settings.inputSize} differs from the ${config.inputSize} the model was exported at.`);
+  }
+  if (!config.staticInput && config.stride && settings.inputSize % config.stride !== 0) {
+    warnings.push(`Input size ${settings.inputSize} isn't a multiple of the model stride ${config.stride}.`);
+  }
+  if (labels && config.numClasses && labels.length !== config.numClasses) {
+    warnings.push(`Label set has ${labels.length} names but the model predicts ${config.numClasses} classes.`);
+  }
+  return warnings;
+}
@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ */
+import { readOnnxMetadata, parseNamesDict, modelConfig, configWarnings } from "./modelConfig";
+
+// Minimal protobuf writer for length-delimited fields
+const enc = new TextEncoder();
+function varint(n) {
+  const out = [];
+  while (n >= 0x80) { out.push((n & 0x7f) | 0x80); n = Math.floor(n / 128); }
+  out.push(n);
+  return out;
+}
+function field(num, bytes) {
+  return [...varint(num * 8 + 2), ...varint(bytes.length), ...bytes];
+}
+function str(num, text) {
+  return field(num, Array.from(enc.encode(text)));
+}
+function onnxModel(props) {
+  const bytes = [
+    8, 9,                              // ir_version = 9 (varint field)
+    ...str(2, "pytorch"),              // producer_name
+    ...field(7, new Array(300).fill(0)), // graph, skipped over
+  ];
+  for (const [k, v] of Object.entries(props)) bytes.push(...field(14, [...str(1, k), ...str(2, v)]));
+  return new Uint8Array(bytes).buffer;
+}
+
+const ULTRALYTICS = {
+  task: "segment",
+  stride: "32",
+  imgsz: "[640, 640]",
+  names: "{0: 'person', 1: \"bob's car\", 2: 'traffic light'}",
+};
+
+test("reads metadata_props from model bytes", () => {
+  expect(readOnnxMetadata(onnxModel(ULTRALYTICS))).toEqual(ULTRALYTICS);
+  expect(readOnnxMetadata(onnxModel({}))).toEqual({});
+});
+
+test("parses Ultralytics names dicts", () => {
+  expect(parseNamesDict(ULTRALYTICS.names)).toEqual(["person", "bob's car", "traffic light"]);
+  expect(parseNamesDict("{0: 'a', 2: 'c'}")).toEqual(["a", "cls 1", "c"]);
+  expect(parseNamesDict("")).toBeNull();
+});
+
+test("derives task, labels and input size", () => {
+  const info = { inputMetadata: [{ shape: ["batch", 3, "height", "width"] }] };
+  const config = modelConfig(info, ULTRALYTICS);
+  expect(config).toMatchObject({
+    task: "segment", mode: "segment", inputSize: 640, staticInput: false, stride: 32,
+  });
+  expect(config.labels).toHaveLength(3);
+
+  // Static input dims win over imgsz
+  const fixed = modelConfig({ inputMetadata: [{ shape: [1, 3, 320, 320] }] }, ULTRALYTICS);
+  expect(fixed).toMatchObject({ inputSize: 320, staticInput: true });
+
+  // Rectangular and channels-last exports
+  expect(modelConfig({ inputMetadata: [{ shape: [1, 3, 384, 640] }] })).toMatchObject({ inputHW: [384, 640], inputSize: 640 });
+  expect(modelConfig({ inputMetadata: [{ shape: [1, 320, 480, 3] }] })).toMatchObject({ inputHW: [320, 480], staticInput: true });
+});
+
+test("warns when settings contradict the model", () => {
+  const config = modelConfig({ inputMetadata: [{ shape: [1, 3, 640, 640] }] }, { task: "detect", stride: "32" });
+  const mode = { id: "segment", label: "Segmentation" };
+  const warnings = configWarnings(config, { inputSize: 500 }, mode);
+  expect(warnings).toHaveLength(2);
+  expect(warnings[0]).toMatch(/task is "detect"/);
+  expect(warnings[1]).toMatch(/fixed at 640×640; input size 500 is ignored/);
+
+  // Dynamic models run at the chosen size, which should still suit the stride
+  const dynamic = modelConfig({ inputMetadata: [{ shape: [1, 3, "h", "w"] }] }, { imgsz: "[640, 640]", stride: "32" });
+  const dynWarnings = configWarnings(dynamic, { inputSize: 500 }, { id: "detect", label: "Detection" });
+  expect(dynWarnings).toEqual([
+    "Input size 500 differs from the 640 the model was exported at.",
+    "Input size 500 isn't a multiple of the model stride 32.",
+  ]);
+  expect(configWarnings(config, { inputSize: 640 }, { id: "detect", label: "Detection" })).toEqual([]);
+});
+
+test("counts classes from output shapes and flags mismatched label sets", () => {
+  const seg = { outputMetadata: [{ shape: [1, 116, 8400] }, { shape: [1, 32, 160, 160] }] };
+  expect(modelConfig(seg).numClasses).toBe(80);
+  const config = modelConfig({ outputMetadata: [{ shape: [1, 7, 8400] }] });
+  expect(config.numClasses).toBe(3);
+
+  const mode = { id: "detect", label: "Detection" };
+  expect(configWarnings(config, { inputSize: 640 }, mode, ["a", "b", "c"])).toEqual([]);
+  expect(configWarnings(config, { inputSize: 640 }, mode, ["a", "b"])[0]).toMatch(/2 names .* 3 classes/);
+});
@@ -0,0 +1,157 @@
+// modelLibrary.js — uploaded models kept in IndexedDB with their labels and settings,
+// so a reload can restore them without re-picking the file
+
+const DB_NAME = "onnx-model-library";
+const DB_VERSION = 1;
+const MODELS = "models"; // { id, name, fileName, size, modeId, labels, labelSource, settings, addedAt, lastUsedAt }
+const FILES = "files";   // { id, blob }, apart from the metadata so edits don't rewrite the model
+const LAST_USED_KEY = "modelLibrary.lastUsed"; // localStorage: { [modeId]: id | null }
+
+// Settings that belong to a model (size, thresholds, input range); tracking stays a session choice
+const PERSISTED_SETTINGS = [
+  "inputSize", "letterbox", "decoder", "confThreshold", "iouThreshold", "maxDet", "maskThreshold", "kptThreshold", "signedInput",
+];
+
+export const librarySupported = typeof indexedDB !== "undefined";
+
+let dbPromise = null;
+
+function openDb() {
+  if (!librarySupported) return Promise.reject(new Error("IndexedDB isn't available in this browser"));
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(MODELS)) db.createObjectStore(MODELS, { keyPath: "id" });
+        if (!db.objectStoreNames.contains(FILES)) db.createObjectStore(FILES, { keyPath: "id" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/** Run `fn(stores)` in one transaction; resolves with its request's result once committed. */
+async function transact(storeNames, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const stores = Object.fromEntries(storeNames.map((name) => [name, tx.objectStore(name)]));
+    const req = fn(stores);
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Model library transaction aborted"));
+  });
+}
+
+/** The subset of a mode's settings stored with a model. */
+export function persistedSettings(settings) {
+  return Object.fromEntries(PERSISTED_SETTINGS.filter((k) => settings?.[k] !== undefined).map((k) => [k, settings[k]]));
+}
+
+/** Stored models (metadata only), most recently used first. */
+export async function listModels() {
+  const records = await transact([MODELS], "readonly", (s) => s.models.getAll());
+  return (records || []).sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+}
+
+/**
+ * Store a model file with what the app knows about it.
+ * @param {{name: string, modeId: string, blob: Blob, labels?: string[]|null, labelSource?: string,
+ *   settings?: object}} entry
+ * @returns {Promise<object>} the stored metadata record (with its new id)
+ */
+export async function saveModel({ name, modeId, blob, labels = null, labelSource = "", settings = {} }) {
+  const now = Date.now();
+  const record = {
+    id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    fileName: name,
+    size: blob.size,
+    modeId,
+    labels,
+    labelSource,
+    settings: persistedSettings(settings),
+    addedAt: now,
+    lastUsedAt: now,
+  };
+  // Ask for storage the browser won't evict under pressure; it may say no
+  navigator.storage?.persist?.().catch(() => {});
+  await transact([MODELS, FILES], "readwrite", (s) => {
+    s.files.put({ id: record.id, blob });
+    return s.models.put(record);
+  });
+  return record;
+}
+
+/** Metadata record plus the model file as `blob`, or null when it's gone. */
+export async function getModel(id) {
+  let modelReq, fileReq;
+  await transact([MODELS, FILES], "readonly", (s) => {
+    modelReq = s.models.get(id);
+    fileReq = s.files.get(id);
+  });
+  if (!modelReq.result || !fileReq.result) return null;
+  return { ...modelReq.result, blob: fileReq.result.blob };
+}
+
+/** Merge `patch` into a model's metadata (name, labels, settings, lastUsedAt…). */
+export async function updateModel(id, patch) {
+  await transact([MODELS], "readwrite", (s) => {
+    const req = s.models.get(id);
+    req.onsuccess = () => {
+      if (req.result) s.models.put({ ...req.result, ...patch, id });
+    };
+  });
+}
+
+export async function deleteModel(id) {
+  await transact([MODELS, FILES], "readwrite", (s) => {
+    s.files.delete(id);
+    s.models.delete(id);
+  });
+  const lastUsed = readLastUsed();
+  for (const modeId of Object.keys(lastUsed)) if (lastUsed[modeId] === id) lastUsed[modeId] = null;
+  writeLastUsed(lastUsed);
+}
+
+function readLastUsed() {
+  try {
+    return JSON.parse(localStorage.getItem(LAST_USED_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function writeLastUsed(value) {
+  try {
+    localStorage.setItem(LAST_USED_KEY, JSON.stringify(value));
+  } catch {}
+}
+
+/** Remember which stored model a mode used last (null: a bundled model or none). */
+export function setLastUsed(modeId, id) {
+  writeLastUsed({ ...readLastUsed(), [modeId]: id });
+}
+
+/** Id of the stored model to restore for a mode on startup, if any. */
+export function lastUsedId(modeId) {
+  return readLastUsed()[modeId] || null;
+}
+
+/** "12.3 MB" */
+export function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  const units = ["KB", "MB", "GB"];
+  let v = n, i = -1;
+  do {
+    v /= 1024;
+    i++;
+  } while (v >= 1024 && i < units.length - 1);
+  return `${v.toFixed(1)} ${units[i]}`;
+}
@@ -0,0 +1,22 @@
+import { persistedSettings, formatBytes, setLastUsed, lastUsedId } from "./modelLibrary";
+
+test("stores model settings but not session choices", () => {
+  expect(persistedSettings({ inputSize: 320, confThreshold: 0.4, track: true, trails: false, maxDet: 20 }))
+    .toEqual({ inputSize: 320, confThreshold: 0.4, maxDet: 20 });
+  expect(persistedSettings(undefined)).toEqual({});
+});
+
+test("remembers the last-used stored model per mode", () => {
+  setLastUsed("detect", "abc");
+  setLastUsed("segment", "def");
+  setLastUsed("detect", null);
+  expect(lastUsedId("detect")).toBeNull();
+  expect(lastUsedId("segment")).toBe("def");
+  expect(lastUsedId("keypoints")).toBeNull();
+});
+
+test("formats model sizes", () => {
+  expect(formatBytes(512)).toBe("512 B");
+  expect(formatBytes(2048)).toBe("2.0 KB");
+  expect(formatBytes(12.5 * 1024 * 1024)).toBe("12.5 MB");
+});
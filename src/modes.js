@@ -0,0 +1,249 @@
+// modes.js — task pipelines the app shell can route to
+import {
+  nonMaxSuppression,
+  drawDetectionsOnSource,
+  drawYoloSegMasksCropped,
+  MASK_THRESHOLD,
+  unletterbox,
+} from "./utils";
+import {
+  letterbox as letterboxKeys,
+  toNchwFloat32 as toNchwFloat32Keys,
+  decodeHands,
+  mapHandsToSource,
+  drawHands,
+} from "./utils_keys";
+import { runYolo } from "./detector";
+import { DECODERS, getDecoder } from "./decoders";
+import { drawPoses } from "./pose";
+import { maskFiles } from "./maskExport";
+import { detectionFiles } from "./detectionExport";
+import { stageClock } from "./profiler";
+import { cpuOutputs, releaseOutputs } from "./gpuPipeline";
+
+//
+// Each mode describes its settings and how to turn a frame into a result:
+//   infer(session, source, settings, gpu) → result   (source is an image, video, canvas or
+//     bitmap; gpu is gpuPipeline's WebGPU I/O or null, and outputs may be GPU-resident when it's
+//     set); results carry `timings` ({ stage: ms }, see profiler.js) for the benchmark and live stats
+//   draw(result, source, canvas, { overlay, settings })
+// Settings also carry `labels` (the model's class names or an uploaded label file,
+// null for COCO), `numClasses` (from the model's metadata or output shapes), `stride`
+// (the model's max stride from metadata, null when unknown) and `kptShape` (pose models'
+// [K, D] keypoint layout, null when unknown).
+//   summary(result) → short status text
+//   trackTargets?(result, width, height) → [{ x1, y1, x2, y2, score, cls, item }] in source pixels;
+//     live runs with tracking on feed these to the tracker and set item.trackId
+//   exports?: [{ id, label, files(result, { fileName, width, height, settings }) → Promise<[{ name, data }]> }]
+//     label/mask files for one image, offered as downloads and bundled by batch runs
+// The shell owns model loading, sources, the settings panel and live loops; models shipped
+// with the build are listed in public/models/manifest.json (see registry.js).
+//
+
+const SHARED_SETTINGS = [
+  { key: "inputSize", label: "Input size", type: "int" },
+  { key: "confThreshold", label: "Confidence threshold", type: "float", step: 0.01, min: 0, max: 1 },
+  { key: "iouThreshold", label: "IoU threshold (NMS)", type: "float", step: 0.01, min: 0, max: 1 },
+];
+
+// YOLO inputs: "auto" pads the fitted frame only up to the stride (dynamic-shape models)
+const LETTERBOX_SETTING = {
+  key: "letterbox", label: "Letterbox", type: "select",
+  options: [["auto", "Fit the frame (minimal padding)"], ["square", "Square (size × size)"]],
+};
+
+// Webcam / video-file runs only
+const TRACK_SETTINGS = [
+  { key: "track", label: "Track objects across frames (live)", type: "bool" },
+  { key: "trails", label: "Show motion trails", type: "bool" },
+];
+const TRACK_DEFAULTS = { track: false, trails: false };
+
+/** Tracker input for letterboxed YOLO detections. */
+function yoloTrackTargets({ dets, lb }, width, height) {
+  return dets.map((d) => ({ ...unletterbox(d, lb, width, height), score: d.score, cls: d.cls, item: d }));
+}
+
+// === Detection ===
+const detect = {
+  id: "detect",
+  label: "Detection",
+  title: "ONNX Object Detection",
+  hint: "Tip: YOLOv5/v8/v11 detection exports.",
+  footer: "Parser auto-detects Ultralytics YOLO v8/v11 and classic v5.",
+  defaults: {
+    inputSize: 640, letterbox: "auto", decoder: "auto", confThreshold: 0.25, iouThreshold: 0.45, ...TRACK_DEFAULTS,
+  },
+  settings: [
+    ...SHARED_SETTINGS,
+    LETTERBOX_SETTING,
+    {
+      key: "decoder", label: "Output format", type: "select",
+      options: [["auto", "Auto-detect"], ...DECODERS.map((d) => [d.id, d.label])],
+    },
+    ...TRACK_SETTINGS,
+  ],
+
+  infer(session, source, s, gpu) {
+    return runYolo(session, source, {
+      task: "detect", inputSize: s.inputSize, conf: s.confThreshold, iou: s.iouThreshold,
+      auto: s.letterbox === "auto", stride: s.stride ?? undefined, decoder: s.decoder,
+      modelDecoder: s.modelDecoder ?? undefined, gpu,
+    });
+  },
+  draw({ dets, lb }, source, canvas, { overlay, settings }) {
+    drawDetectionsOnSource(dets, source, lb, canvas, { overlay, labels: settings.labels });
+  },
+  summary: ({ dets, decoder }) =>
+    `Detections: ${dets.length}${decoder && decoder !== "yolo" ? ` · ${getDecoder(decoder).label}` : ""}`,
+  trackTargets: yoloTrackTargets,
+  exports: [
+    ["coco", "COCO JSON"],
+    ["yolo", "YOLO txt"],
+    ["voc", "Pascal VOC XML"],
+  ].map(([format, label]) => ({
+    id: format,
+    label,
+    async files(result, { fileName, width, height, settings }) {
+      return detectionFiles(format, result, { fileName, width, height, labels: settings.labels });
+    },
+  })),
+};
+
+// === Segmentation (YOLOv8-seg) ===
+const segment = {
+  id: "segment",
+  label: "Segmentation",
+  title: "ONNX Instance Segmentation",
+  hint: "Tip: YOLOv8/v11-seg exports (detections + mask prototypes).",
+  footer: "Masks are cropped to each box and mapped back through the letterbox.",
+  defaults: {
+    inputSize: 640, letterbox: "auto", confThreshold: 0.5, iouThreshold: 0.45, maxDet: 50,
+    maskThreshold: MASK_THRESHOLD, ...TRACK_DEFAULTS,
+  },
+  settings: [
+    ...SHARED_SETTINGS,
+    LETTERBOX_SETTING,
+    { key: "maxDet", label: "Max instances", type: "int", min: 1 },
+    { key: "maskThreshold", label: "Mask threshold", type: "float", step: 0.01, min: 0, max: 1 },
+    ...TRACK_SETTINGS,
+  ],
+
+  infer(session, source, s, gpu) {
+    return runYolo(session, source, {
+      task: "segment", inputSize: s.inputSize, conf: s.confThreshold, iou: s.iouThreshold,
+      auto: s.letterbox === "auto", stride: s.stride ?? undefined,
+      maxDet: s.maxDet, numClasses: s.numClasses, gpu,
+    });
+  },
+  draw({ dets, masks, lb }, source, canvas, { overlay, settings }) {
+    drawYoloSegMasksCropped(dets, masks, lb, source, canvas, {
+      overlay, labels: settings.labels, maskThreshold: settings.maskThreshold,
+    });
+  },
+  summary: ({ dets }) => `Instances: ${dets.length}`,
+  trackTargets: yoloTrackTargets,
+  exports: [
+    { id: "masks", label: "Masks (COCO + PNGs)", json: false },
+    { id: "coco", label: "COCO instances JSON", json: true },
+  ].map(({ id, label, json }) => ({
+    id,
+    label,
+    files(result, { fileName, width, height, settings }) {
+      return maskFiles(result, {
+        fileName, width, height, json, labels: settings.labels, maskThreshold: settings.maskThreshold,
+      });
+    },
+  })),
+};
+
+// === Pose (YOLOv8/YOLO11-pose) ===
+const pose = {
+  id: "pose",
+  label: "Pose",
+  title: "ONNX Pose Estimation",
+  hint: "Tip: YOLOv8/YOLO11-pose exports (person boxes + 17 COCO keypoints).",
+  footer: "Keypoints are mapped back through the letterbox; joints below the keypoint confidence are hidden.",
+  defaults: {
+    inputSize: 640, letterbox: "auto", confThreshold: 0.25, iouThreshold: 0.45, kptThreshold: 0.5,
+    ...TRACK_DEFAULTS,
+  },
+  settings: [
+    ...SHARED_SETTINGS,
+    LETTERBOX_SETTING,
+    { key: "kptThreshold", label: "Keypoint confidence", type: "float", step: 0.01, min: 0, max: 1 },
+    ...TRACK_SETTINGS,
+  ],
+
+  infer(session, source, s, gpu) {
+    return runYolo(session, source, {
+      task: "pose", inputSize: s.inputSize, conf: s.confThreshold, iou: s.iouThreshold,
+      auto: s.letterbox === "auto", stride: s.stride ?? undefined, kptShape: s.kptShape ?? undefined, gpu,
+    });
+  },
+  draw({ dets, lb }, source, canvas, { overlay, settings }) {
+    drawPoses(dets, source, lb, canvas, { overlay, kptThresh: settings.kptThreshold, labels: settings.labels });
+  },
+  summary: ({ dets }) => `Poses: ${dets.length}`,
+  trackTargets: yoloTrackTargets,
+};
+
+// === Hand keypoints ===
+const MAX_HANDS = 4;
+
+const keypoints = {
+  id: "keypoints",
+  label: "Keypoints",
+  title: "ONNX Hand Keypoints",
+  hint: "Palm detectors (box_coords + box_scores) and 21-point landmark heads are supported.",
+  footer:
+    "A palm detector only places the wrist, knuckle and thumb-base joints, so just those joints and the " +
+    "bones between them are drawn; load a 21-point landmark model for the full skeleton. " +
+    "Joints below the confidence threshold are hidden.",
+  defaults: {
+    inputSize: 256, confThreshold: 0.5, iouThreshold: 0.3, kptThreshold: 0.3, signedInput: true,
+    ...TRACK_DEFAULTS,
+  },
+  settings: [
+    ...SHARED_SETTINGS,
+    { key: "kptThreshold", label: "Joint confidence", type: "float", step: 0.01, min: 0, max: 1 },
+    { key: "signedInput", label: "Normalize input to [-1, 1]", type: "bool" },
+    ...TRACK_SETTINGS,
+  ],
+
+  async infer(session, source, s, gpu) {
+    const clock = stageClock();
+    let lb, inputTensor;
+    if (gpu?.letterbox) {
+      ({ lb, tensor: inputTensor } = gpu.letterbox(source, s.inputSize, { signed: s.signedInput }));
+      clock.lap("letterbox");
+    } else {
+      lb = letterboxKeys(source, s.inputSize);
+      clock.lap("letterbox");
+      inputTensor = toNchwFloat32Keys(lb.canvas, s.signedInput);
+      clock.lap("toNchwFloat32");
+    }
+    const raw = await session.run({ [session.inputNames[0]]: inputTensor });
+    clock.lap("session.run");
+    const results = await cpuOutputs(raw);
+    releaseOutputs(raw);
+    const candidates = decodeHands(results, s.inputSize, s.confThreshold);
+    clock.lap("decodeHands");
+    const hands = mapHandsToSource(nonMaxSuppression(candidates, s.iouThreshold, MAX_HANDS), lb);
+    clock.lap("nonMaxSuppression");
+    return { hands, timings: clock.timings };
+  },
+  draw({ hands }, source, canvas, { overlay, settings }) {
+    drawHands(hands, source, canvas, { overlay, kptThresh: settings.kptThreshold, labels: settings.labels });
+  },
+  summary: ({ hands }) => `Hands: ${hands.length}`,
+  trackTargets: ({ hands }) => hands.map((h) => ({ x1: h.x1, y1: h.y1, x2: h.x2, y2: h.y2, score: h.score, item: h })),
+};
+
+export const MODES = [detect, segment, pose, keypoints];
+export const DEFAULT_MODE = detect.id;
+
+/** Look up a mode by route id, falling back to detection. */
+export function getMode(id) {
+  return MODES.find((m) => m.id === id) || detect;
+}
@@ -0,0 +1,18 @@
+// offline.js — registers public/service-worker.js so the installed app (shell, ONNX Runtime
+// binaries and bundled models it has used) keeps working without a network. Production only:
+// a caching worker would fight the dev server's hot reload.
+
+/** Register the service worker once the page has loaded. */
+export function registerServiceWorker() {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", async () => {
+    try {
+      await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+      const registration = await navigator.serviceWorker.ready;
+      // Pick up a new build's assets even when the worker script itself hasn't changed
+      registration.active?.postMessage({ type: "precache" });
+    } catch (err) {
+      console.error("Service worker registration failed:", err);
+    }
+  });
+}
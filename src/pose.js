@@ -0,0 +1,143 @@
+// pose.js — YOLOv8/YOLO11-pose heads: per-anchor box, class scores and K×(x, y, conf)
+// keypoints, mapped back through the letterbox and drawn as a COCO skeleton
+import { yoloHeadShape, sourceSize, unletterbox, trackColor, boxLabel } from "./utils";
+
+export const COCO_KEYPOINTS = [
+  "nose", "left_eye", "right_eye", "left_ear", "right_ear",
+  "left_shoulder", "right_shoulder", "left_elbow", "right_elbow", "left_wrist", "right_wrist",
+  "left_hip", "right_hip", "left_knee", "right_knee", "left_ankle", "right_ankle",
+];
+
+// Limb pairs (0-based) from the COCO keypoint annotations
+export const COCO_SKELETON = [
+  [15, 13], [13, 11], [16, 14], [14, 12], [11, 12], [5, 11], [6, 12], [5, 6], [5, 7],
+  [6, 8], [7, 9], [8, 10], [1, 2], [0, 1], [0, 2], [1, 3], [2, 4], [3, 5], [4, 6],
+];
+
+// Limb colours as Ultralytics draws them: legs, torso, arms, head
+const LIMB_COLORS = [
+  "#00FF00", "#00FF00", "#00FF00", "#00FF00", "#FF33FF", "#FF33FF", "#FF33FF", "#3399FF", "#3399FF",
+  "#3399FF", "#3399FF", "#3399FF", "#FF8000", "#FF8000", "#FF8000", "#FF8000", "#FF8000", "#FF8000", "#FF8000",
+];
+
+export const DEFAULT_KPT_SHAPE = [17, 3];
+
+/** Parse Ultralytics `kpt_shape` metadata ("[17, 3]") into [K, D], or null. */
+export function parseKptShape(text) {
+  const nums = (String(text ?? "").match(/\d+/g) || []).map(Number);
+  return nums.length === 2 && nums[0] > 0 && (nums[1] === 2 || nums[1] === 3) ? nums : null;
+}
+
+/**
+ * Parse a pose head into person (or other class) boxes with keypoints. Auto-detects the layout
+ * like parseYolo. Each anchor row is 4 box values (cx, cy, w, h), the class scores, then K
+ * keypoints of D values: x, y in model-input pixels and, when D is 3, a confidence already
+ * passed through a sigmoid by the export.
+ * @param {ort.Tensor} output pose head, e.g. [1, 56, 8400] for one class and 17 keypoints
+ * @param {number} confThresh box score threshold
+ * @param {{kptShape?: number[]}} [opts] [K, D] from the model's kpt_shape metadata
+ * @returns {Array<{x1:number,y1:number,x2:number,y2:number,score:number,cls:number,
+ *   keypoints: Array<{x:number,y:number,score:number}>}>} before NMS
+ */
+export function parseYoloPose(output, confThresh, { kptShape = DEFAULT_KPT_SHAPE } = {}) {
+  const data = output.cpuData || output.data;
+  const { numPred, stride, transposed } = yoloHeadShape(output.dims || []);
+  const getAt = (i, k) => (transposed ? data[k * numPred + i] : data[i * stride + k]);
+  const [numKpts, kptDim] = kptShape;
+  const numClasses = stride - 4 - numKpts * kptDim;
+  if (numClasses < 1) {
+    throw new Error(`Pose head with ${stride} attributes doesn't fit ${numKpts}×${kptDim} keypoints`);
+  }
+
+  const dets = [];
+  for (let i = 0; i < numPred; i++) {
+    let score = -Infinity, cls = -1;
+    for (let c = 0; c < numClasses; c++) {
+      const s = getAt(i, 4 + c);
+      if (s > score) { score = s; cls = c; }
+    }
+    if (score < confThresh) continue;
+
+    const cx = getAt(i, 0), cy = getAt(i, 1), w = getAt(i, 2), h = getAt(i, 3);
+    const keypoints = [];
+    for (let k = 0; k < numKpts; k++) {
+      const base = 4 + numClasses + k * kptDim;
+      keypoints.push({ x: getAt(i, base), y: getAt(i, base + 1), score: kptDim === 3 ? getAt(i, base + 2) : 1 });
+    }
+    dets.push({ x1: cx - w / 2, y1: cy - h / 2, x2: cx + w / 2, y2: cy + h / 2, score, cls, keypoints });
+  }
+  return dets;
+}
+
+/**
+ * Keypoints from letterboxed model-input pixels to source pixels (not clamped: joints can sit
+ * just outside the frame).
+ * @param {Array<{x:number,y:number,score:number}>} keypoints
+ * @param {{padLeft:number,padTop:number,scale:number}} lb letterbox mapping
+ */
+export function unletterboxKeypoints(keypoints, lb) {
+  return keypoints.map((p) => ({ x: (p.x - lb.padLeft) / lb.scale, y: (p.y - lb.padTop) / lb.scale, score: p.score }));
+}
+
+/**
+ * Draw pose detections on a target canvas: box, label, skeleton and joints. Joints and limbs
+ * below kptThresh are skipped. Tracked detections (with `trackId`) get their track's box colour.
+ * @param {Array} dets from parseYoloPose + NMS, in model-input pixels
+ * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} source
+ * @param {{padLeft:number,padTop:number,scale:number}} lb letterbox mapping
+ * @param {HTMLCanvasElement} canvas target canvas
+ * @param {{overlay?: boolean, kptThresh?: number, labels?: string[]}} [opts] labels default to "person"
+ */
+export function drawPoses(dets, source, lb, canvas, opts = {}) {
+  const { overlay = false, kptThresh = 0.5, labels } = opts;
+  const ctx = canvas.getContext("2d");
+  const { width: sW, height: sH } = sourceSize(source);
+  if (canvas.width !== sW || canvas.height !== sH) {
+    canvas.width = sW;
+    canvas.height = sH;
+  }
+  if (overlay) ctx.clearRect(0, 0, sW, sH);
+  else ctx.drawImage(source, 0, 0, sW, sH);
+
+  const unit = Math.max(2, Math.min(sW, sH) / 240);
+  ctx.font = `${Math.max(12, Math.min(sW, sH) / 35)}px sans-serif`;
+
+  for (const d of dets) {
+    const { x1, y1, x2, y2 } = unletterbox(d, lb, sW, sH);
+    const kp = unletterboxKeypoints(d.keypoints, lb);
+
+    ctx.strokeStyle = d.trackId != null ? trackColor(d.trackId) : "rgba(0,229,255,0.8)";
+    ctx.lineWidth = Math.max(1, unit / 2);
+    ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
+
+    // Limbs only for the COCO layout; other keypoint sets get their joints
+    ctx.lineWidth = unit;
+    const skeleton = kp.length === COCO_KEYPOINTS.length ? COCO_SKELETON : [];
+    skeleton.forEach(([a, b], i) => {
+      if (kp[a].score < kptThresh || kp[b].score < kptThresh) return;
+      ctx.strokeStyle = LIMB_COLORS[i];
+      ctx.beginPath();
+      ctx.moveTo(kp[a].x, kp[a].y);
+      ctx.lineTo(kp[b].x, kp[b].y);
+      ctx.stroke();
+    });
+
+    for (const p of kp) {
+      if (p.score < kptThresh) continue;
+      ctx.fillStyle = `rgba(255,0,212,${(0.35 + 0.65 * p.score).toFixed(2)})`;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, unit * 1.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    const label = boxLabel(labels?.[d.cls] || (d.cls === 0 ? "person" : `cls ${d.cls}`), d);
+    ctx.fillStyle = "rgba(0,0,0,0.5)";
+    const textW = ctx.measureText(label).width + 8;
+    const textH = parseInt(ctx.font, 10) + 6;
+    const tx = Math.max(0, Math.min(x1, sW - textW));
+    const ty = Math.max(textH, y1);
+    ctx.fillRect(tx, ty - textH, textW, textH);
+    ctx.fillStyle = "#FFFFFF";
+    ctx.fillText(label, tx + 4, ty - 6);
+  }
+}
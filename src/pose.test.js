@@ -0,0 +1,62 @@
+import * as ort from "onnxruntime-web/webgpu";
+import { parseYoloPose, parseKptShape, unletterboxKeypoints, COCO_SKELETON, COCO_KEYPOINTS } from "./pose";
+import { modelConfig } from "./modelConfig";
+import { getMode } from "./modes";
+
+/**
+ * [1, S, N] pose head: box, one class score, then numKpts × (x, y, conf) per anchor.
+ * Padded with empty anchors so N > S, as in real exports.
+ */
+function poseHead(rows, numKpts = 17) {
+  const S = 4 + 1 + numKpts * 3;
+  const N = Math.max(rows.length, S + 1);
+  const data = new Float32Array(S * N);
+  rows.forEach(({ box, score, kpts }, i) => {
+    [...box, score, ...kpts.flat()].forEach((v, k) => { data[k * N + i] = v; });
+  });
+  return new ort.Tensor("float32", data, [1, S, N]);
+}
+
+const kpts = (fn) => Array.from({ length: 17 }, (_, k) => fn(k));
+
+test("parses boxes and keypoints from attribute-major pose heads", () => {
+  const out = poseHead([
+    { box: [320, 240, 100, 200], score: 0.9, kpts: kpts((k) => [300 + k, 200 + k, k % 2 ? 0.9 : 0.1]) },
+    { box: [50, 50, 10, 10], score: 0.1, kpts: kpts(() => [0, 0, 0]) },
+  ]);
+  const dets = parseYoloPose(out, 0.25);
+  expect(dets).toHaveLength(1);
+  expect(dets[0]).toMatchObject({ x1: 270, y1: 140, x2: 370, y2: 340, cls: 0 });
+  expect(dets[0].score).toBeCloseTo(0.9);
+  expect(dets[0].keypoints).toHaveLength(17);
+  expect(dets[0].keypoints[3]).toEqual({ x: 303, y: 203, score: expect.any(Number) });
+  expect(dets[0].keypoints[3].score).toBeCloseTo(0.9);
+});
+
+test("rejects heads too small for the keypoint layout", () => {
+  const out = new ort.Tensor("float32", new Float32Array(20 * 100), [1, 20, 100]);
+  expect(() => parseYoloPose(out, 0.25)).toThrow(/17×3 keypoints/);
+  // …but a 5-keypoint, 2-value layout fits: 4 + 6 classes + 10
+  expect(parseYoloPose(out, 0.25, { kptShape: [5, 2] })).toEqual([]);
+});
+
+test("maps keypoints back through the letterbox", () => {
+  const lb = { scale: 0.5, padLeft: 0, padTop: 140 };
+  expect(unletterboxKeypoints([{ x: 100, y: 150, score: 0.7 }], lb)).toEqual([{ x: 200, y: 20, score: 0.7 }]);
+});
+
+test("the skeleton joins COCO keypoints", () => {
+  expect(COCO_KEYPOINTS).toHaveLength(17);
+  expect(COCO_SKELETON.flat().every((k) => k >= 0 && k < 17)).toBe(true);
+});
+
+test("pose exports are routed to the pose mode with their keypoint layout", () => {
+  expect(parseKptShape("[17, 3]")).toEqual([17, 3]);
+  expect(parseKptShape("")).toBeNull();
+  const config = modelConfig(
+    { outputMetadata: [{ shape: [1, 56, 8400] }] },
+    { task: "pose", kpt_shape: "[17, 3]" },
+  );
+  expect(config).toMatchObject({ mode: "pose", kptShape: [17, 3], numClasses: 1 });
+  expect(getMode("pose").id).toBe("pose");
+});
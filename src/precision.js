@@ -0,0 +1,289 @@
+// precision.js — models whose input or outputs aren't float32 NCHW: fp16 exports, uint8/int8
+// quantized models and NHWC inputs. Pipelines keep building float32 NCHW tensors and reading
+// float32 outputs; adaptSession converts on the way in and out.
+/* global Float16Array */
+import * as ort from "onnxruntime-web/webgpu";
+import { scanFields } from "./modelConfig";
+import { toCpu } from "./gpuPipeline";
+
+// onnx.proto field numbers
+const MODEL_GRAPH = 7;
+const GRAPH_NODE = 1, GRAPH_INITIALIZER = 5, GRAPH_INPUT = 11, GRAPH_OUTPUT = 12;
+const NODE_INPUT = 1, NODE_OUTPUT = 2, NODE_OP_TYPE = 4;
+const VALUE_INFO_NAME = 1;
+const TENSOR_DATA_TYPE = 2, TENSOR_FLOAT_DATA = 4, TENSOR_INT32_DATA = 5, TENSOR_NAME = 8, TENSOR_RAW_DATA = 9;
+const ONNX_FLOAT = 1, ONNX_UINT8 = 2, ONNX_INT8 = 3;
+
+const QUANTIZED = { uint8: [0, 255], int8: [-128, 127] };
+const RAW_PIXELS = { scale: 1 / 255, zeroPoint: 0 }; // uint8 inputs without q-params take 0–255 pixels
+const SCALAR_BYTES = 16; // initializer payloads larger than this are weights, not q-params
+
+/** Low 32 bits of a varint as a signed int (int32_data holds negative zero points that way). */
+function int32Varints(bytes) {
+  const out = [];
+  let value = 0, shift = 0;
+  for (const b of bytes) {
+    if (shift < 32) value += (b & 0x7f) * 2 ** shift;
+    shift += 7;
+    if (b < 0x80) {
+      out.push((value % 2 ** 32) | 0);
+      value = shift = 0;
+    }
+  }
+  return out;
+}
+
+/** First value of a scalar initializer (float scale or 8-bit zero point), or null. */
+function scalarValue(tensor) {
+  const { type, raw, floats, ints } = tensor;
+  if (type === ONNX_FLOAT) {
+    if (raw?.length >= 4) return new DataView(raw.buffer, raw.byteOffset, 4).getFloat32(0, true);
+    return floats.length ? floats[0] : null;
+  }
+  if (type === ONNX_UINT8 || type === ONNX_INT8) {
+    if (raw?.length) return type === ONNX_INT8 ? (raw[0] << 24) >> 24 : raw[0];
+    return ints.length ? ints[0] : null;
+  }
+  return null;
+}
+
+/**
+ * Scale and zero point of quantized graph inputs and outputs, read from the model bytes: an
+ * input consumed by DequantizeLinear, an output produced by QuantizeLinear, with both
+ * parameters stored as initializers.
+ * @param {ArrayBuffer|Uint8Array} model
+ * @returns {Object<string, {scale: number, zeroPoint: number}>} by graph input/output name
+ */
+export function readQuantization(model) {
+  const bytes = model instanceof Uint8Array ? model : new Uint8Array(model);
+  const decoder = new TextDecoder();
+  const initializers = new Map();
+  const nodes = [];
+  const io = new Set();
+  try {
+    scanFields(bytes, (field, wire, graph) => {
+      if (field !== MODEL_GRAPH || wire !== 2) return;
+      scanFields(graph, (f, w, value) => {
+        if (w !== 2) return;
+        if (f === GRAPH_NODE) {
+          const node = { inputs: [], outputs: [], op: "" };
+          scanFields(value, (nf, nw, v) => {
+            if (nw !== 2) return;
+            if (nf === NODE_INPUT) node.inputs.push(decoder.decode(v));
+            else if (nf === NODE_OUTPUT) node.outputs.push(decoder.decode(v));
+            else if (nf === NODE_OP_TYPE) node.op = decoder.decode(v);
+          });
+          if (node.op === "QuantizeLinear" || node.op === "DequantizeLinear") nodes.push(node);
+        } else if (f === GRAPH_INITIALIZER) {
+          const t = { name: "", type: 0, raw: null, floats: [], ints: [] };
+          scanFields(value, (tf, tw, v) => {
+            if (tf === TENSOR_NAME && tw === 2) t.name = decoder.decode(v);
+            else if (tf === TENSOR_DATA_TYPE && tw === 0) t.type = v;
+            else if (tf === TENSOR_RAW_DATA && tw === 2) t.raw = v;
+            else if (tf === TENSOR_FLOAT_DATA && (tw === 2 || tw === 5) && v.length <= SCALAR_BYTES) {
+              for (let i = 0; i + 4 <= v.length; i += 4) t.floats.push(new DataView(v.buffer, v.byteOffset + i, 4).getFloat32(0, true));
+            } else if (tf === TENSOR_INT32_DATA && tw === 2 && v.length <= SCALAR_BYTES) {
+              t.ints.push(...int32Varints(v));
+            } else if (tf === TENSOR_INT32_DATA && tw === 0) {
+              t.ints.push((v % 2 ** 32) | 0);
+            }
+          });
+          // Only scalars matter here; skip the big weight tensors
+          if (t.name && (t.raw === null || t.raw.length <= SCALAR_BYTES)) initializers.set(t.name, t);
+        } else if (f === GRAPH_INPUT || f === GRAPH_OUTPUT) {
+          scanFields(value, (vf, vw, v) => vf === VALUE_INFO_NAME && vw === 2 && io.add(decoder.decode(v)));
+        }
+      });
+    });
+  } catch (err) {
+    console.warn("Could not read ONNX quantization parameters:", err);
+    return {};
+  }
+
+  const params = {};
+  for (const node of nodes) {
+    const tensorName = node.op === "DequantizeLinear" ? node.inputs[0] : node.outputs[0];
+    if (!io.has(tensorName)) continue;
+    const scale = initializers.get(node.inputs[1]);
+    const zeroPoint = initializers.get(node.inputs[2]);
+    const s = scale ? scalarValue(scale) : null;
+    if (s === null) continue;
+    params[tensorName] = { scale: s, zeroPoint: (zeroPoint && scalarValue(zeroPoint)) || 0 };
+  }
+  return params;
+}
+
+/**
+ * What the session's first input and its outputs hold.
+ * @param {{inputNames: string[], outputNames: string[], inputMetadata?: Array, outputMetadata?: Array}} session
+ * @param {Object<string, {scale: number, zeroPoint: number}>} [quant] from readQuantization
+ * @returns {{input: {name: string, type: string, layout: "NCHW"|"NHWC", quant: object|null},
+ *   outputs: Array<{name: string, type: string, quant: object|null}>}}
+ */
+export function ioPrecision(session, quant = {}) {
+  const meta = session.inputMetadata?.[0] || {};
+  const shape = meta.shape || [];
+  const name = session.inputNames[0];
+  const outputs = session.outputNames.map((out, i) => ({
+    name: out,
+    type: session.outputMetadata?.[i]?.type || "float32",
+    quant: quant[out] || null,
+  }));
+  return {
+    input: {
+      name,
+      type: meta.type || "float32",
+      layout: shape[3] === 3 && shape[1] !== 3 ? "NHWC" : "NCHW",
+      quant: quant[name] || null,
+    },
+    outputs,
+  };
+}
+
+/** Whether pipelines' float32 NCHW tensors can be fed as they are (and GPU preprocessing used). */
+export function plainInput(precision) {
+  return precision.input.type === "float32" && precision.input.layout === "NCHW";
+}
+
+const needsOutputConversion = (o) => o.type === "float16" || (o.type in QUANTIZED && !!o.quant);
+
+// === fp16 ===
+const f32 = new Float32Array(1);
+const u32 = new Uint32Array(f32.buffer);
+
+/** IEEE half-precision bits for a float (round to nearest even, overflow to ±Infinity). */
+export function toFloat16Bits(value) {
+  f32[0] = value;
+  const x = u32[0];
+  const sign = (x >>> 16) & 0x8000;
+  const exp = (x >>> 23) & 0xff;
+  let mant = x & 0x7fffff;
+  if (exp === 0xff) return sign | 0x7c00 | (mant ? 0x200 : 0); // NaN / Infinity
+  const e = exp - 127 + 15;
+  if (e >= 0x1f) return sign | 0x7c00;
+  if (e <= 0) {
+    if (e < -10) return sign; // underflows to ±0
+    mant |= 0x800000;
+    const shift = 14 - e;
+    let half = mant >>> shift;
+    const rest = mant & ((1 << shift) - 1);
+    const mid = 1 << (shift - 1);
+    if (rest > mid || (rest === mid && (half & 1))) half++;
+    return sign | half;
+  }
+  let half = sign | (e << 10) | (mant >>> 13);
+  const rest = mant & 0x1fff;
+  if (rest > 0x1000 || (rest === 0x1000 && (half & 1))) half++;
+  return half;
+}
+
+/** Float value of IEEE half-precision bits. */
+export function fromFloat16Bits(h) {
+  const sign = h & 0x8000 ? -1 : 1;
+  const exp = (h >>> 10) & 0x1f;
+  const mant = h & 0x3ff;
+  if (exp === 0) return sign * mant * 2 ** -24;
+  if (exp === 0x1f) return mant ? NaN : sign * Infinity;
+  return sign * (1 + mant / 1024) * 2 ** (exp - 15);
+}
+
+function toFloat16Data(values) {
+  // Float16Array where the engine has it (ORT accepts both), raw bits otherwise
+  if (typeof Float16Array !== "undefined") return Float16Array.from(values);
+  const out = new Uint16Array(values.length);
+  for (let i = 0; i < values.length; i++) out[i] = toFloat16Bits(values[i]);
+  return out;
+}
+
+function fromFloat16Data(data) {
+  if (!(data instanceof Uint16Array)) return Float32Array.from(data);
+  const out = new Float32Array(data.length);
+  for (let i = 0; i < data.length; i++) out[i] = fromFloat16Bits(data[i]);
+  return out;
+}
+
+// === Input / output conversion ===
+/**
+ * float32 NCHW → the model's input type and layout. uint8 inputs without parameters take 0–255
+ * pixels; an int8 input has no such convention, so it needs its scale and zero point.
+ */
+export function convertInput(tensor, input) {
+  if (input.type === "int8" && !input.quant) {
+    throw new Error(`The int8 input ${input.name} needs quantization parameters (a scale and zero point) the model doesn't declare`);
+  }
+  let data = tensor.data;
+  let dims = tensor.dims;
+  if (input.layout === "NHWC") {
+    const [n, c, h, w] = dims;
+    const plane = h * w;
+    const nhwc = new Float32Array(data.length);
+    for (let i = 0; i < plane; i++) for (let k = 0; k < c; k++) nhwc[i * c + k] = data[k * plane + i];
+    data = nhwc;
+    dims = [n, h, w, c];
+  }
+  if (input.type === "float16") return new ort.Tensor("float16", toFloat16Data(data), dims);
+  if (input.type in QUANTIZED) {
+    const [lo, hi] = QUANTIZED[input.type];
+    const out = input.type === "uint8" ? new Uint8Array(data.length) : new Int8Array(data.length);
+    const { scale, zeroPoint } = input.quant || RAW_PIXELS;
+    for (let i = 0; i < data.length; i++) out[i] = Math.min(hi, Math.max(lo, Math.round(data[i] / scale) + zeroPoint));
+    return new ort.Tensor(input.type, out, dims);
+  }
+  return dims === tensor.dims ? tensor : new ort.Tensor("float32", data, dims);
+}
+
+/** An fp16 or quantized output as float32 (dequantized with its scale and zero point). */
+export async function convertOutput(tensor, output) {
+  const cpu = await toCpu(tensor);
+  if (output.type === "float16") return new ort.Tensor("float32", fromFloat16Data(cpu.data), cpu.dims);
+  const { scale, zeroPoint } = output.quant;
+  const out = new Float32Array(cpu.data.length);
+  for (let i = 0; i < out.length; i++) out[i] = (cpu.data[i] - zeroPoint) * scale;
+  return new ort.Tensor("float32", out, cpu.dims);
+}
+
+/**
+ * Wrap a session so run() takes and returns float32 whatever the model's precision. Sessions
+ * that are float32 NCHW throughout are returned as they are.
+ */
+export function adaptSession(session, precision) {
+  const convertIn = !plainInput(precision);
+  const converted = precision.outputs.filter(needsOutputConversion);
+  if (!convertIn && !converted.length) return session;
+  return {
+    inputNames: session.inputNames,
+    outputNames: session.outputNames,
+    inputMetadata: session.inputMetadata,
+    outputMetadata: session.outputMetadata,
+    async run(feeds, options) {
+      const name = precision.input.name;
+      const input = feeds[name];
+      const adapted = convertIn && input?.location === "cpu" ? { ...feeds, [name]: convertInput(input, precision.input) } : feeds;
+      const results = await session.run(adapted, options);
+      for (const o of converted) {
+        const raw = results[o.name];
+        if (!raw) continue;
+        results[o.name] = await convertOutput(raw, o);
+        if (raw.location === "gpu-buffer") raw.dispose();
+      }
+      return results;
+    },
+    release: () => session.release(),
+  };
+}
+
+/** "input float16 NCHW · outputs float16 → float32" for the model panel. */
+export function describePrecision(precision) {
+  const { input, outputs } = precision;
+  const q = (t) => (t.quant ? ` (scale ${+t.quant.scale.toPrecision(3)}, zero point ${t.quant.zeroPoint})` : "");
+  let text = `input ${input.type} ${input.layout}${q(input)}`;
+  if (input.type === "uint8" && !input.quant) text += " (raw 0–255 pixels)";
+  if (input.type === "int8" && !input.quant) text += " (no scale/zero point found: can't be fed)";
+  const types = [...new Set(outputs.map((o) => o.type))];
+  text += ` · outputs ${types.join("/")}`;
+  const dequantized = outputs.filter((o) => o.type in QUANTIZED && o.quant);
+  if (outputs.some((o) => o.type === "float16")) text += " → float32";
+  if (dequantized.length) text += ` dequantized${q(dequantized[0])}`;
+  if (outputs.some((o) => o.type in QUANTIZED && !o.quant)) text += " (no scale/zero point found: raw values)";
+  return text;
+}
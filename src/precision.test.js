@@ -0,0 +1,117 @@
+/**
+ * @jest-environment node
+ */
+import * as ort from "onnxruntime-web";
+import {
+  readQuantization, ioPrecision, plainInput, toFloat16Bits, fromFloat16Bits,
+  convertInput, convertOutput, adaptSession, describePrecision,
+} from "./precision";
+
+// Minimal protobuf writer
+const enc = new TextEncoder();
+function varint(n) {
+  const out = [];
+  while (n >= 0x80) { out.push((n & 0x7f) | 0x80); n = Math.floor(n / 128); }
+  out.push(n);
+  return out;
+}
+const field = (num, bytes) => [...varint(num * 8 + 2), ...varint(bytes.length), ...bytes];
+const str = (num, text) => field(num, Array.from(enc.encode(text)));
+const int = (num, v) => [...varint(num * 8), ...varint(v)];
+const floatBytes = (v) => Array.from(new Uint8Array(new Float32Array([v]).buffer));
+
+function node(op, inputs, outputs) {
+  return field(1, [...inputs.flatMap((n) => str(1, n)), ...outputs.flatMap((n) => str(2, n)), ...str(4, op)]);
+}
+function initializer(name, type, raw) {
+  return field(5, [...int(2, type), ...str(8, name), ...field(9, raw)]);
+}
+
+test("reads scale and zero point of quantized graph inputs and outputs", () => {
+  const graph = [
+    ...node("DequantizeLinear", ["images", "in_scale", "in_zp"], ["x"]),
+    ...node("Conv", ["x", "w"], ["y"]),
+    ...node("QuantizeLinear", ["y", "out_scale", "out_zp"], ["output0"]),
+    ...initializer("in_scale", 1, floatBytes(1 / 255)),
+    ...initializer("in_zp", 2, [0]),
+    ...initializer("out_scale", 1, floatBytes(0.5)),
+    ...initializer("out_zp", 3, [0xf6]), // int8 -10
+    ...initializer("w", 1, new Array(400).fill(1)),
+    ...field(11, str(1, "images")),
+    ...field(12, str(1, "output0")),
+  ];
+  const model = new Uint8Array([...int(1, 9), ...field(7, graph)]);
+  const quant = readQuantization(model);
+  expect(quant.images.scale).toBeCloseTo(1 / 255);
+  expect(quant.images.zeroPoint).toBe(0);
+  expect(quant.output0).toEqual({ scale: 0.5, zeroPoint: -10 });
+  expect(readQuantization(new Uint8Array([8, 9]))).toEqual({});
+});
+
+test("fp16 encoding round-trips and rounds to nearest even", () => {
+  for (const v of [0, 1, -2.5, 0.1, 65504, 1e-7]) {
+    expect(fromFloat16Bits(toFloat16Bits(v))).toBeCloseTo(v, 3);
+  }
+  expect(toFloat16Bits(1)).toBe(0x3c00);
+  expect(toFloat16Bits(-2)).toBe(0xc000);
+  expect(toFloat16Bits(1e6)).toBe(0x7c00);
+  expect(fromFloat16Bits(0x7c00)).toBe(Infinity);
+});
+
+const session = (inType, inShape, outTypes) => ({
+  inputNames: ["images"],
+  outputNames: outTypes.map((_, i) => `out${i}`),
+  inputMetadata: [{ name: "images", type: inType, shape: inShape }],
+  outputMetadata: outTypes.map((type, i) => ({ name: `out${i}`, type, shape: [1, 84, 8400] })),
+});
+
+test("ioPrecision detects types and NHWC inputs", () => {
+  const p = ioPrecision(session("uint8", [1, 320, 320, 3], ["float32"]));
+  expect(p.input).toMatchObject({ type: "uint8", layout: "NHWC", quant: null });
+  expect(plainInput(p)).toBe(false);
+  expect(plainInput(ioPrecision(session("float32", [1, 3, "h", "w"], ["float32"])))).toBe(true);
+  expect(describePrecision(p)).toBe("input uint8 NHWC (raw 0–255 pixels) · outputs float32");
+});
+
+test("inputs are converted to the model's type and layout", () => {
+  // 1×3×1×2 image: R = [0, 1], G = [0.5, 0.5], B = [1, 0]
+  const t = new ort.Tensor("float32", new Float32Array([0, 1, 0.5, 0.5, 1, 0]), [1, 3, 1, 2]);
+  const u8 = convertInput(t, { type: "uint8", layout: "NHWC", quant: null });
+  expect(u8.dims).toEqual([1, 1, 2, 3]);
+  expect(Array.from(u8.data)).toEqual([0, 128, 255, 255, 128, 0]);
+  const i8 = convertInput(t, { type: "int8", layout: "NCHW", quant: { scale: 1 / 127, zeroPoint: 0 } });
+  expect(Array.from(i8.data)).toEqual([0, 127, 64, 64, 127, 0]);
+  expect(() => convertInput(t, { name: "images", type: "int8", layout: "NCHW", quant: null }))
+    .toThrow(/int8 input images needs quantization parameters/);
+  const f16 = convertInput(t, { type: "float16", layout: "NCHW", quant: null });
+  expect(f16.type).toBe("float16");
+  expect(f16.data.length).toBe(6);
+});
+
+test("outputs are decoded or dequantized to float32", async () => {
+  const half = new ort.Tensor("float16", new Uint16Array([0x3c00, 0xc000]), [2]);
+  expect(Array.from((await convertOutput(half, { type: "float16" })).data)).toEqual([1, -2]);
+  const q = new ort.Tensor("uint8", new Uint8Array([10, 20]), [2]);
+  const out = await convertOutput(q, { type: "uint8", quant: { scale: 0.5, zeroPoint: 10 } });
+  expect(out.type).toBe("float32");
+  expect(Array.from(out.data)).toEqual([0, 5]);
+});
+
+test("adaptSession wraps only sessions that need it", async () => {
+  const plain = { ...session("float32", [1, 3, 640, 640], ["float32"]), run: jest.fn() };
+  expect(adaptSession(plain, ioPrecision(plain))).toBe(plain);
+
+  const fp16 = {
+    ...session("float16", [1, 3, 1, 1], ["float16"]),
+    run: jest.fn(async (feeds) => {
+      expect(feeds.images.type).toBe("float16");
+      return { out0: new ort.Tensor("float16", new Uint16Array([0x3c00]), [1]) };
+    }),
+    release: jest.fn(),
+  };
+  const wrapped = adaptSession(fp16, ioPrecision(fp16));
+  const results = await wrapped.run({ images: new ort.Tensor("float32", new Float32Array(3), [1, 3, 1, 1]) });
+  expect(results.out0.type).toBe("float32");
+  expect(results.out0.data[0]).toBe(1);
+  expect(wrapped.inputNames).toEqual(["images"]);
+});
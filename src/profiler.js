@@ -0,0 +1,94 @@
+// profiler.js — per-stage latency: pipelines stamp each stage into result.timings, live runs
+// keep a rolling window of them and benchmark.js collects percentiles over many runs
+
+export const now = () => (typeof performance !== "undefined" ? performance.now() : Date.now());
+
+/**
+ * Lap timer for one pipeline pass:
+ *   const clock = stageClock();
+ *   const lb = letterbox(…); clock.lap("letterbox");
+ *   return { …, timings: clock.timings };
+ * @returns {{lap: (stage: string) => void, timings: Object<string, number>}} timings in ms, in stage order
+ */
+export function stageClock() {
+  const timings = {};
+  let last = now();
+  return {
+    lap(stage) {
+      const t = now();
+      timings[stage] = (timings[stage] || 0) + (t - last);
+      last = t;
+    },
+    timings,
+  };
+}
+
+/** p-th percentile (0–100) of an ascending array, nearest-rank; NaN when empty. */
+export function percentile(sorted, p) {
+  if (!sorted.length) return NaN;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Summarise samples per stage.
+ * @param {Array<Object<string, number>>} samples one timings object per pass
+ * @returns {Array<{stage: string, n: number, mean: number, p50: number, p90: number, p99: number}>}
+ *   in first-seen stage order
+ */
+export function summarizeTimings(samples) {
+  const byStage = new Map();
+  for (const s of samples) {
+    for (const [stage, ms] of Object.entries(s)) {
+      if (!byStage.has(stage)) byStage.set(stage, []);
+      byStage.get(stage).push(ms);
+    }
+  }
+  return [...byStage].map(([stage, values]) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+      stage,
+      n: sorted.length,
+      mean: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+      p50: percentile(sorted, 50),
+      p90: percentile(sorted, 90),
+      p99: percentile(sorted, 99),
+    };
+  });
+}
+
+/**
+ * Rolling stats for live runs: the last `size` frames' timings and completion times.
+ * @param {{size?: number}} [opts]
+ */
+export function createLiveStats({ size = 60 } = {}) {
+  let samples = [];
+  let stamps = [];
+  return {
+    /** Record one processed frame. */
+    add(timings, at = now()) {
+      samples.push(timings);
+      stamps.push(at);
+      if (samples.length > size) {
+        samples.shift();
+        stamps.shift();
+      }
+    },
+    /** Frames processed per second over the window (0 until two frames are in). */
+    fps() {
+      if (stamps.length < 2) return 0;
+      const span = stamps[stamps.length - 1] - stamps[0];
+      return span > 0 ? ((stamps.length - 1) * 1000) / span : 0;
+    },
+    summary() {
+      return summarizeTimings(samples);
+    },
+    get size() {
+      return samples.length;
+    },
+    reset() {
+      samples = [];
+      stamps = [];
+    },
+  };
+}
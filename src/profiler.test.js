@@ -0,0 +1,40 @@
+import { createLiveStats, percentile, stageClock, summarizeTimings } from "./profiler";
+
+test("percentile uses nearest rank", () => {
+  const sorted = Array.from({ length: 100 }, (_, i) => i + 1);
+  expect(percentile(sorted, 50)).toBe(50);
+  expect(percentile(sorted, 90)).toBe(90);
+  expect(percentile(sorted, 99)).toBe(99);
+  expect(percentile([7], 99)).toBe(7);
+  expect(percentile([], 50)).toBeNaN();
+});
+
+test("summarizeTimings keeps stage order and skips missing stages", () => {
+  const stages = summarizeTimings([
+    { letterbox: 2, "session.run": 10 },
+    { letterbox: 4, "session.run": 30, draw: 1 },
+    { letterbox: 3, "session.run": 20 },
+  ]);
+  expect(stages.map((s) => s.stage)).toEqual(["letterbox", "session.run", "draw"]);
+  expect(stages[1]).toMatchObject({ n: 3, p50: 20, p99: 30, mean: 20 });
+  expect(stages[2]).toMatchObject({ n: 1, p50: 1 });
+});
+
+test("stageClock records laps in order", () => {
+  const clock = stageClock();
+  clock.lap("a");
+  clock.lap("b");
+  expect(Object.keys(clock.timings)).toEqual(["a", "b"]);
+  expect(clock.timings.a).toBeGreaterThanOrEqual(0);
+});
+
+test("live stats keep a rolling window and measure FPS", () => {
+  const stats = createLiveStats({ size: 3 });
+  expect(stats.fps()).toBe(0);
+  [0, 100, 200, 300, 400].forEach((t, i) => stats.add({ total: i }, t));
+  expect(stats.size).toBe(3);
+  expect(stats.fps()).toBeCloseTo(10);
+  expect(stats.summary()[0]).toMatchObject({ stage: "total", n: 3, p50: 3 });
+  stats.reset();
+  expect(stats.size).toBe(0);
+});
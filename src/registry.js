@@ -0,0 +1,132 @@
+// registry.js — models shipped with the build, described by public/models/manifest.json
+//
+// {
+//   "version": 1,
+//   "models": [{
+//     "id": "hand",                       unique key
+//     "name": "Hand keypoints",           shown in the picker
+//     "description": "…",                 optional
+//     "task": "keypoints",                a mode id: detect | segment | pose | keypoints
+//     "path": "hand/model.onnx",          relative to the manifest
+//     "externalData": ["model.data"],     optional, next to the graph
+//     "labels": ["hand"] | "names.txt",   optional: names, or a names.txt / data.yaml / labels.json path
+//     "inputSize": 256,                   optional
+//     "normalization": "unit" | "signed", optional: input scaled to [0, 1] or [-1, 1]
+//     "decoder": "e2e",                   optional, detect: output format (decoders.js), else auto-detected
+//     "thresholds": { "confidence", "iou", "mask", "keypoint" },  optional
+//     "maxDetections": 50,                optional
+//     "default": true                     optional: loaded on a task's first visit
+//   }]
+// }
+import { MODES } from "./modes";
+import { parseLabelFile } from "./labels";
+import { getDecoder } from "./decoders";
+
+export const MANIFEST_URL = `${process.env.PUBLIC_URL}/models/manifest.json`;
+
+const THRESHOLD_SETTINGS = {
+  confidence: "confThreshold",
+  iou: "iouThreshold",
+  mask: "maskThreshold",
+  keypoint: "kptThreshold",
+};
+
+/** Resolve `path` against the directory of `base` (a URL or an app-relative path). */
+function resolvePath(base, path) {
+  if (/^([a-z]+:)?\/\//i.test(path) || path.startsWith("/")) return path;
+  return base.slice(0, base.lastIndexOf("/") + 1) + path;
+}
+
+const inUnit = (v) => typeof v === "number" && v >= 0 && v <= 1;
+
+/**
+ * Validate a manifest and turn each model into a registry entry:
+ * { id, name, description, modeId, url, externalData, labels, labelsUrl, labelSource, settings, isDefault }.
+ * `settings` only carries keys the target mode has.
+ * @param {object} manifest parsed manifest.json
+ * @param {string} [manifestUrl] paths are relative to it
+ * @returns {Array<object>}
+ */
+export function parseManifest(manifest, manifestUrl = MANIFEST_URL) {
+  const list = Array.isArray(manifest) ? manifest : manifest?.models;
+  if (!Array.isArray(list)) throw new Error("manifest.json needs a `models` array");
+  const seen = new Set();
+  return list.map((m, i) => {
+    const where = `manifest.json model ${m?.id ?? i + 1}`;
+    const mode = MODES.find((x) => x.id === m?.task);
+    if (!mode) throw new Error(`${where}: task must be one of ${MODES.map((x) => x.id).join(", ")}`);
+    if (typeof m.path !== "string" || !m.path) throw new Error(`${where}: missing path`);
+    const id = String(m.id ?? m.path);
+    if (seen.has(id)) throw new Error(`${where}: duplicate id`);
+    seen.add(id);
+
+    const settings = {};
+    if (m.inputSize !== undefined) {
+      if (!Number.isInteger(m.inputSize) || m.inputSize < 32) throw new Error(`${where}: inputSize must be an integer ≥ 32`);
+      settings.inputSize = m.inputSize;
+    }
+    if (m.normalization !== undefined) {
+      if (m.normalization !== "unit" && m.normalization !== "signed") {
+        throw new Error(`${where}: normalization must be "unit" or "signed"`);
+      }
+      settings.signedInput = m.normalization === "signed";
+    }
+    if (m.decoder !== undefined) {
+      if (m.decoder !== "auto" && !getDecoder(m.decoder)) throw new Error(`${where}: unknown decoder "${m.decoder}"`);
+      settings.decoder = m.decoder;
+    }
+    for (const [name, key] of Object.entries(THRESHOLD_SETTINGS)) {
+      const v = m.thresholds?.[name];
+      if (v === undefined) continue;
+      if (!inUnit(v)) throw new Error(`${where}: thresholds.${name} must be between 0 and 1`);
+      settings[key] = v;
+    }
+    if (m.maxDetections !== undefined) {
+      if (!Number.isInteger(m.maxDetections) || m.maxDetections < 1) throw new Error(`${where}: maxDetections must be a positive integer`);
+      settings.maxDet = m.maxDetections;
+    }
+    // A setting the pipeline doesn't have (e.g. signed input for YOLO) can't be honoured
+    for (const key of Object.keys(settings)) if (!(key in mode.defaults)) delete settings[key];
+
+    const labelsInline = Array.isArray(m.labels) ? m.labels.map(String) : null;
+    return {
+      id,
+      name: String(m.name ?? id),
+      description: m.description ? String(m.description) : "",
+      modeId: mode.id,
+      url: resolvePath(manifestUrl, m.path),
+      externalData: Array.isArray(m.externalData) ? m.externalData.map(String) : [],
+      labels: labelsInline,
+      labelsUrl: typeof m.labels === "string" ? resolvePath(manifestUrl, m.labels) : null,
+      labelSource: "manifest",
+      settings,
+      isDefault: !!m.default,
+    };
+  });
+}
+
+/**
+ * Fetch the manifest (and any label files it points to). A missing manifest is an empty
+ * registry, not an error: builds don't have to ship models.
+ * @returns {Promise<Array<object>>} entries from parseManifest, labels filled in
+ */
+export async function loadRegistry(manifestUrl = MANIFEST_URL) {
+  const res = await fetch(manifestUrl);
+  if (res.status === 404) return [];
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${manifestUrl}`);
+  // The dev server answers unknown paths with index.html, so a non-JSON reply is "missing" too
+  if (!/json/.test(res.headers.get("content-type") || "")) return [];
+  const entries = parseManifest(await res.json(), manifestUrl);
+  return Promise.all(entries.map(async (entry) => {
+    if (!entry.labelsUrl) return entry;
+    const labelsRes = await fetch(entry.labelsUrl);
+    if (!labelsRes.ok) throw new Error(`HTTP ${labelsRes.status} for ${entry.labelsUrl}`);
+    const fileName = entry.labelsUrl.slice(entry.labelsUrl.lastIndexOf("/") + 1);
+    return { ...entry, labels: parseLabelFile(await labelsRes.text(), fileName) };
+  }));
+}
+
+/** The model a task loads on its first visit: the one marked default, if any. */
+export function defaultEntry(registry, modeId) {
+  return registry.find((e) => e.modeId === modeId && e.isDefault) || null;
+}
@@ -0,0 +1,82 @@
+import fs from "fs";
+import path from "path";
+import { parseManifest, defaultEntry } from "./registry";
+
+const BASE = "/app/models/manifest.json";
+const onDisk = (url) => fs.existsSync(path.join(__dirname, "../public/models", url.slice(BASE.lastIndexOf("/") + 1)));
+
+test("turns manifest entries into loadable registry entries", () => {
+  const [hand, yolo] = parseManifest({
+    version: 1,
+    models: [
+      {
+        id: "hand",
+        name: "Hand",
+        task: "keypoints",
+        path: "hand/model.onnx",
+        externalData: ["model.data"],
+        labels: ["hand"],
+        inputSize: 256,
+        normalization: "signed",
+        thresholds: { confidence: 0.5, keypoint: 0.3, mask: 0.4 },
+        default: true,
+      },
+      {
+        id: "yolo", task: "detect", path: "https://cdn.example.com/yolo.onnx", labels: "coco/names.txt",
+        normalization: "unit", decoder: "e2e",
+      },
+    ],
+  }, BASE);
+
+  expect(hand).toMatchObject({
+    modeId: "keypoints",
+    url: "/app/models/hand/model.onnx",
+    externalData: ["model.data"],
+    labels: ["hand"],
+    labelSource: "manifest",
+    isDefault: true,
+  });
+  // mask threshold isn't a keypoints setting, so it's dropped
+  expect(hand.settings).toEqual({ inputSize: 256, signedInput: true, confThreshold: 0.5, kptThreshold: 0.3 });
+
+  expect(yolo.name).toBe("yolo");
+  expect(yolo.url).toBe("https://cdn.example.com/yolo.onnx");
+  expect(yolo.labels).toBeNull();
+  expect(yolo.labelsUrl).toBe("/app/models/coco/names.txt");
+  expect(yolo.settings).toEqual({ decoder: "e2e" });
+
+  expect(defaultEntry([hand, yolo], "keypoints")).toBe(hand);
+  expect(defaultEntry([hand, yolo], "detect")).toBeNull();
+});
+
+test("rejects malformed manifests", () => {
+  expect(() => parseManifest({}, BASE)).toThrow(/models/);
+  expect(() => parseManifest({ models: [{ task: "obb", path: "a.onnx" }] }, BASE)).toThrow(/task/);
+  expect(() => parseManifest({ models: [{ task: "detect" }] }, BASE)).toThrow(/path/);
+  expect(() => parseManifest({ models: [{ task: "detect", path: "a.onnx", thresholds: { iou: 2 } }] }, BASE)).toThrow(/iou/);
+  expect(() => parseManifest({ models: [{ task: "detect", path: "a.onnx", decoder: "yolox" }] }, BASE)).toThrow(/decoder/);
+  expect(() => parseManifest({ models: [{ task: "detect", path: "a.onnx", normalization: "imagenet" }] }, BASE))
+    .toThrow(/normalization/);
+  expect(() => parseManifest({ models: [{ id: "a", task: "detect", path: "a.onnx" }, { id: "a", task: "detect", path: "b.onnx" }] }, BASE))
+    .toThrow(/duplicate/);
+});
+
+test("the shipped manifest is valid and every file it names is committed", () => {
+  const entries = parseManifest(require("../public/models/manifest.json"), BASE);
+  entries.forEach((e) => {
+    expect(e.url).toMatch(/\.onnx$/);
+    expect(onDisk(e.url)).toBe(true);
+    const dir = e.url.slice(0, e.url.lastIndexOf("/") + 1);
+    e.externalData.forEach((name) => expect(onDisk(dir + name)).toBe(true));
+  });
+});
+
+// The bundled hand graph keeps its weights in an external model.data that isn't in the
+// repository yet (convert.py next to it merges them into one file). Until it is, listing the
+// model would break the keypoints mode on its first visit; once it is, it must be the default.
+test("the bundled hand model is the keypoints default exactly when its weights are committed", () => {
+  const entries = parseManifest(require("../public/models/manifest.json"), BASE);
+  const graph = "/app/models/hand/model.onnx/model.onnx";
+  const weightsCommitted = onDisk("/app/models/hand/model.onnx/model.data");
+  expect(defaultEntry(entries, "keypoints")?.url === graph).toBe(weightsCommitted);
+});
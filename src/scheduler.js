@@ -0,0 +1,126 @@
+// scheduler.js — paces webcam / video-file inference towards a target frame rate or latency
+// budget, one frame in flight at a time, optionally trading input size for speed
+
+const EMA_ALPHA = 0.2;
+const SLOW_FRAMES = 8;  // consecutive frames over budget before the input shrinks
+const FAST_FRAMES = 30; // consecutive frames well under budget before it grows back
+const OVER_BUDGET = 1.1;
+const UNDER_BUDGET = 0.6;
+const MIN_INPUT_SIZE = 160;
+
+/**
+ * @typedef {object} ScheduleTarget
+ * @property {"fps"|"latency"} kind frames per second to aim for, or a per-frame latency budget
+ * @property {number} value FPS, or ms for a latency budget
+ */
+
+/** Interval between frame starts (ms) and the latency each frame has to fit in. */
+export function budgetFor({ kind, value }) {
+  const v = Math.max(0.1, Number(value) || 0);
+  return kind === "latency" ? { intervalMs: 0, budgetMs: v } : { intervalMs: 1000 / v, budgetMs: 1000 / v };
+}
+
+/**
+ * Input sizes to step through, largest first: from `baseSize` down in `step`s to a floor.
+ * @returns {number[]}
+ */
+export function sizeLadder(baseSize, step = 32) {
+  const floor = Math.min(baseSize, MIN_INPUT_SIZE);
+  const sizes = [baseSize];
+  for (let s = Math.floor((baseSize - 1) / step) * step; s >= floor; s -= step) sizes.push(s);
+  return sizes;
+}
+
+/**
+ * Create a scheduler. The live loop asks due() on every animation frame and reports each
+ * started frame's outcome with finish(); the next frame starts once the previous one is done
+ * and the target interval has passed, so slow devices drop frames instead of queueing them.
+ * @param {{target?: ScheduleTarget, adaptSize?: boolean, baseSize?: number, step?: number}} [opts]
+ */
+export function createScheduler(opts = {}) {
+  let target = { kind: "fps", value: 30 };
+  let adaptSize = false;
+  let ladder = [640];
+  let level = 0;
+  let inFlight = false;
+  let lastStart = -Infinity;
+  let latency = null; // EMA of finished frames' latency, ms
+  let frameGap = null; // EMA of the time between finished frames, ms
+  let lastFinish = null;
+  let slow = 0, fast = 0;
+
+  function configure({ target: t = target, adaptSize: a = adaptSize, baseSize = ladder[0], step = 32 } = {}) {
+    target = t;
+    adaptSize = a;
+    if (baseSize !== ladder[0] || !adaptSize) {
+      ladder = sizeLadder(baseSize, step);
+      level = 0;
+    }
+  }
+
+  function reset() {
+    inFlight = false;
+    lastStart = -Infinity;
+    latency = frameGap = lastFinish = null;
+    slow = fast = 0;
+  }
+
+  configure(opts);
+
+  return {
+    configure,
+    reset,
+
+    /** Whether to start a frame now; a true answer counts it as started. */
+    due(now) {
+      if (inFlight || now - lastStart < budgetFor(target).intervalMs) return false;
+      inFlight = true;
+      lastStart = now;
+      return true;
+    },
+
+    /**
+     * Report the frame started by the last due(): its latency in ms, or null when it was
+     * dropped or failed (it then doesn't count towards the rate).
+     */
+    finish(latencyMs, now) {
+      inFlight = false;
+      if (latencyMs == null) return;
+      latency = latency === null ? latencyMs : latency + EMA_ALPHA * (latencyMs - latency);
+      if (lastFinish !== null) {
+        const gap = now - lastFinish;
+        frameGap = frameGap === null ? gap : frameGap + EMA_ALPHA * (gap - frameGap);
+      }
+      lastFinish = now;
+      if (!adaptSize) return;
+
+      const { budgetMs } = budgetFor(target);
+      slow = latency > budgetMs * OVER_BUDGET ? slow + 1 : 0;
+      fast = latency < budgetMs * UNDER_BUDGET ? fast + 1 : 0;
+      if (slow >= SLOW_FRAMES && level < ladder.length - 1) {
+        level++;
+        slow = 0;
+        latency = null; // measure the new size afresh
+      } else if (fast >= FAST_FRAMES && level > 0) {
+        level--;
+        fast = 0;
+        latency = null;
+      }
+    },
+
+    /** Input size for the next frame (the configured one unless adapting). */
+    get inputSize() {
+      return ladder[level];
+    },
+
+    /** { fps, latencyMs, inputSize, reduced } as measured so far. */
+    stats() {
+      return {
+        fps: frameGap ? 1000 / frameGap : 0,
+        latencyMs: latency ?? 0,
+        inputSize: ladder[level],
+        reduced: level > 0,
+      };
+    },
+  };
+}
@@ -0,0 +1,48 @@
+import { budgetFor, createScheduler, sizeLadder } from "./scheduler";
+
+test("budgetFor turns a target into an interval and a per-frame budget", () => {
+  expect(budgetFor({ kind: "fps", value: 20 })).toEqual({ intervalMs: 50, budgetMs: 50 });
+  expect(budgetFor({ kind: "latency", value: 80 })).toEqual({ intervalMs: 0, budgetMs: 80 });
+});
+
+test("sizeLadder steps down by the stride to a floor", () => {
+  expect(sizeLadder(320)).toEqual([320, 288, 256, 224, 192, 160]);
+  expect(sizeLadder(256, 64)).toEqual([256, 192]);
+  expect(sizeLadder(128)).toEqual([128]);
+});
+
+test("frames start one at a time at the target rate", () => {
+  const s = createScheduler({ target: { kind: "fps", value: 10 } });
+  expect(s.due(0)).toBe(true);
+  expect(s.due(200)).toBe(false); // still in flight
+  s.finish(30, 30);
+  expect(s.due(60)).toBe(false); // interval not over
+  expect(s.due(100)).toBe(true);
+  s.finish(null, 120); // dropped: no sample
+  expect(s.stats().latencyMs).toBe(30);
+});
+
+test("slow frames shrink the input and fast ones grow it back", () => {
+  const s = createScheduler({ target: { kind: "latency", value: 50 }, adaptSize: true, baseSize: 320 });
+  let t = 0;
+  const frame = (ms) => {
+    expect(s.due(t)).toBe(true);
+    t += ms;
+    s.finish(ms, t);
+  };
+  for (let i = 0; i < 8; i++) frame(100);
+  expect(s.inputSize).toBe(288);
+  expect(s.stats().reduced).toBe(true);
+  for (let i = 0; i < 30; i++) frame(10);
+  expect(s.inputSize).toBe(320);
+  expect(s.stats().fps).toBeGreaterThan(90);
+});
+
+test("without adaptSize the configured size is kept", () => {
+  const s = createScheduler({ target: { kind: "latency", value: 10 }, baseSize: 640 });
+  for (let t = 0; t < 20; t++) {
+    s.due(t * 100);
+    s.finish(100, t * 100 + 100);
+  }
+  expect(s.inputSize).toBe(640);
+});
@@ -0,0 +1,5 @@
+// Kept in its own module and imported lazily: `import.meta` only parses under
+// webpack, and the Jest transform chokes on it.
+export function spawnInferenceWorker() {
+  return new Worker(new URL("./inference.worker.js", import.meta.url));
+}
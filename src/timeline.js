@@ -0,0 +1,174 @@
+// timeline.js — results cached by media time while a video file is analysed, so seeking can
+// redraw a frame without inference, plus the per-class activity strip under the player
+import { trackColor } from "./utils";
+
+const DEFAULT_MAX_BYTES = 256 * 1024 * 1024;
+const ROW_HEIGHT = 16;
+const LABEL_WIDTH = 90;
+
+/** Rough memory held by a result: typed arrays dominate (masks, keypoints). */
+function resultBytes(value, depth = 0) {
+  if (ArrayBuffer.isView(value)) return value.byteLength;
+  if (!value || typeof value !== "object" || depth > 3) return 8;
+  let n = 0;
+  for (const v of Array.isArray(value) ? value : Object.values(value)) n += resultBytes(v, depth + 1);
+  return n;
+}
+
+/** Per-class counts for one frame, from a mode's trackTargets (class-less items count as "-"). */
+export function classCounts(targets) {
+  const counts = {};
+  for (const t of targets) {
+    const key = t.cls ?? "-";
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Create an empty timeline. Entries are kept sorted by time; once `maxBytes` is exceeded
+ * the earliest-added entries are dropped first.
+ * @param {{maxBytes?: number}} [opts]
+ */
+export function createTimeline({ maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  let entries = []; // { time, result, classes, bytes, seq } sorted by time
+  let bytes = 0;
+  let seq = 0;
+
+  /** Index of the first entry at or after `time`. */
+  function lowerBound(time) {
+    let lo = 0, hi = entries.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (entries[mid].time < time) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  function evict() {
+    while (bytes > maxBytes && entries.length > 1) {
+      let oldest = 0;
+      for (let i = 1; i < entries.length; i++) if (entries[i].seq < entries[oldest].seq) oldest = i;
+      bytes -= entries[oldest].bytes;
+      entries.splice(oldest, 1);
+    }
+  }
+
+  return {
+    /**
+     * Store the result inferred for the frame at `time` (ms), replacing one at the same time.
+     * @param {number} time
+     * @param {object} result
+     * @param {Object<string, number>} classes from classCounts
+     */
+    add(time, result, classes) {
+      const entry = { time, result, classes, bytes: resultBytes(result), seq: seq++ };
+      const i = lowerBound(time);
+      if (entries[i]?.time === time) {
+        bytes -= entries[i].bytes;
+        entries[i] = entry;
+      } else {
+        entries.splice(i, 0, entry);
+      }
+      bytes += entry.bytes;
+      evict();
+    },
+
+    /** The entry closest to `time`, if one is within `tolerance` ms. */
+    at(time, tolerance) {
+      const i = lowerBound(time);
+      let best = null;
+      for (const e of [entries[i - 1], entries[i]]) {
+        if (e && Math.abs(e.time - time) <= tolerance && (!best || Math.abs(e.time - time) < Math.abs(best.time - time))) best = e;
+      }
+      return best;
+    },
+
+    /** Time of the cached frame closest to `time` in which `cls` appears, or null. */
+    nearestWith(cls, time) {
+      let best = null;
+      for (const e of entries) {
+        if (e.classes[cls] && (best === null || Math.abs(e.time - time) < Math.abs(best - time))) best = e.time;
+      }
+      return best;
+    },
+
+    /** Classes seen so far, most frequent first: [{ cls, frames }]. */
+    classes() {
+      const frames = {};
+      for (const e of entries) for (const cls of Object.keys(e.classes)) frames[cls] = (frames[cls] || 0) + 1;
+      return Object.entries(frames)
+        .map(([cls, n]) => ({ cls, frames: n }))
+        .sort((a, b) => b.frames - a.frames);
+    },
+
+    entries() {
+      return entries;
+    },
+
+    get size() {
+      return entries.length;
+    },
+
+    clear() {
+      entries = [];
+      bytes = 0;
+    },
+  };
+}
+
+function rowColor(cls, alpha) {
+  return cls === "-" ? `rgba(0,229,255,${alpha})` : trackColor(Number(cls) + 1, alpha);
+}
+
+/**
+ * Draw the activity strip: one row per class (most frequent first) with a tick for every
+ * cached frame it appears in, and the playhead.
+ * @param {HTMLCanvasElement} canvas its width is kept; the height follows the row count
+ * @param {object} timeline
+ * @param {{duration: number, currentTime: number, labels?: string[], maxRows?: number}} opts times in ms
+ * @returns {Array<string>} the class shown on each row, for timelineHit
+ */
+export function drawTimeline(canvas, timeline, { duration, currentTime, labels, maxRows = 6 }) {
+  const rows = timeline.classes().slice(0, maxRows).map((c) => c.cls);
+  const height = Math.max(1, rows.length) * ROW_HEIGHT;
+  if (canvas.height !== height) canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  const W = canvas.width;
+  ctx.clearRect(0, 0, W, height);
+  if (!duration) return rows;
+
+  const trackW = W - LABEL_WIDTH;
+  const xOf = (t) => LABEL_WIDTH + (t / duration) * trackW;
+  ctx.font = "11px sans-serif";
+  ctx.textBaseline = "middle";
+  rows.forEach((cls, r) => {
+    const y = r * ROW_HEIGHT;
+    ctx.fillStyle = "rgba(255,255,255,0.04)";
+    ctx.fillRect(LABEL_WIDTH, y + 1, trackW, ROW_HEIGHT - 2);
+    ctx.fillStyle = "#cfd8e3";
+    ctx.fillText(cls === "-" ? "objects" : labels?.[cls] || `cls ${cls}`, 4, y + ROW_HEIGHT / 2, LABEL_WIDTH - 8);
+    ctx.fillStyle = rowColor(cls, 0.85);
+    for (const e of timeline.entries()) {
+      if (e.classes[cls]) ctx.fillRect(Math.floor(xOf(e.time)), y + 2, 2, ROW_HEIGHT - 4);
+    }
+  });
+  if (!rows.length) {
+    ctx.fillStyle = "#8892a0";
+    ctx.fillText("Play the video with detection running to build the timeline", 4, ROW_HEIGHT / 2);
+  }
+  ctx.fillStyle = "#FFFFFF";
+  ctx.fillRect(Math.floor(xOf(currentTime)), 0, 1, height);
+  return rows;
+}
+
+/**
+ * Map a click on the strip to { cls, time } (time in ms under the pointer), or null in the
+ * label column / outside the rows.
+ */
+export function timelineHit(canvas, rows, { x, y, duration }) {
+  const cls = rows[Math.floor(y / ROW_HEIGHT)];
+  if (cls === undefined || x < LABEL_WIDTH) return null;
+  return { cls, time: ((x - LABEL_WIDTH) / (canvas.width - LABEL_WIDTH)) * duration };
+}
@@ -0,0 +1,49 @@
+import { createTimeline, classCounts, timelineHit } from "./timeline";
+
+const result = (n) => ({ dets: Array.from({ length: n }, () => ({ cls: 0 })) });
+
+test("classCounts groups targets by class", () => {
+  expect(classCounts([{ cls: 2 }, { cls: 2 }, { cls: 0 }, {}])).toEqual({ 0: 1, 2: 2, "-": 1 });
+});
+
+test("looks up the nearest cached frame within a tolerance", () => {
+  const timeline = createTimeline();
+  timeline.add(1000, result(1), { 0: 1 });
+  timeline.add(0, result(2), { 0: 2 });
+  timeline.add(500, result(3), { 2: 1 });
+  expect(timeline.entries().map((e) => e.time)).toEqual([0, 500, 1000]);
+  expect(timeline.at(560, 100).time).toBe(500);
+  expect(timeline.at(760, 100)).toBeNull();
+  // same timestamp replaces
+  timeline.add(500, result(4), { 2: 1 });
+  expect(timeline.size).toBe(3);
+  expect(timeline.at(500, 0).result.dets).toHaveLength(4);
+});
+
+test("finds class appearances and ranks classes by frames", () => {
+  const timeline = createTimeline();
+  [0, 100, 200, 900].forEach((t) => timeline.add(t, {}, { 0: 1 }));
+  timeline.add(600, {}, { 5: 2 });
+  expect(timeline.classes()).toEqual([{ cls: "0", frames: 4 }, { cls: "5", frames: 1 }]);
+  expect(timeline.nearestWith("0", 700)).toBe(900);
+  expect(timeline.nearestWith("5", 0)).toBe(600);
+  expect(timeline.nearestWith("7", 0)).toBeNull();
+});
+
+test("evicts the earliest-added frames over the memory budget", () => {
+  const big = () => ({ mask: new Float32Array(1000) }); // ~4 KB each
+  const timeline = createTimeline({ maxBytes: 10000 });
+  timeline.add(300, big(), {});
+  timeline.add(100, big(), {});
+  timeline.add(200, big(), {});
+  expect(timeline.entries().map((e) => e.time)).toEqual([100, 200]);
+  timeline.clear();
+  expect(timeline.size).toBe(0);
+});
+
+test("maps strip clicks to a class row and a time", () => {
+  const canvas = { width: 490 };
+  expect(timelineHit(canvas, ["0", "2"], { x: 290, y: 20, duration: 10000 })).toEqual({ cls: "2", time: 5000 });
+  expect(timelineHit(canvas, ["0"], { x: 40, y: 4, duration: 10000 })).toBeNull();
+  expect(timelineHit(canvas, ["0"], { x: 300, y: 40, duration: 10000 })).toBeNull();
+});
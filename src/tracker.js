@@ -0,0 +1,240 @@
+// tracker.js — multi-object tracking across video frames (ByteTrack-style association over
+// Kalman-predicted boxes), with lifecycle events and motion trails
+import { iou, trackColor } from "./utils";
+
+/**
+ * Constant-velocity Kalman filter for one coordinate, with noise scaled to the box size
+ * (as in SORT/ByteTrack). State is [position, velocity], covariance [pp, pv, vv].
+ */
+function axisFilter(z, scale) {
+  const posStd = scale / 20;
+  const velStd = scale / 160;
+  return { x: z, v: 0, pp: (2 * posStd) ** 2, pv: 0, vv: (10 * velStd) ** 2 };
+}
+
+function predictAxis(f, scale) {
+  const q = (scale / 160) ** 2;
+  f.x += f.v;
+  f.pp += 2 * f.pv + f.vv + q / 4;
+  f.pv += f.vv + q / 2;
+  f.vv += q;
+}
+
+function updateAxis(f, z, scale) {
+  const r = (scale / 20) ** 2;
+  const s = f.pp + r;
+  const k0 = f.pp / s, k1 = f.pv / s;
+  const y = z - f.x;
+  f.x += k0 * y;
+  f.v += k1 * y;
+  f.vv -= k1 * f.pv;
+  f.pv *= 1 - k0;
+  f.pp *= 1 - k0;
+}
+
+const toCenter = (b) => [(b.x1 + b.x2) / 2, (b.y1 + b.y2) / 2, b.x2 - b.x1, b.y2 - b.y1];
+
+function boxOf(track) {
+  const [cx, cy, w, h] = track.filters.map((f) => f.x);
+  return { x1: cx - w / 2, y1: cy - h / 2, x2: cx + w / 2, y2: cy + h / 2 };
+}
+
+/** Public view of a track handed to listeners and callers. */
+function snapshot(track, frame) {
+  return {
+    id: track.id,
+    cls: track.cls,
+    score: track.score,
+    box: boxOf(track),
+    hits: track.hits,
+    missed: track.missed,
+    firstFrame: track.firstFrame,
+    frame,
+    trail: track.trail.slice(),
+  };
+}
+
+/**
+ * Greedy IoU matching (best pairs first), same class only.
+ * @returns {{pairs: Array<[number, number]>, tracksLeft: number[], detsLeft: number[]}} indices
+ */
+function associate(tracks, boxes, trackIdx, detIdx, minIou) {
+  const candidates = [];
+  for (const t of trackIdx) {
+    const predicted = boxOf(tracks[t]);
+    for (const d of detIdx) {
+      if (tracks[t].cls !== boxes[d].cls) continue;
+      const overlap = iou(predicted, boxes[d]);
+      if (overlap >= minIou) candidates.push([overlap, t, d]);
+    }
+  }
+  candidates.sort((a, b) => b[0] - a[0]);
+  const usedT = new Set(), usedD = new Set(), pairs = [];
+  for (const [, t, d] of candidates) {
+    if (usedT.has(t) || usedD.has(d)) continue;
+    usedT.add(t);
+    usedD.add(d);
+    pairs.push([t, d]);
+  }
+  return {
+    pairs,
+    tracksLeft: trackIdx.filter((t) => !usedT.has(t)),
+    detsLeft: detIdx.filter((d) => !usedD.has(d)),
+  };
+}
+
+/**
+ * Create a tracker. Feed it one frame of boxes at a time with update().
+ *
+ * Each frame, tracks are predicted forward, then matched to high-score boxes, then
+ * (ByteTrack's second pass) the still-unmatched tracks to low-score boxes. Unmatched
+ * high-score boxes start tentative tracks, confirmed after `minHits` consecutive hits.
+ * Confirmed tracks survive `maxAge` missed frames before they end.
+ *
+ * Listeners get { type, track } with type "start" (confirmed), "lost" (first missed frame),
+ * "recover" (matched again) or "end" (removed).
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.highScore] boxes at or above this score can start tracks
+ * @param {number} [opts.minIou] minimum IoU between a predicted track and a box to match
+ * @param {number} [opts.minHits] hits before a track is confirmed and gets reported
+ * @param {number} [opts.maxAge] missed frames before a confirmed track ends
+ * @param {number} [opts.trailLength] centre points kept per track
+ */
+export function createTracker(opts = {}) {
+  const { highScore = 0.5, minIou = 0.3, minHits = 3, maxAge = 30, trailLength = 30 } = opts;
+  let tracks = [];
+  let nextId = 1;
+  let frame = 0;
+  const listeners = new Set();
+
+  const emit = (type, track) => listeners.forEach((fn) => fn({ type, track: snapshot(track, frame) }));
+
+  function hit(track, box) {
+    const [cx, cy, w, h] = toCenter(box);
+    const scale = Math.max(h, 1);
+    [cx, cy, w, h].forEach((z, k) => updateAxis(track.filters[k], z, scale));
+    track.score = box.score;
+    track.hits++;
+    track.streak++;
+    track.trail.push([cx, cy]);
+    if (track.trail.length > trailLength) track.trail.shift();
+    if (!track.confirmed && track.streak >= minHits) {
+      track.confirmed = true;
+      emit("start", track);
+    } else if (track.confirmed && track.missed > 0) {
+      track.missed = 0;
+      emit("recover", track);
+    }
+    track.missed = 0;
+  }
+
+  return {
+    /**
+     * Advance one frame.
+     * @param {Array<{x1:number,y1:number,x2:number,y2:number,score:number,cls?:number}>} boxes this frame's detections
+     * @returns {Array<number|null>} track id per box (null while a track is still tentative or the box is unmatched)
+     */
+    update(boxes) {
+      frame++;
+      for (const t of tracks) {
+        const scale = Math.max(t.filters[3].x, 1);
+        t.filters.forEach((f) => predictAxis(f, scale));
+      }
+
+      const high = [], low = [];
+      boxes.forEach((b, i) => (b.score >= highScore ? high : low).push(i));
+      const all = tracks.map((_, i) => i);
+
+      const first = associate(tracks, boxes, all, high, minIou);
+      // Only tracks that were live last frame get a second chance with low-score boxes
+      const second = associate(
+        tracks, boxes, first.tracksLeft.filter((t) => tracks[t].missed === 0), low, minIou
+      );
+
+      const ids = boxes.map(() => null);
+      for (const [t, d] of [...first.pairs, ...second.pairs]) {
+        hit(tracks[t], boxes[d]);
+        if (tracks[t].confirmed) ids[d] = tracks[t].id;
+      }
+
+      const matched = new Set([...first.pairs, ...second.pairs].map(([t]) => t));
+      const survivors = [];
+      tracks.forEach((t, i) => {
+        if (!matched.has(i)) {
+          t.streak = 0;
+          t.missed++;
+          if (!t.confirmed) return; // tentative tracks die on their first miss
+          if (t.missed === 1) emit("lost", t);
+          if (t.missed > maxAge) return emit("end", t);
+        }
+        survivors.push(t);
+      });
+      tracks = survivors;
+
+      for (const d of first.detsLeft) {
+        const box = boxes[d];
+        const [cx, cy, w, h] = toCenter(box);
+        const scale = Math.max(h, 1);
+        const track = {
+          id: nextId++,
+          cls: box.cls,
+          score: box.score,
+          filters: [cx, cy, w, h].map((z) => axisFilter(z, scale)),
+          hits: 1,
+          streak: 1,
+          missed: 0,
+          confirmed: minHits <= 1,
+          firstFrame: frame,
+          trail: [[cx, cy]],
+        };
+        tracks.push(track);
+        if (track.confirmed) {
+          emit("start", track);
+          ids[d] = track.id;
+        }
+      }
+      return ids;
+    },
+
+    /** Confirmed tracks; `includeLost` adds the ones currently coasting on prediction. */
+    tracks({ includeLost = false } = {}) {
+      return tracks.filter((t) => t.confirmed && (includeLost || t.missed === 0)).map((t) => snapshot(t, frame));
+    },
+
+    /** End every track (firing "end") and start numbering again. */
+    reset() {
+      tracks.filter((t) => t.confirmed).forEach((t) => emit("end", t));
+      tracks = [];
+      nextId = 1;
+      frame = 0;
+    },
+
+    /** Listen to lifecycle events; returns an unsubscribe function. */
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
+
+/**
+ * Draw motion trails (source-pixel centres) for the given tracks.
+ * @param {Array} tracks from tracker.tracks()
+ * @param {HTMLCanvasElement} canvas already holding the frame/overlay
+ */
+export function drawTrails(tracks, canvas) {
+  const ctx = canvas.getContext("2d");
+  ctx.lineWidth = Math.max(2, Math.min(canvas.width, canvas.height) / 250);
+  ctx.lineJoin = "round";
+  for (const t of tracks) {
+    const n = t.trail.length;
+    for (let i = 1; i < n; i++) {
+      ctx.strokeStyle = trackColor(t.id, (0.15 + 0.85 * i / n).toFixed(2));
+      ctx.beginPath();
+      ctx.moveTo(t.trail[i - 1][0], t.trail[i - 1][1]);
+      ctx.lineTo(t.trail[i][0], t.trail[i][1]);
+      ctx.stroke();
+    }
+  }
+}
@@ -0,0 +1,47 @@
+import { createTracker } from "./tracker";
+
+const box = (x, y, score = 0.9, cls = 0) => ({ x1: x, y1: y, x2: x + 40, y2: y + 40, score, cls });
+
+test("confirms tracks after minHits and keeps ids through motion", () => {
+  const tracker = createTracker({ minHits: 3 });
+  expect(tracker.update([box(0, 0)])).toEqual([null]);
+  expect(tracker.update([box(5, 0)])).toEqual([null]);
+  expect(tracker.update([box(10, 0)])).toEqual([1]);
+  // two objects, listed in the other order
+  expect(tracker.update([box(300, 300), box(15, 0)])).toEqual([null, 1]);
+  expect(tracker.tracks()).toHaveLength(1);
+  expect(tracker.tracks()[0].trail).toHaveLength(4);
+});
+
+test("predicts through missed frames and recovers the same id", () => {
+  const events = [];
+  const tracker = createTracker({ minHits: 1, maxAge: 5 });
+  tracker.subscribe((e) => events.push(`${e.type}:${e.track.id}`));
+  for (let i = 0; i < 5; i++) tracker.update([box(i * 10, 0)]);
+  tracker.update([]);
+  tracker.update([]);
+  // constant velocity carries the prediction to where the object reappears
+  expect(tracker.update([box(70, 0)])).toEqual([1]);
+  expect(events).toEqual(["start:1", "lost:1", "recover:1"]);
+});
+
+test("uses low-score boxes only to continue existing tracks", () => {
+  const tracker = createTracker({ minHits: 1, highScore: 0.5 });
+  tracker.update([box(0, 0, 0.9)]);
+  expect(tracker.update([box(2, 0, 0.3), box(200, 200, 0.3)])).toEqual([1, null]);
+  expect(tracker.tracks()).toHaveLength(1);
+});
+
+test("never matches across classes and ends stale tracks", () => {
+  const events = [];
+  const tracker = createTracker({ minHits: 1, maxAge: 1 });
+  tracker.subscribe((e) => events.push(e.type));
+  tracker.update([box(0, 0, 0.9, 0)]);
+  expect(tracker.update([box(0, 0, 0.9, 1)])).toEqual([2]);
+  tracker.update([box(0, 0, 0.9, 1)]);
+  expect(events).toEqual(["start", "lost", "start", "end"]);
+
+  tracker.reset();
+  expect(events.slice(-1)).toEqual(["end"]);
+  expect(tracker.update([box(0, 0)])).toEqual([1]);
+});
@@ -2,37 +2,79 @@ import * as ort from "onnxruntime-web/webgpu";
 import { COCO_LABELS } from "./classes";
 
 /**
- * Letterbox resize (preserve aspect ratio, pad to square).
- * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} imageOrCanvas
- * @param {number} newSize square size (e.g., 640)
- * @param {number} padValue grayscale pad value (default 114)
+ * Create a 2D-capable canvas: a DOM canvas on the main thread, an OffscreenCanvas in workers.
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function createCanvas(width, height) {
+  if (typeof document === "undefined" && typeof OffscreenCanvas !== "undefined") {
+    return new OffscreenCanvas(width, height);
+  }
+  const c = document.createElement("canvas");
+  c.width = width;
+  c.height = height;
+  return c;
+}
+
+/**
+ * Model input size for a letterbox target: a square side or { width, height }.
+ * @param {number|{width: number, height: number}} target
+ * @returns {{width: number, height: number}}
+ */
+export function inputDims(target) {
+  return typeof target === "number" ? { width: target, height: target } : { width: target.width, height: target.height };
+}
+
+/**
+ * Letterbox geometry for an iw×ih frame: the largest aspect-preserving fit inside `target`,
+ * centred. With `auto` (dynamic-shape models) the padded input shrinks to the fitted frame
+ * rounded up to a multiple of `stride`, like Ultralytics' minimal-padding letterbox, so a
+ * 16:9 frame at 640 becomes 640×384 instead of 640×640.
+ * Carries both field sets: scale/padLeft/padTop (YOLO) and ratio/padX/padY (keypoints).
+ * @param {number|{width: number, height: number}} target
+ * @param {{auto?: boolean, stride?: number}} [opts]
+ */
+export function letterboxGeometry(iw, ih, target, { auto = false, stride = 32 } = {}) {
+  const box = inputDims(target);
+  const scale = Math.min(box.width / iw, box.height / ih);
+  const nw = Math.round(iw * scale);
+  const nh = Math.round(ih * scale);
+  const width = auto ? Math.min(box.width, Math.ceil(nw / stride) * stride) : box.width;
+  const height = auto ? Math.min(box.height, Math.ceil(nh / stride) * stride) : box.height;
+  const padLeft = Math.floor((width - nw) / 2);
+  const padTop = Math.floor((height - nh) / 2);
+  return {
+    canvas: { width, height },
+    scale, padLeft, padTop, nw, nh,
+    ratio: scale, padX: padLeft, padY: padTop,
+  };
+}
+
+/**
+ * Letterbox resize (preserve aspect ratio, pad to the target).
+ * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageBitmap} imageOrCanvas
+ * @param {number|{width: number, height: number}} target square size (e.g., 640) or width × height
+ * @param {{padValue?: number, auto?: boolean, stride?: number}} [opts] padValue: grayscale pad
+ *   value (default 114); auto/stride: minimal padding, see letterboxGeometry
  * @returns {{canvas: HTMLCanvasElement, scale: number, padLeft: number, padTop: number, nw: number, nh: number}}
  */
-export function letterbox(imageOrCanvas, newSize, padValue = 114) {
+export function letterbox(imageOrCanvas, target, { padValue = 114, ...opts } = {}) {
   const iw = imageOrCanvas.videoWidth || imageOrCanvas.naturalWidth || imageOrCanvas.width;
   const ih = imageOrCanvas.videoHeight || imageOrCanvas.naturalHeight || imageOrCanvas.height;
-  const scale = Math.min(newSize / iw, newSize / ih);
-  const nw = Math.round(iw * scale);
-  const nh = Math.round(ih * scale);
-  const padW = newSize - nw;
-  const padH = newSize - nh;
-  const padLeft = Math.floor(padW / 2);
-  const padTop = Math.floor(padH / 2);
+  const lb = letterboxGeometry(iw, ih, target, opts);
+  const { width, height } = lb.canvas;
 
-  const c = document.createElement("canvas");
-  c.width = newSize;
-  c.height = newSize;
+  const c = createCanvas(width, height);
   const ctx = c.getContext("2d");
 
   ctx.fillStyle = `rgb(${padValue},${padValue},${padValue})`;
-  ctx.fillRect(0, 0, newSize, newSize);
-  ctx.drawImage(imageOrCanvas, padLeft, padTop, nw, nh);
-  return { canvas: c, scale, padLeft, padTop, nw, nh };
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(imageOrCanvas, lb.padLeft, lb.padTop, lb.nw, lb.nh);
+  return { ...lb, canvas: c };
 }
 
 /**
  * Convert a canvas to NCHW Float32 tensor in RGB, normalized to [0,1].
- * @param {HTMLCanvasElement} imgCanvas
+ * @param {HTMLCanvasElement|OffscreenCanvas} imgCanvas
  * @returns {ort.Tensor}
  */
 export function toNchwFloat32(imgCanvas) {
@@ -65,11 +107,15 @@ export function iou(a, b) {
 }
 
 /**
- * Class-wise Non-Maximum Suppression.
+ * Class-wise Non-Maximum Suppression: overlapping boxes of different classes are all kept
+ * unless `agnostic` is set, which suppresses across classes (what the original pipeline did,
+ * as it compared a class field the parsers never set).
  * @param {Array<{x1:number,y1:number,x2:number,y2:number,score:number,cls:number}>} dets
  * @param {number} iouThresh
+ * @param {number} maxDet
+ * @param {{agnostic?: boolean}} [opts]
  */
-export function nonMaxSuppression(detections, iouThreshold = 0.45, maxDet = 100) {
+export function nonMaxSuppression(detections, iouThreshold = 0.45, maxDet = 100, { agnostic = false } = {}) {
   if (!detections || detections.length === 0) return [];
 
   // Sort by score descending
@@ -82,7 +128,7 @@ export function nonMaxSuppression(detections, iouThreshold = 0.45, maxDet = 100)
     keep.push(best);
 
     detections = detections.filter(det => {
-      if (det.clsId !== best.clsId) return true; // class-agnostic? remove this line
+      if (!agnostic && det.cls !== best.cls) return true;
       return iou(best, det) < iouThreshold;
     });
   }
@@ -91,13 +137,12 @@ export function nonMaxSuppression(detections, iouThreshold = 0.45, maxDet = 100)
 }
 
 /**
- * Parse Ultralytics YOLO outputs (v5/v8/v11). Auto-detects layout.
- * Accepts shapes [1,N,S], [1,S,N], or [N,S].
+ * Shape of a YOLO head: [1,N,S] (anchor-major), [1,S,N] (attribute-major) or [N,S].
+ * There are always more anchors than attributes, so the larger dim is N.
+ * @param {number[]} dims
+ * @returns {{numPred: number, stride: number, transposed: boolean}}
  */
-export function parseYolo(output, confThresh, inputSize) {
-  const data = output.cpuData || output.data;
-  const dims = output.dims || [];
-
+export function yoloHeadShape(dims) {
   let numPred = 0;
   let stride = 0;
   let transposed = false;
@@ -117,9 +162,36 @@ export function parseYolo(output, confThresh, inputSize) {
   } else {
     throw new Error(`Unsupported output dims: ${dims.join("x")}`);
   }
+  return { numPred, stride, transposed };
+}
 
-  const likelyV8V11 = (stride === 84) || (stride !== 85);
+/** yoloHeadShape plus an accessor for attribute k of anchor i. */
+function headLayout(output) {
+  const data = output.cpuData || output.data;
+  const { numPred, stride, transposed } = yoloHeadShape(output.dims || []);
   const getAt = (i, k) => (transposed ? data[k * numPred + i] : data[i * stride + k]);
+  return { numPred, stride, getAt };
+}
+
+/** Boxes whose coordinates look normalized (all ≤ 2) are scaled up to the input size, in place. */
+export function scaleNormalizedBoxes(dets, inputWidth, inputHeight = inputWidth) {
+  const maxCoord = dets.reduce((m, d) => Math.max(m, d.x2, d.y2), 0);
+  if (maxCoord <= 2.0) {
+    for (const d of dets) {
+      d.x1 *= inputWidth; d.y1 *= inputHeight; d.x2 *= inputWidth; d.y2 *= inputHeight;
+    }
+  }
+  return dets;
+}
+
+/**
+ * Parse Ultralytics YOLO outputs (v5/v8/v11). Auto-detects layout.
+ * Accepts shapes [1,N,S], [1,S,N], or [N,S]. The input size (height defaults to the width)
+ * scales heads that emit normalized boxes.
+ */
+export function parseYolo(output, confThresh, inputWidth, inputHeight = inputWidth) {
+  const { numPred, stride, getAt } = headLayout(output);
+  const likelyV8V11 = (stride === 84) || (stride !== 85);
 
   const dets = [];
   for (let i = 0; i < numPred; i++) {
@@ -154,30 +226,128 @@ export function parseYolo(output, confThresh, inputSize) {
     dets.push({ x1, y1, x2, y2, score, cls: bestCls });
   }
 
-  // If coords look normalized (<= 2), scale up to inputSize.
-  const maxCoord = dets.reduce((m, d) => Math.max(m, d.x2, d.y2), 0);
-  if (maxCoord <= 2.0) {
-    for (const d of dets) {
-      d.x1 *= inputSize; d.y1 *= inputSize; d.x2 *= inputSize; d.y2 *= inputSize;
-    }
+  return scaleNormalizedBoxes(dets, inputWidth, inputHeight);
+}
+
+const DEFAULT_MASK_DIM = 32;
+
+/**
+ * Parse a YOLOv8/v11-seg detection head into boxes with mask coefficients.
+ * Auto-detects the layout like parseYolo. Each anchor row is 4 box values, then class
+ * scores, then one coefficient per prototype channel; the channel count comes from the
+ * proto tensor, so the class count is whatever is left.
+ * Boxes are in model-input pixels, both center (x,y,w,h) and corner form.
+ * @param {ort.Tensor} output detection head
+ * @param {number} confThresh
+ * @param {{protoOut?: ort.Tensor, numClasses?: number}} [opts] numClasses is only used
+ *   when there is no proto tensor to read the mask dimension from
+ */
+export function parseYoloSeg(output, confThresh, opts = {}) {
+  const { numPred, stride, getAt } = headLayout(output);
+  const maskDim = opts.protoOut?.dims?.[1];
+  const numClasses = maskDim ? stride - 4 - maskDim : opts.numClasses ?? stride - 4 - DEFAULT_MASK_DIM;
+  if (numClasses < 1 || 4 + numClasses > stride) {
+    throw new Error(`Segmentation head with ${stride} attributes doesn't fit ${maskDim ?? "unknown"} mask channels`);
   }
 
+  const dets = [];
+  for (let a = 0; a < numPred; a++) {
+    const x = getAt(a, 0);
+    const y = getAt(a, 1);
+    const w = getAt(a, 2);
+    const h = getAt(a, 3);
+    let maxScore = -Infinity, cls = -1;
+    for (let c = 0; c < numClasses; c++) {
+      const score = getAt(a, 4 + c);
+      if (score > maxScore) { maxScore = score; cls = c; }
+    }
+    if (maxScore < confThresh) continue;
+    const maskCoeffs = new Float32Array(stride - 4 - numClasses);
+    for (let k = 0; k < maskCoeffs.length; k++) maskCoeffs[k] = getAt(a, 4 + numClasses + k);
+    dets.push({
+      x, y, w, h,
+      x1: x - w / 2, y1: y - h / 2, x2: x + w / 2, y2: y + h / 2,
+      score: maxScore, cls, maskCoeffs,
+    });
+  }
   return dets;
 }
 
+/**
+ * Combine mask prototypes with each detection's coefficients (sigmoid applied).
+ * @param {Array} dets detections from parseYoloSeg (after NMS)
+ * @param {ort.Tensor} protoOut prototypes [1, C, pH, pW]
+ * @returns {Array<{mask: Float32Array, width: number, height: number}>} proto-space masks
+ */
+export function yoloSegMasks(dets, protoOut) {
+  const [, pC, pH, pW] = protoOut.dims;
+  const proto = protoOut.cpuData || protoOut.data;
+  return dets.map((det) => {
+    const m = new Float32Array(pH * pW).fill(0);
+    for (let c = 0; c < pC; c++) {
+      const coeff = det.maskCoeffs[c];
+      for (let i = 0; i < pH * pW; i++) {
+        m[i] += coeff * proto[c * pH * pW + i];
+      }
+    }
+    for (let i = 0; i < m.length; i++) m[i] = 1 / (1 + Math.exp(-m[i]));
+    return { mask: m, width: pW, height: pH };
+  });
+}
+
+/** Intrinsic pixel size of an image, video, canvas or ImageBitmap. */
+export function sourceSize(source) {
+  return {
+    width: source.videoWidth || source.naturalWidth || source.width,
+    height: source.videoHeight || source.naturalHeight || source.height,
+  };
+}
+
+/**
+ * Map a box from letterboxed model-input coords back to source pixels, clamped to the frame.
+ * x and y have their own padding, so this holds for rectangular and auto-padded inputs.
+ * @param {{x1:number,y1:number,x2:number,y2:number}} d
+ * @param {{padLeft:number,padTop:number,scale:number}} map letterbox mapping
+ * @param {number} width source width
+ * @param {number} height source height
+ */
+export function unletterbox(d, map, width, height) {
+  return {
+    x1: Math.max(0, (d.x1 - map.padLeft) / map.scale),
+    y1: Math.max(0, (d.y1 - map.padTop) / map.scale),
+    x2: Math.min(width, (d.x2 - map.padLeft) / map.scale),
+    y2: Math.min(height, (d.y2 - map.padTop) / map.scale),
+  };
+}
+
+/** Stable colour per track id (golden-angle hue steps keep neighbouring ids apart). */
+export function trackColor(id, alpha = 1) {
+  const hue = (id * 137.508) % 360;
+  return `hsla(${hue.toFixed(0)}, 90%, 55%, ${alpha})`;
+}
+
+/** Label text for a box: `#<track> <class> <score>%`, the track part only when tracked. */
+export function boxLabel(name, d) {
+  const track = d.trackId != null ? `#${d.trackId} ` : "";
+  return `${track}${name} ${(d.score * 100).toFixed(1)}%`;
+}
+
 /**
  * Draw detections on a target canvas using the source media as background.
  * @param {*} dets detections from parse + NMS
  * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} source
- * @param {{padLeft:number,padTop:number,scale:number}} map letterbox mapping
+ * @param {{padLeft:number,padTop:number,scale:number}} map letterbox mapping (x and y padding apart,
+ *   so rectangular inputs map back correctly)
  * @param {HTMLCanvasElement} canvas target canvas to draw on
+ * @param {{overlay?: boolean, labels?: string[]}} opts labels default to COCO
+ * Tracked detections (with `trackId`) are drawn in their track's colour.
  */
 export function drawDetectionsOnSource(dets, source, map, canvas, opts = {}) {
   const { overlay = false } = opts;
+  const labels = opts.labels || COCO_LABELS;
   const ctx = canvas.getContext("2d");
 
-  const sW = source.videoWidth || source.naturalWidth || source.width;
-  const sH = source.videoHeight || source.naturalHeight || source.height;
+  const { width: sW, height: sH } = sourceSize(source);
 
   // Always keep the canvas pixel size in sync with the source frame size
   if (canvas.width !== sW || canvas.height !== sH) {
@@ -197,19 +367,16 @@ export function drawDetectionsOnSource(dets, source, map, canvas, opts = {}) {
   ctx.font = `${Math.max(12, Math.min(canvas.width, canvas.height) / 35)}px sans-serif`;
 
   dets.forEach((d) => {
-    const x1 = Math.max(0, (d.x1 - map.padLeft) / map.scale);
-    const y1 = Math.max(0, (d.y1 - map.padTop) / map.scale);
-    const x2 = Math.min(canvas.width, (d.x2 - map.padLeft) / map.scale);
-    const y2 = Math.min(canvas.height, (d.y2 - map.padTop) / map.scale);
+    const { x1, y1, x2, y2 } = unletterbox(d, map, canvas.width, canvas.height);
 
-    ctx.strokeStyle = "#00FF00";
+    ctx.strokeStyle = d.trackId != null ? trackColor(d.trackId) : "#00FF00";
     ctx.fillStyle = "rgba(0,0,0,0.5)";
 
     ctx.beginPath();
     ctx.rect(x1, y1, x2 - x1, y2 - y1);
     ctx.stroke();
 
-    const label = `${COCO_LABELS[d.cls] || `cls ${d.cls}`} ${(d.score * 100).toFixed(1)}%`;
+    const label = boxLabel(labels[d.cls] || `cls ${d.cls}`, d);
     const textW = ctx.measureText(label).width + 8;
     const textH = parseInt(ctx.font, 10) + 6;
     const tx = Math.max(0, Math.min(x1, canvas.width - textW));
@@ -221,7 +388,7 @@ export function drawDetectionsOnSource(dets, source, map, canvas, opts = {}) {
 }
 
 
-const MASK_THRESHOLD = 0.5; // tweak if needed
+export const MASK_THRESHOLD = 0.5;
 const PALETTE = [
   [255, 0, 0, 100],
   [0, 255, 0, 100],
@@ -234,13 +401,17 @@ const PALETTE = [
 /**
  * Draw YOLOv8-seg masks cropped to each detection bbox and mapped back to source size.
  *
- * @param {Array} dets  - kept detections [{x,y,w,h,clsId,score,maskCoeffs}, ...] in MODEL INPUT coords (letterboxed 0..inputSize)
+ * @param {Array} dets  - kept detections [{x,y,w,h,cls,score,maskCoeffs}, ...] in MODEL INPUT coords (letterboxed 0..inputSize)
  * @param {Array} masks - [{mask: Float32Array, width: pW, height: pH}, ...] raw proto-space masks (0..1) per det
  * @param {Object} lb   - letterbox info from your preprocess: expects lb.canvas, and (ratio, dw, dh) if available
  * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} src - original source (image/video)
  * @param {HTMLCanvasElement} targetCanvas - where to paint
+ * @param {{overlay?: boolean, labels?: string[], maskThreshold?: number}} opts - overlay=true paints masks only,
+ *   on a cleared canvas; labels default to COCO; mask pixels above maskThreshold are painted
  */
-export function drawYoloSegMasksCropped(dets, masks, lb, src, targetCanvas) {
+export function drawYoloSegMasksCropped(dets, masks, lb, src, targetCanvas, opts = {}) {
+  const { overlay = false, maskThreshold = MASK_THRESHOLD } = opts;
+  const labels = opts.labels || COCO_LABELS;
   const ctx = targetCanvas.getContext("2d");
   const srcW = src.naturalWidth || src.videoWidth || src.width;
   const srcH = src.naturalHeight || src.videoHeight || src.height;
@@ -251,9 +422,11 @@ export function drawYoloSegMasksCropped(dets, masks, lb, src, targetCanvas) {
     targetCanvas.height = srcH;
   }
 
-  // Draw the source frame first
+  // Draw the source frame first (unless overlaying on a visible video)
   ctx.clearRect(0, 0, targetCanvas.width, targetCanvas.height);
-  ctx.drawImage(src, 0, 0, srcW, srcH);
+  if (!overlay) ctx.drawImage(src, 0, 0, srcW, srcH);
+
+  ctx.font = `${Math.max(12, Math.min(srcW, srcH) / 35)}px sans-serif`;
 
   // Model input (letterboxed) size
   const inputW = lb?.canvas?.width || 640;
@@ -261,12 +434,12 @@ export function drawYoloSegMasksCropped(dets, masks, lb, src, targetCanvas) {
 
   // Undo-letterbox params (fallbacks if lb didn’t expose them)
   const ratio =
-    lb?.ratio ??
+    lb?.ratio ?? lb?.scale ??
     Math.min(inputW / srcW, inputH / srcH);
   const newUnpaddedW = Math.round(srcW * ratio);
   const newUnpaddedH = Math.round(srcH * ratio);
-  const dw = lb?.dw ?? (inputW - newUnpaddedW) / 2;
-  const dh = lb?.dh ?? (inputH - newUnpaddedH) / 2;
+  const dw = lb?.dw ?? lb?.padLeft ?? (inputW - newUnpaddedW) / 2;
+  const dh = lb?.dh ?? lb?.padTop ?? (inputH - newUnpaddedH) / 2;
 
   for (let k = 0; k < dets.length; k++) {
     const det = dets[k];
@@ -274,11 +447,11 @@ export function drawYoloSegMasksCropped(dets, masks, lb, src, targetCanvas) {
 
     // Build a proto-space RGBA image once per det (transparent outside mask)
     const rgba = new Uint8ClampedArray(pW * pH * 4);
-    const [r, g, b, a] = PALETTE[det.clsId % PALETTE.length];
+    const [r, g, b, a] = PALETTE[det.cls % PALETTE.length];
 
     for (let i = 0; i < pW * pH; i++) {
       const m = mask[i]; // 0..1
-      const alpha = m > MASK_THRESHOLD ? a : 0;
+      const alpha = m > maskThreshold ? a : 0;
       const j = i * 4;
       rgba[j + 0] = r;
       rgba[j + 1] = g;
@@ -317,5 +490,13 @@ export function drawYoloSegMasksCropped(dets, masks, lb, src, targetCanvas) {
     ctx.strokeStyle = `rgba(${r},${g},${b},0.9)`;
     ctx.lineWidth = 2;
     ctx.strokeRect(dx, dy, dwPx, dhPx);
+
+    const label = boxLabel(labels[det.cls] || `cls ${det.cls}`, det);
+    const textH = parseInt(ctx.font, 10) + 6;
+    const ty = Math.max(textH, dy);
+    ctx.fillStyle = "rgba(0,0,0,0.5)";
+    ctx.fillRect(dx, ty - textH, ctx.measureText(label).width + 8, textH);
+    ctx.fillStyle = "#FFFFFF";
+    ctx.fillText(label, dx + 4, ty - 6);
   }
 }
\ No newline at end of file
@@ -1,4 +1,5 @@
 import * as ort from "onnxruntime-web/webgpu";
+import { createCanvas, boxLabel } from "./utils";
 // utils.js
 
 /**
@@ -6,16 +7,14 @@ import * as ort from "onnxruntime-web/webgpu";
  * Returns {canvas, ratio, padX, padY}.
  */
 export function letterbox(source, newSize = 224, color = [114, 114, 114]) {
-  const iw = source.width;
-  const ih = source.height;
+  const iw = source.videoWidth || source.naturalWidth || source.width;
+  const ih = source.videoHeight || source.naturalHeight || source.height;
 
   const scale = Math.min(newSize / iw, newSize / ih);
   const nw = Math.round(iw * scale);
   const nh = Math.round(ih * scale);
 
-  const canvas = document.createElement("canvas");
-  canvas.width = newSize;
-  canvas.height = newSize;
+  const canvas = createCanvas(newSize, newSize);
   const ctx = canvas.getContext("2d");
 
   // Fill background
@@ -38,9 +37,9 @@ export function letterbox(source, newSize = 224, color = [114, 114, 114]) {
 
 /**
  * Convert canvas image to Float32Array tensor in NCHW format.
- * Normalized to [0,1].
+ * Normalized to [0,1], or to [-1,1] when signed is true (MediaPipe-style models).
  */
-export function toNchwFloat32(canvas) {
+export function toNchwFloat32(canvas, signed = false) {
   const ctx = canvas.getContext("2d");
   const { width, height } = canvas;
   const imgData = ctx.getImageData(0, 0, width, height).data;
@@ -51,9 +50,10 @@ export function toNchwFloat32(canvas) {
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
       const i = (y * width + x) * 4;
-      const r = imgData[i] / 255.0;
-      const g = imgData[i + 1] / 255.0;
-      const b = imgData[i + 2] / 255.0;
+      let r = imgData[i] / 255.0;
+      let g = imgData[i + 1] / 255.0;
+      let b = imgData[i + 2] / 255.0;
+      if (signed) { r = r * 2 - 1; g = g * 2 - 1; b = b * 2 - 1; }
       float32Data[idx] = r;                          // R
       float32Data[idx + height * width] = g;         // G
       float32Data[idx + 2 * height * width] = b;     // B
@@ -63,3 +63,225 @@ export function toNchwFloat32(canvas) {
 
   return new ort.Tensor("float32", float32Data, [1, 3, height, width]);
 }
+
+/**
+ * 21-point hand skeleton (MediaPipe landmark order).
+ * 0 wrist, 1-4 thumb, 5-8 index, 9-12 middle, 13-16 ring, 17-20 pinky.
+ */
+export const HAND_CONNECTIONS = [
+  [0, 1], [1, 2], [2, 3], [3, 4],
+  [0, 5], [5, 6], [6, 7], [7, 8],
+  [5, 9], [9, 10], [10, 11], [11, 12],
+  [9, 13], [13, 14], [14, 15], [15, 16],
+  [13, 17], [0, 17], [17, 18], [18, 19], [19, 20],
+];
+
+// Palm detector keypoints → slots of the 21-point hand skeleton
+// (wrist, index/middle/ring/pinky MCP, thumb CMC, thumb MCP).
+const PALM_TO_HAND = [0, 5, 9, 13, 17, 1, 2];
+
+/**
+ * SSD anchors for the MediaPipe/BlazePalm palm detector.
+ * Strides 8,16,32,32,32 with two anchors per cell; equal strides are merged,
+ * so a 256 input yields 32²·2 + 16²·2 + 8²·6 = 2944 anchor centers.
+ * @returns {Float32Array} [cx, cy] pairs normalized to [0,1]
+ */
+export function palmAnchors(inputSize = 256, strides = [8, 16, 32, 32, 32]) {
+  const centers = [];
+  let i = 0;
+  while (i < strides.length) {
+    let perCell = 0;
+    let j = i;
+    while (j < strides.length && strides[j] === strides[i]) { perCell += 2; j++; }
+    const fm = Math.ceil(inputSize / strides[i]);
+    for (let y = 0; y < fm; y++) {
+      for (let x = 0; x < fm; x++) {
+        for (let a = 0; a < perCell; a++) centers.push((x + 0.5) / fm, (y + 0.5) / fm);
+      }
+    }
+    i = j;
+  }
+  return Float32Array.from(centers);
+}
+
+const sigmoid = (v) => 1 / (1 + Math.exp(-Math.max(-100, Math.min(100, v))));
+
+function emptyHand() {
+  return Array.from({ length: 21 }, () => ({ x: 0, y: 0, score: 0 }));
+}
+
+/**
+ * Decode a palm detector head (box_coords [1,N,4+2K] + box_scores [1,N,1]).
+ * Boxes and keypoints come back in model-input pixels; the K palm keypoints
+ * are placed into their 21-point skeleton slots, the rest stay at score 0.
+ */
+function decodePalms(coords, scores, inputSize, confThresh) {
+  const data = coords.cpuData || coords.data;
+  const logits = scores.cpuData || scores.data;
+  const [, n, stride] = coords.dims;
+  const anchors = palmAnchors(inputSize);
+  if (anchors.length / 2 !== n) {
+    throw new Error(`Palm head has ${n} anchors, expected ${anchors.length / 2} for ${inputSize}px input`);
+  }
+  const numKpts = Math.min(PALM_TO_HAND.length, (stride - 4) >> 1);
+
+  const hands = [];
+  for (let i = 0; i < n; i++) {
+    const score = sigmoid(logits[i]);
+    if (score < confThresh) continue;
+    const base = i * stride;
+    const ax = anchors[i * 2] * inputSize;
+    const ay = anchors[i * 2 + 1] * inputSize;
+    const cx = data[base] + ax;
+    const cy = data[base + 1] + ay;
+    const w = data[base + 2];
+    const h = data[base + 3];
+
+    const keypoints = emptyHand();
+    for (let k = 0; k < numKpts; k++) {
+      keypoints[PALM_TO_HAND[k]] = {
+        x: data[base + 4 + k * 2] + ax,
+        y: data[base + 5 + k * 2] + ay,
+        score,
+      };
+    }
+    hands.push({ x1: cx - w / 2, y1: cy - h / 2, x2: cx + w / 2, y2: cy + h / 2, score, keypoints });
+  }
+  return hands;
+}
+
+/**
+ * Decode a hand landmark head: 21×(x,y[,z|conf]) values, optionally with a
+ * separate presence score output. Returns at most one hand.
+ */
+function decodeLandmarks(points, presence, inputSize, confThresh) {
+  const data = points.cpuData || points.data;
+  const channels = data.length / 21;
+  let handScore = 1;
+  if (presence) {
+    const p = (presence.cpuData || presence.data)[0];
+    handScore = p >= 0 && p <= 1 ? p : sigmoid(p);
+  }
+  if (handScore < confThresh) return [];
+
+  // A third channel in [0,1] is per-joint confidence; otherwise it's depth (z).
+  let thirdIsConf = channels === 3;
+  for (let j = 0; thirdIsConf && j < 21; j++) {
+    const c = data[j * 3 + 2];
+    if (c < 0 || c > 1) thirdIsConf = false;
+  }
+  const maxXY = data.reduce((m, v, i) => (i % channels < 2 ? Math.max(m, v) : m), 0);
+  const k = maxXY <= 2.0 ? inputSize : 1;
+
+  const keypoints = emptyHand();
+  let x1 = Infinity, y1 = Infinity, x2 = -Infinity, y2 = -Infinity;
+  for (let j = 0; j < 21; j++) {
+    const x = data[j * channels] * k;
+    const y = data[j * channels + 1] * k;
+    const score = thirdIsConf ? data[j * 3 + 2] : handScore;
+    keypoints[j] = { x, y, score };
+    x1 = Math.min(x1, x); y1 = Math.min(y1, y); x2 = Math.max(x2, x); y2 = Math.max(y2, y);
+  }
+  return [{ x1, y1, x2, y2, score: handScore, keypoints }];
+}
+
+/**
+ * Decode hand keypoint outputs, auto-detecting the head by output shapes.
+ * Supports palm detectors (box_coords + box_scores) and 21-point landmark heads.
+ * @param {Record<string, ort.Tensor>} results session.run() output map
+ * @returns {Array<{x1:number,y1:number,x2:number,y2:number,score:number,keypoints:Array<{x:number,y:number,score:number}>}>}
+ *   hands in model-input pixels (before NMS)
+ */
+export function decodeHands(results, inputSize, confThresh = 0.5) {
+  const tensors = Object.values(results);
+  const size = (t) => t.dims.reduce((a, b) => a * b, 1);
+
+  const coords = tensors.find((t) => t.dims.length === 3 && t.dims[2] >= 4 && t.dims[1] > 21);
+  const scores = coords && tensors.find((t) => t !== coords && t.dims[1] === coords.dims[1] && size(t) === coords.dims[1]);
+  if (coords && scores) return decodePalms(coords, scores, inputSize, confThresh);
+
+  const points = tensors.find((t) => size(t) === 42 || size(t) === 63);
+  if (points) {
+    const presence = tensors.find((t) => t !== points && size(t) === 1);
+    return decodeLandmarks(points, presence, inputSize, confThresh);
+  }
+
+  throw new Error(`Unsupported hand model outputs: ${tensors.map((t) => `[${t.dims.join("x")}]`).join(", ")}`);
+}
+
+/**
+ * Map hands from model-input pixels back to source pixels (undo letterbox).
+ * @param {Array} hands decoded hands
+ * @param {{ratio:number,padX:number,padY:number}} lb letterbox info
+ */
+export function mapHandsToSource(hands, lb) {
+  const mx = (x) => (x - lb.padX) / lb.ratio;
+  const my = (y) => (y - lb.padY) / lb.ratio;
+  return hands.map((h) => ({
+    ...h,
+    x1: mx(h.x1), y1: my(h.y1), x2: mx(h.x2), y2: my(h.y2),
+    keypoints: h.keypoints.map((p) => ({ x: mx(p.x), y: my(p.y), score: p.score })),
+  }));
+}
+
+/**
+ * Draw the 21-point hand skeleton for each hand (source-pixel coordinates).
+ * Joints and bones below kptThresh are skipped, and so are joints the model didn't fill
+ * (score 0: a palm detector only places 7 of them) even with a threshold of 0. Joint opacity
+ * follows confidence.
+ * @param {Array} hands hands from mapHandsToSource
+ * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} source
+ * @param {HTMLCanvasElement} canvas target canvas
+ * @param {{overlay?: boolean, kptThresh?: number, labels?: string[]}} opts labels[0] names the hand class
+ */
+export function drawHands(hands, source, canvas, opts = {}) {
+  const { overlay = false, kptThresh = 0.3, labels } = opts;
+  const ctx = canvas.getContext("2d");
+  const sW = source.videoWidth || source.naturalWidth || source.width;
+  const sH = source.videoHeight || source.naturalHeight || source.height;
+  if (canvas.width !== sW || canvas.height !== sH) {
+    canvas.width = sW;
+    canvas.height = sH;
+  }
+  if (overlay) ctx.clearRect(0, 0, sW, sH);
+  else ctx.drawImage(source, 0, 0, sW, sH);
+
+  const unit = Math.max(2, Math.min(sW, sH) / 240);
+  ctx.font = `${Math.max(12, Math.min(sW, sH) / 40)}px sans-serif`;
+
+  const shown = (p) => p.score > 0 && p.score >= kptThresh;
+  for (const hand of hands) {
+    const kp = hand.keypoints;
+
+    ctx.strokeStyle = "rgba(0,229,255,0.6)";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(hand.x1, hand.y1, hand.x2 - hand.x1, hand.y2 - hand.y1);
+
+    ctx.strokeStyle = "#00FF00";
+    ctx.lineWidth = unit;
+    for (const [a, b] of HAND_CONNECTIONS) {
+      if (!shown(kp[a]) || !shown(kp[b])) continue;
+      ctx.beginPath();
+      ctx.moveTo(kp[a].x, kp[a].y);
+      ctx.lineTo(kp[b].x, kp[b].y);
+      ctx.stroke();
+    }
+
+    for (const p of kp) {
+      if (!shown(p)) continue;
+      ctx.fillStyle = `rgba(255,0,212,${(0.35 + 0.65 * p.score).toFixed(2)})`;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, unit * 1.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    const label = boxLabel(labels?.[0] || "hand", hand);
+    ctx.fillStyle = "rgba(0,0,0,0.5)";
+    const textW = ctx.measureText(label).width + 8;
+    const textH = parseInt(ctx.font, 10) + 6;
+    const ty = Math.max(textH, hand.y1);
+    ctx.fillRect(hand.x1, ty - textH, textW, textH);
+    ctx.fillStyle = "#FFFFFF";
+    ctx.fillText(label, hand.x1 + 4, ty - 6);
+  }
+}
@@ -0,0 +1,97 @@
+import * as ort from "onnxruntime-web/webgpu";
+import { palmAnchors, decodeHands, mapHandsToSource, drawHands } from "./utils_keys";
+
+const tensor = (data, dims) => new ort.Tensor("float32", Float32Array.from(data), dims);
+
+/**
+ * Palm detector outputs for a 256 px input: box_coords [1, 2944, 18] (box, 7 keypoints as
+ * offsets from the anchor) and box_scores [1, 2944, 1] logits, empty except for `hits`.
+ */
+function palmHead(hits) {
+  const n = 2944, stride = 18;
+  const coords = new Float32Array(n * stride);
+  const scores = new Float32Array(n).fill(-10);
+  for (const { anchor, box, kpts, logit } of hits) {
+    coords.set([...box, ...kpts.flat()], anchor * stride);
+    scores[anchor] = logit;
+  }
+  return { box_coords: tensor(coords, [1, n, stride]), box_scores: tensor(scores, [1, n, 1]) };
+}
+
+test("palm anchors cover every stride with two anchors per cell", () => {
+  const anchors = palmAnchors(256);
+  expect(anchors.length / 2).toBe(32 * 32 * 2 + 16 * 16 * 2 + 8 * 8 * 6);
+  expect(Array.from(anchors.subarray(0, 4))).toEqual([0.5 / 32, 0.5 / 32, 0.5 / 32, 0.5 / 32]);
+  // The three stride-32 layers are merged: six anchors per 8×8 cell at the end
+  expect(Array.from(anchors.subarray(anchors.length - 2))).toEqual([7.5 / 8, 7.5 / 8]);
+});
+
+test("palm boxes and keypoints are decoded against their anchors", () => {
+  // Anchor 136 is cell (4, 2) of the stride-8 grid: centre (36, 20) in input pixels
+  const kpts = Array.from({ length: 7 }, (_, k) => [k, -k]);
+  const [hand, ...rest] = decodeHands(palmHead([
+    { anchor: 136, box: [4, -2, 40, 30], kpts, logit: 2 },
+    { anchor: 500, box: [0, 0, 10, 10], kpts, logit: -1 }, // sigmoid(-1) < 0.5
+  ]), 256, 0.5);
+  expect(rest).toHaveLength(0);
+  expect(hand).toMatchObject({ x1: 20, y1: 3, x2: 60, y2: 33 });
+  expect(hand.score).toBeCloseTo(1 / (1 + Math.exp(-2)));
+  expect(hand.keypoints[0]).toEqual({ x: 36, y: 20, score: hand.score });
+});
+
+test("palm keypoints fill their slots of the 21-point skeleton, the rest stay at zero confidence", () => {
+  const kpts = Array.from({ length: 7 }, (_, k) => [k + 1, 0]);
+  const [hand] = decodeHands(palmHead([{ anchor: 0, box: [0, 0, 8, 8], kpts, logit: 3 }]), 256, 0.5);
+  expect(hand.keypoints).toHaveLength(21);
+  // wrist, index/middle/ring/pinky MCP, thumb CMC, thumb MCP
+  const slots = [0, 5, 9, 13, 17, 1, 2];
+  slots.forEach((slot, k) => expect(hand.keypoints[slot].x).toBeCloseTo(4 + k + 1));
+  const unfilled = hand.keypoints.filter((p, j) => !slots.includes(j));
+  expect(unfilled).toHaveLength(14);
+  unfilled.forEach((p) => expect(p).toEqual({ x: 0, y: 0, score: 0 }));
+});
+
+test("a palm head that doesn't match the input size is rejected", () => {
+  expect(() => decodeHands(palmHead([]), 192, 0.5)).toThrow(/2944 anchors, expected/);
+});
+
+test("a 21×3 landmark head gives one hand with per-joint confidence", () => {
+  // Normalized x, y and a confidence per joint; presence is a logit
+  const points = Array.from({ length: 21 }, (_, j) => [0.25 + j / 100, 0.5, j % 2 ? 0.9 : 0.2]);
+  const results = { Identity: tensor(points.flat(), [1, 63]), Identity_1: tensor([3], [1, 1]) };
+  const [hand] = decodeHands(results, 224, 0.5);
+  expect(hand.score).toBeCloseTo(1 / (1 + Math.exp(-3)));
+  expect(hand.keypoints[0]).toEqual({ x: 56, y: 112, score: expect.any(Number) });
+  expect(hand.keypoints[1].score).toBeCloseTo(0.9);
+  expect(hand.keypoints[2].score).toBeCloseTo(0.2);
+  expect(hand.x1).toBeCloseTo(56);
+  expect(hand.x2).toBeCloseTo((0.25 + 0.2) * 224);
+
+  const absent = { Identity: results.Identity, Identity_1: tensor([-3], [1, 1]) };
+  expect(decodeHands(absent, 224, 0.5)).toEqual([]);
+  expect(() => decodeHands({ out: tensor([0, 0], [1, 2]) }, 224)).toThrow(/Unsupported hand model outputs/);
+});
+
+test("only joints the model filled and the bones between them are drawn", () => {
+  const ctx = {
+    font: "", fillRect() {}, strokeRect() {}, clearRect() {}, drawImage() {}, fillText() {},
+    beginPath() {}, stroke() {}, fill() {}, lineTo() {}, moveTo: jest.fn(), arc: jest.fn(),
+    measureText: () => ({ width: 10 }),
+  };
+  const canvas = { width: 0, height: 0, getContext: () => ctx };
+  const [hand] = decodeHands(palmHead([{ anchor: 0, box: [0, 0, 8, 8], kpts: new Array(7).fill([0, 0]), logit: 3 }]), 256, 0.5);
+  drawHands([hand], { width: 256, height: 256 }, canvas, { overlay: true, kptThresh: 0 });
+  expect(ctx.arc).toHaveBeenCalledTimes(7);
+  // wrist–thumb CMC–thumb MCP, wrist–index–middle–ring–pinky–wrist
+  expect(ctx.moveTo).toHaveBeenCalledTimes(7);
+});
+
+test("hands map back through the letterbox padding and ratio to source pixels", () => {
+  const lb = { ratio: 0.5, padX: 10, padY: 40 };
+  const [hand] = mapHandsToSource([{
+    x1: 10, y1: 40, x2: 110, y2: 140, score: 0.8,
+    keypoints: [{ x: 60, y: 90, score: 0.7 }, { x: 0, y: 0, score: 0 }],
+  }], lb);
+  expect(hand).toMatchObject({ x1: 0, y1: 0, x2: 200, y2: 200, score: 0.8 });
+  expect(hand.keypoints).toEqual([{ x: 100, y: 100, score: 0.7 }, { x: -20, y: -80, score: 0 }]);
+});
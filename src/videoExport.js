@@ -0,0 +1,220 @@
+// videoExport.js — render a video file frame by frame through a mode and encode the
+// annotated result as WebM (WebCodecs when available, MediaRecorder otherwise)
+/* global VideoEncoder, VideoFrame */
+import { inferWhenFree } from "./batch";
+import { createWebmMuxer } from "./webm";
+import { createTracker, drawTrails } from "./tracker";
+import { createZoneCounter, drawZones } from "./zones";
+
+const KEYFRAME_INTERVAL_S = 2;
+const MAX_ENCODE_QUEUE = 4;
+const RECORDER_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function once(target, event) {
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      target.removeEventListener(event, done);
+      target.removeEventListener("error", fail);
+      resolve();
+    };
+    const fail = () => {
+      target.removeEventListener(event, done);
+      target.removeEventListener("error", fail);
+      reject(new Error(`Video ${event} failed`));
+    };
+    target.addEventListener(event, done);
+    target.addEventListener("error", fail);
+  });
+}
+
+async function loadVideo(url) {
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = "auto";
+  const loaded = once(video, "loadeddata");
+  video.src = url;
+  await loaded;
+  return video;
+}
+
+async function seek(video, time) {
+  const seeked = once(video, "seeked");
+  video.currentTime = time;
+  await seeked;
+}
+
+/** Bits per second for a VP8/VP9 stream of this size that keeps boxes and text crisp. */
+function bitrateFor(width, height, fps) {
+  return Math.round(Math.min(12e6, Math.max(1e6, width * height * fps * 0.15)));
+}
+
+/** WebCodecs encoder feeding the WebM muxer; null when the browser can't encode VP8/VP9. */
+async function createCodecsEncoder(width, height, fps) {
+  if (typeof VideoEncoder === "undefined" || typeof VideoFrame === "undefined") return null;
+  const base = { width, height, bitrate: bitrateFor(width, height, fps), framerate: fps };
+  let config = null, codecId = null;
+  for (const [codec, id] of [["vp09.00.10.08", "V_VP9"], ["vp8", "V_VP8"]]) {
+    const { supported } = await VideoEncoder.isConfigSupported({ ...base, codec }).catch(() => ({}));
+    if (supported) {
+      config = { ...base, codec };
+      codecId = id;
+      break;
+    }
+  }
+  if (!config) return null;
+
+  const frameUs = 1e6 / fps;
+  const muxer = createWebmMuxer({ width, height, codec: codecId, frameDurationUs: frameUs });
+  let failure = null;
+  const encoder = new VideoEncoder({
+    output(chunk) {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      muxer.addFrame(data, chunk.timestamp, chunk.type === "key", chunk.duration ?? frameUs);
+    },
+    error(err) {
+      failure = err;
+    },
+  });
+  encoder.configure(config);
+
+  return {
+    async addFrame(canvas, index) {
+      if (failure) throw failure;
+      while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) await sleep(5);
+      const frame = new VideoFrame(canvas, { timestamp: Math.round(index * frameUs), duration: Math.round(frameUs) });
+      encoder.encode(frame, { keyFrame: index % Math.max(1, Math.round(fps * KEYFRAME_INTERVAL_S)) === 0 });
+      frame.close();
+    },
+    async finish() {
+      await encoder.flush();
+      encoder.close();
+      if (failure) throw failure;
+      return new Blob([muxer.finish()], { type: "video/webm" });
+    },
+    cancel() {
+      if (encoder.state !== "closed") encoder.close();
+    },
+  };
+}
+
+/**
+ * MediaRecorder fallback. The recorder runs in real time, so it is paused while a frame is
+ * being inferred and resumed for exactly one frame duration once it is drawn.
+ */
+function createRecorderEncoder(canvas, fps) {
+  if (typeof MediaRecorder === "undefined" || !canvas.captureStream) {
+    throw new Error("This browser can't encode video (no WebCodecs or MediaRecorder)");
+  }
+  const mimeType = RECORDER_TYPES.find((t) => MediaRecorder.isTypeSupported(t));
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, {
+    mimeType,
+    videoBitsPerSecond: bitrateFor(canvas.width, canvas.height, fps),
+  });
+  const chunks = [];
+  recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+  let started = false;
+
+  return {
+    async addFrame() {
+      if (!started) {
+        recorder.start();
+        started = true;
+      } else {
+        recorder.resume();
+      }
+      track.requestFrame();
+      await sleep(1000 / fps);
+      recorder.pause();
+    },
+    async finish() {
+      if (!started) throw new Error("No frames were rendered");
+      const stopped = once(recorder, "stop");
+      recorder.stop();
+      await stopped;
+      track.stop();
+      return new Blob(chunks, { type: mimeType || "video/webm" });
+    },
+    cancel() {
+      if (recorder.state !== "inactive") recorder.stop();
+      track.stop();
+    },
+  };
+}
+
+/**
+ * Run `mode` on every frame of a video file (at `fps`, regardless of how long inference
+ * takes) and encode frame + results as WebM. Tracking, trails and counting zones follow
+ * the same settings as live runs, with their own tracker so a live run isn't disturbed.
+ * Audio isn't carried over.
+ * @param {string} url object URL of the video file
+ * @param {{backend: object, mode: object, settings: object, fps?: number, zones?: Array,
+ *   signal?: AbortSignal, onProgress?: (p: {done: number, total: number}) => void}} opts
+ * @returns {Promise<{blob: Blob, frames: number}|null>} null when cancelled
+ */
+export async function renderAnnotatedVideo(url, { backend, mode, settings, fps = 30, zones = [], signal, onProgress }) {
+  const video = await loadVideo(url);
+  const width = video.videoWidth, height = video.videoHeight;
+  if (!width || !height) throw new Error("The video has no picture to render");
+  const total = Math.max(1, Math.floor(video.duration * fps));
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const zoneLayer = document.createElement("canvas");
+  zoneLayer.width = width;
+  zoneLayer.height = height;
+
+  const counting = zones.length > 0 && !!mode.trackTargets;
+  const tracking = (settings.track || counting) && !!mode.trackTargets;
+  const tracker = createTracker();
+  const counter = createZoneCounter(zones);
+  let time = 0;
+  tracker.subscribe(({ type, track }) => type === "end" && counter.forget(track.id, time));
+
+  const encoder = (await createCodecsEncoder(width, height, fps)) || createRecorderEncoder(canvas, fps);
+  let frames = 0;
+  try {
+    for (let i = 0; i < total; i++) {
+      if (signal?.aborted) break;
+      time = (i / fps) * 1000;
+      await seek(video, i / fps);
+      const result = await inferWhenFree(backend, mode, video, settings, signal);
+      if (!result) break; // aborted while waiting
+
+      if (tracking) {
+        const targets = mode.trackTargets(result, width, height);
+        tracker.update(targets).forEach((id, k) => {
+          if (id != null) targets[k].item.trackId = id;
+        });
+      }
+      mode.draw(result, video, canvas, { overlay: false, settings });
+      if (settings.track && settings.trails) drawTrails(tracker.tracks(), canvas);
+      if (counting) {
+        counter.update(tracker.tracks(), { width, height, time });
+        drawZones(zoneLayer, zones, counter.stats());
+        canvas.getContext("2d").drawImage(zoneLayer, 0, 0);
+      }
+
+      await encoder.addFrame(canvas, i);
+      frames++;
+      onProgress?.({ done: frames, total });
+    }
+    if (signal?.aborted) {
+      encoder.cancel();
+      return null;
+    }
+    return { blob: await encoder.finish(), frames };
+  } catch (err) {
+    encoder.cancel();
+    throw err;
+  } finally {
+    video.removeAttribute("src");
+    video.load();
+  }
+}
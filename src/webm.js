@@ -0,0 +1,155 @@
+// webm.js — a minimal WebM muxer for one video track of WebCodecs chunks (no cues, no audio)
+
+// Element ids, with their length-marker bits, as written
+const ID = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  FlagLacing: 0x9c,
+  CodecID: 0x86,
+  DefaultDuration: 0x23e383,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+};
+
+// Block timecodes are int16 offsets from their cluster's
+const MAX_CLUSTER_SPAN_MS = 30000;
+
+/** Big-endian bytes of an unsigned integer, at least `minBytes` long. */
+function uintBytes(value, minBytes = 1) {
+  const bytes = [];
+  let v = Math.floor(value);
+  do {
+    bytes.unshift(v % 256);
+    v = Math.floor(v / 256);
+  } while (v > 0 || bytes.length < minBytes);
+  return bytes;
+}
+
+/** EBML variable-size integer for an element's data size (shortest form). */
+export function vint(size) {
+  for (let len = 1; len <= 8; len++) {
+    if (size < 2 ** (7 * len) - 1) {
+      const bytes = uintBytes(size, len);
+      bytes[0] |= 0x80 >> (len - 1);
+      return bytes;
+    }
+  }
+  throw new Error(`Element too large: ${size} bytes`);
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let pos = 0;
+  for (const p of parts) {
+    out.set(p, pos);
+    pos += p.length;
+  }
+  return out;
+}
+
+/** Element with raw data bytes, or a master element made of child elements. */
+function element(id, data) {
+  const body = Array.isArray(data) ? concat(data) : data;
+  return concat([Uint8Array.from(uintBytes(id)), Uint8Array.from(vint(body.length)), body]);
+}
+
+const uint = (id, value) => element(id, Uint8Array.from(uintBytes(value)));
+const text = (id, value) => element(id, new TextEncoder().encode(value));
+
+function float64(id, value) {
+  const view = new DataView(new ArrayBuffer(8));
+  view.setFloat64(0, value);
+  return element(id, new Uint8Array(view.buffer));
+}
+
+/**
+ * Collects encoded frames and writes a WebM file at the end (everything stays in memory,
+ * so every element size is known and no seeking back is needed).
+ * @param {{width: number, height: number, codec?: string, frameDurationUs?: number}} opts
+ *   codec is a Matroska codec id: "V_VP8" or "V_VP9"
+ */
+export function createWebmMuxer({ width, height, codec = "V_VP8", frameDurationUs }) {
+  const clusters = [];
+  let cluster = null;
+  let endMs = 0;
+
+  function closeCluster() {
+    if (cluster) clusters.push(element(ID.Cluster, [uint(ID.Timecode, cluster.timecode), ...cluster.blocks]));
+    cluster = null;
+  }
+
+  return {
+    /**
+     * Add one encoded frame; frames must come in decode order.
+     * @param {Uint8Array} data
+     * @param {number} timestampUs presentation time in microseconds
+     * @param {boolean} keyframe
+     * @param {number} [durationUs]
+     */
+    addFrame(data, timestampUs, keyframe, durationUs = frameDurationUs || 0) {
+      const ms = Math.round(timestampUs / 1000);
+      if (!cluster || keyframe || ms - cluster.timecode > MAX_CLUSTER_SPAN_MS) {
+        closeCluster();
+        cluster = { timecode: ms, blocks: [] };
+      }
+      const header = new Uint8Array(4);
+      header[0] = 0x81; // track number 1 as a vint
+      new DataView(header.buffer).setInt16(1, ms - cluster.timecode);
+      header[3] = keyframe ? 0x80 : 0;
+      cluster.blocks.push(element(ID.SimpleBlock, concat([header, data])));
+      endMs = Math.max(endMs, ms + durationUs / 1000);
+    },
+
+    /** @returns {Uint8Array} the complete file */
+    finish() {
+      closeCluster();
+      const header = element(ID.EBML, [
+        uint(ID.EBMLVersion, 1),
+        uint(ID.EBMLReadVersion, 1),
+        uint(ID.EBMLMaxIDLength, 4),
+        uint(ID.EBMLMaxSizeLength, 8),
+        text(ID.DocType, "webm"),
+        uint(ID.DocTypeVersion, 2),
+        uint(ID.DocTypeReadVersion, 2),
+      ]);
+      const info = element(ID.Info, [
+        uint(ID.TimecodeScale, 1000000), // timecodes in ms
+        float64(ID.Duration, endMs),
+        text(ID.MuxingApp, "webm.js"),
+        text(ID.WritingApp, "webm.js"),
+      ]);
+      const track = [
+        uint(ID.TrackNumber, 1),
+        uint(ID.TrackUID, 1),
+        uint(ID.TrackType, 1), // video
+        uint(ID.FlagLacing, 0),
+        text(ID.CodecID, codec),
+      ];
+      if (frameDurationUs) track.push(uint(ID.DefaultDuration, Math.round(frameDurationUs * 1000)));
+      track.push(element(ID.Video, [uint(ID.PixelWidth, width), uint(ID.PixelHeight, height)]));
+      const tracks = element(ID.Tracks, [element(ID.TrackEntry, track)]);
+      return concat([header, element(ID.Segment, [info, tracks, ...clusters])]);
+    },
+  };
+}
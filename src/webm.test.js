@@ -0,0 +1,62 @@
+/**
+ * @jest-environment node
+ */
+import { createWebmMuxer, vint } from "./webm";
+
+// Minimal EBML reader: [{id, size, start, end}] for the elements in bytes[start, end)
+function children(bytes, start = 0, end = bytes.length) {
+  const out = [];
+  let pos = start;
+  while (pos < end) {
+    const idLen = Math.clz32(bytes[pos]) - 23;
+    let id = 0;
+    for (let k = 0; k < idLen; k++) id = id * 256 + bytes[pos + k];
+    pos += idLen;
+    const sizeLen = Math.clz32(bytes[pos]) - 23;
+    let size = bytes[pos] & (0xff >> sizeLen);
+    for (let k = 1; k < sizeLen; k++) size = size * 256 + bytes[pos + k];
+    pos += sizeLen;
+    out.push({ id, size, start: pos, end: pos + size });
+    pos += size;
+  }
+  return out;
+}
+
+test("vint uses the shortest length and skips the reserved all-ones value", () => {
+  expect(vint(5)).toEqual([0x85]);
+  expect(vint(126)).toEqual([0xfe]);
+  expect(vint(127)).toEqual([0x40, 0x7f]);
+  expect(vint(300)).toEqual([0x41, 0x2c]);
+});
+
+test("writes header, track and clusters that split on keyframes", () => {
+  const muxer = createWebmMuxer({ width: 64, height: 48, codec: "V_VP9", frameDurationUs: 40000 });
+  muxer.addFrame(Uint8Array.of(1, 2, 3), 0, true);
+  muxer.addFrame(Uint8Array.of(4), 40000, false);
+  muxer.addFrame(Uint8Array.of(5, 6), 80000, true);
+  const bytes = muxer.finish();
+
+  const [ebml, segment] = children(bytes);
+  expect(ebml.id).toBe(0x1a45dfa3);
+  expect(segment.id).toBe(0x18538067);
+  expect(segment.end).toBe(bytes.length);
+
+  const parts = children(bytes, segment.start, segment.end);
+  expect(parts.map((p) => p.id)).toEqual([0x1549a966, 0x1654ae6b, 0x1f43b675, 0x1f43b675]);
+
+  const info = children(bytes, parts[0].start, parts[0].end);
+  const duration = info.find((e) => e.id === 0x4489);
+  expect(new DataView(bytes.buffer, duration.start, 8).getFloat64(0)).toBe(120);
+
+  const entry = children(bytes, parts[1].start, parts[1].end)[0];
+  const codec = children(bytes, entry.start, entry.end).find((e) => e.id === 0x86);
+  expect(new TextDecoder().decode(bytes.subarray(codec.start, codec.end))).toBe("V_VP9");
+
+  const first = children(bytes, parts[2].start, parts[2].end);
+  expect(first.map((e) => e.id)).toEqual([0xe7, 0xa3, 0xa3]);
+  // second block: track 1, +40 ms from the cluster, not a keyframe, then the payload
+  expect(Array.from(bytes.subarray(first[2].start, first[2].end))).toEqual([0x81, 0, 40, 0, 4]);
+  const second = children(bytes, parts[3].start, parts[3].end);
+  expect(bytes[second[0].start]).toBe(80); // cluster timecode in ms
+  expect(bytes[second[1].start + 3]).toBe(0x80);
+});
@@ -0,0 +1,281 @@
+// zones.js — counting lines and polygon zones over tracked objects: per-class in/out counts,
+// occupancy and dwell times, plus JSON save/load and the overlay drawing
+
+// Zone points are normalized to the frame (0..1) so one set works for any source size.
+//   { id, type: "line" | "polygon", name, points: [[x, y], ...], anchor?: "bottom" | "center" }
+// Tracks are counted at their anchor point: bottom-centre of the box (feet, wheels) by default.
+
+const ZONES_FILE_VERSION = 1;
+
+function cross(ax, ay, bx, by) {
+  return ax * by - ay * bx;
+}
+
+/** Side of the directed line a→b that p is on: >0 right-hand side (y grows downwards). */
+function side(a, b, p) {
+  return cross(b[0] - a[0], b[1] - a[1], p[0] - a[0], p[1] - a[1]);
+}
+
+/** Do segments p1–p2 and q1–q2 intersect (touching counts)? */
+export function segmentsIntersect(p1, p2, q1, q2) {
+  const d1 = side(q1, q2, p1), d2 = side(q1, q2, p2);
+  const d3 = side(p1, p2, q1), d4 = side(p1, p2, q2);
+  return d1 * d2 <= 0 && d3 * d4 <= 0 && !(d1 === 0 && d2 === 0);
+}
+
+/** Ray-casting point-in-polygon test. */
+export function pointInPolygon([x, y], points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i], [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function anchorPoint(box, anchor, width, height) {
+  const x = (box.x1 + box.x2) / 2 / width;
+  const y = (anchor === "center" ? (box.y1 + box.y2) / 2 : box.y2) / height;
+  return [x, y];
+}
+
+const bump = (counts, key) => {
+  counts[key] = (counts[key] || 0) + 1;
+};
+
+/**
+ * Create a counter for a set of zones. Feed it the tracker's visible tracks every frame.
+ * Lines count a crossing when a track's anchor moves across the segment: "in" when it ends up
+ * on the right-hand side walking from the first point to the second, "out" the other way.
+ * Polygons count entries ("in") and exits ("out") and time how long tracks stay inside.
+ * Counts are keyed by class id (`"-"` for class-less tracks such as hands).
+ */
+export function createZoneCounter(initialZones = []) {
+  let zones = [];
+  let stats = {};
+  const last = new Map();   // track id → previous anchor per anchor type
+  const inside = new Map(); // `${zoneId}:${trackId}` → entered-at time (ms)
+
+  function emptyStats() {
+    return { in: {}, out: {}, occupancy: 0, visits: 0, dwellTotalMs: 0, current: [] };
+  }
+
+  function leave(zone, key, cls, time, counted) {
+    const enteredAt = inside.get(key);
+    inside.delete(key);
+    const s = stats[zone.id];
+    s.visits++;
+    s.dwellTotalMs += Math.max(0, time - enteredAt);
+    if (counted) bump(s.out, cls);
+  }
+
+  const counter = {
+    /** Replace the zone set; counts for zones that still exist are kept. */
+    setZones(next) {
+      zones = next;
+      const kept = {};
+      for (const z of zones) kept[z.id] = stats[z.id] || emptyStats();
+      stats = kept;
+      for (const key of [...inside.keys()]) {
+        if (!kept[key.split(":")[0]]) inside.delete(key);
+      }
+    },
+
+    /**
+     * Advance one frame.
+     * @param {Array<{id: number, cls?: number, box: {x1:number,y1:number,x2:number,y2:number}}>} tracks visible tracks
+     * @param {{width: number, height: number, time: number}} frame source size and a timestamp in ms
+     */
+    update(tracks, { width, height, time }) {
+      for (const t of tracks) {
+        const cls = t.cls ?? "-";
+        const prev = last.get(t.id) || {};
+        const now = {};
+        for (const zone of zones) {
+          const anchor = zone.anchor || "bottom";
+          const p = (now[anchor] = now[anchor] || anchorPoint(t.box, anchor, width, height));
+          const s = stats[zone.id];
+          if (zone.type === "line") {
+            const q = prev[anchor];
+            const [a, b] = zone.points;
+            const after = Math.sign(side(a, b, p));
+            // Landing exactly on the line isn't a crossing yet; the next frame decides
+            if (q && after !== 0 && Math.sign(side(a, b, q)) !== after && segmentsIntersect(q, p, a, b)) {
+              bump(after > 0 ? s.in : s.out, cls);
+            }
+          } else {
+            const key = `${zone.id}:${t.id}`;
+            const isInside = pointInPolygon(p, zone.points);
+            if (isInside && !inside.has(key)) {
+              inside.set(key, time);
+              bump(s.in, cls);
+            } else if (!isInside && inside.has(key)) {
+              leave(zone, key, cls, time, true);
+            }
+          }
+        }
+        last.set(t.id, { ...prev, ...now });
+      }
+
+      for (const zone of zones) {
+        if (zone.type !== "polygon") continue;
+        const current = [];
+        for (const [key, enteredAt] of inside) {
+          const [zoneId, trackId] = key.split(":");
+          if (zoneId === zone.id) current.push({ trackId: Number(trackId), dwellMs: Math.max(0, time - enteredAt) });
+        }
+        stats[zone.id].occupancy = current.length;
+        stats[zone.id].current = current;
+      }
+    },
+
+    /** A track ended (tracker "end" event): close its open visits without counting an exit. */
+    forget(trackId, time) {
+      last.delete(trackId);
+      for (const zone of zones) {
+        const key = `${zone.id}:${trackId}`;
+        if (inside.has(key)) leave(zone, key, null, time, false);
+      }
+      for (const zone of zones) {
+        const s = stats[zone.id];
+        s.current = s.current.filter((c) => c.trackId !== trackId);
+        s.occupancy = s.current.length;
+      }
+    },
+
+    /** Zero all counts (zones stay). */
+    reset() {
+      last.clear();
+      inside.clear();
+      for (const z of zones) stats[z.id] = emptyStats();
+    },
+
+    /** Per-zone counts: { [zoneId]: { in, out, occupancy, visits, dwellTotalMs, current } }. */
+    stats() {
+      return stats;
+    },
+  };
+  counter.setZones(initialZones);
+  return counter;
+}
+
+/** Average completed dwell in ms (0 before anyone has left). */
+export function averageDwellMs(zoneStats) {
+  return zoneStats.visits ? zoneStats.dwellTotalMs / zoneStats.visits : 0;
+}
+
+/** Zone definitions as a downloadable JSON document. */
+export function serializeZones(zones) {
+  return JSON.stringify({ version: ZONES_FILE_VERSION, zones }, null, 2);
+}
+
+/**
+ * Parse and validate a zones JSON file (a `{ version, zones }` document or a bare array).
+ * @returns {Array} zones
+ */
+export function parseZones(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.zones;
+  if (!Array.isArray(list)) throw new Error("Expected a `zones` array");
+  return list.map((z, i) => {
+    const type = z.type === "line" ? "line" : z.type === "polygon" ? "polygon" : null;
+    if (!type) throw new Error(`Zone ${i + 1}: type must be "line" or "polygon"`);
+    const points = Array.isArray(z.points) ? z.points.map((p) => [Number(p[0]), Number(p[1])]) : [];
+    if (points.some(([x, y]) => !Number.isFinite(x) || !Number.isFinite(y) || x < 0 || x > 1 || y < 0 || y > 1)) {
+      throw new Error(`Zone ${i + 1}: points must be normalized [x, y] pairs in 0..1`);
+    }
+    if (type === "line" ? points.length !== 2 : points.length < 3) {
+      throw new Error(`Zone ${i + 1}: a ${type} needs ${type === "line" ? "2" : "at least 3"} points`);
+    }
+    return {
+      id: String(z.id ?? `zone-${i + 1}`).replace(/:/g, "_"),
+      type,
+      name: String(z.name ?? `${type === "line" ? "Line" : "Zone"} ${i + 1}`),
+      points,
+      anchor: z.anchor === "center" ? "center" : "bottom",
+    };
+  });
+}
+
+/** "3 car, 1 person" from per-class counts. */
+export function formatCounts(counts, labels) {
+  const parts = Object.entries(counts).map(([cls, n]) => `${n} ${cls === "-" ? "" : labels?.[cls] || `cls ${cls}`}`.trim());
+  return parts.length ? parts.join(", ") : "0";
+}
+
+const total = (counts) => Object.values(counts).reduce((a, b) => a + b, 0);
+
+/**
+ * Draw zones, their running totals and an unfinished draft onto a (transparent) canvas.
+ * @param {HTMLCanvasElement} canvas sized to the source frame
+ * @param {Array} zones
+ * @param {object} stats from counter.stats()
+ * @param {{draft?: {type: string, points: number[][]}}} [opts]
+ */
+export function drawZones(canvas, zones, stats, opts = {}) {
+  const ctx = canvas.getContext("2d");
+  const { width: W, height: H } = canvas;
+  ctx.clearRect(0, 0, W, H);
+  const unit = Math.max(2, Math.min(W, H) / 300);
+  ctx.lineWidth = unit;
+  ctx.font = `${Math.max(12, Math.min(W, H) / 40)}px sans-serif`;
+  const px = ([x, y]) => [x * W, y * H];
+
+  function tag(text, [x, y]) {
+    const textW = ctx.measureText(text).width + 8;
+    const textH = parseInt(ctx.font, 10) + 6;
+    ctx.fillStyle = "rgba(0,0,0,0.6)";
+    ctx.fillRect(x, y - textH, textW, textH);
+    ctx.fillStyle = "#FFFFFF";
+    ctx.fillText(text, x + 4, y - 6);
+  }
+
+  for (const zone of zones) {
+    const s = stats[zone.id];
+    const pts = zone.points.map(px);
+    if (zone.type === "line") {
+      const [[ax, ay], [bx, by]] = pts;
+      ctx.strokeStyle = "#FFD400";
+      ctx.beginPath();
+      ctx.moveTo(ax, ay);
+      ctx.lineTo(bx, by);
+      ctx.stroke();
+      // Arrow from the midpoint towards the "in" (right-hand) side
+      const len = Math.hypot(bx - ax, by - ay) || 1;
+      const nx = -(by - ay) / len, ny = (bx - ax) / len;
+      const [mx, my] = [(ax + bx) / 2, (ay + by) / 2];
+      ctx.beginPath();
+      ctx.moveTo(mx, my);
+      ctx.lineTo(mx + nx * unit * 10, my + ny * unit * 10);
+      ctx.stroke();
+      tag(`${zone.name}: in ${s ? total(s.in) : 0} · out ${s ? total(s.out) : 0}`, [Math.min(ax, bx), Math.min(ay, by)]);
+    } else {
+      ctx.strokeStyle = "#00E5FF";
+      ctx.fillStyle = "rgba(0,229,255,0.12)";
+      ctx.beginPath();
+      pts.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+      const top = pts.reduce((a, b) => (b[1] < a[1] ? b : a));
+      tag(`${zone.name}: ${s ? s.occupancy : 0} inside · in ${s ? total(s.in) : 0} · out ${s ? total(s.out) : 0}`, top);
+    }
+  }
+
+  const draft = opts.draft;
+  if (draft?.points.length) {
+    const pts = draft.points.map(px);
+    ctx.strokeStyle = "#FF00D4";
+    ctx.setLineDash([unit * 3, unit * 2]);
+    ctx.beginPath();
+    pts.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = "#FF00D4";
+    for (const [x, y] of pts) {
+      ctx.beginPath();
+      ctx.arc(x, y, unit * 2, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
@@ -0,0 +1,64 @@
+import { createZoneCounter, parseZones, serializeZones, segmentsIntersect, pointInPolygon, averageDwellMs, formatCounts } from "./zones";
+
+const W = 100, H = 100;
+// A track whose box bottom-centre sits at (x, y) in source pixels
+const at = (id, x, y, cls = 0) => ({ id, cls, box: { x1: x - 5, y1: y - 10, x2: x + 5, y2: y } });
+
+test("geometry helpers", () => {
+  expect(segmentsIntersect([0, 0], [1, 1], [0, 1], [1, 0])).toBe(true);
+  expect(segmentsIntersect([0, 0], [1, 0], [0, 1], [1, 1])).toBe(false);
+  const square = [[0, 0], [1, 0], [1, 1], [0, 1]];
+  expect(pointInPolygon([0.5, 0.5], square)).toBe(true);
+  expect(pointInPolygon([1.5, 0.5], square)).toBe(false);
+});
+
+test("counts line crossings per class and direction", () => {
+  // Horizontal line left→right: its right-hand side (the "in" side) is below it
+  const counter = createZoneCounter([{ id: "l", type: "line", name: "Line", points: [[0.1, 0.5], [0.9, 0.5]] }]);
+  const frame = (tracks, time) => counter.update(tracks, { width: W, height: H, time });
+  frame([at(1, 50, 40), at(2, 30, 60, 2)], 0);
+  frame([at(1, 50, 45), at(2, 30, 55, 2)], 40);
+  frame([at(1, 50, 60), at(2, 30, 40, 2)], 80);
+  // outside the segment's span: no crossing
+  frame([at(3, 95, 40)], 120);
+  frame([at(3, 95, 60)], 160);
+  const s = counter.stats().l;
+  expect(s.in).toEqual({ 0: 1 });
+  expect(s.out).toEqual({ 2: 1 });
+  expect(formatCounts(s.in, ["person", "bicycle", "car"])).toBe("1 person");
+});
+
+test("tracks polygon entries, exits, occupancy and dwell", () => {
+  const counter = createZoneCounter([{ id: "z", type: "polygon", name: "Zone", points: [[0.2, 0.2], [0.8, 0.2], [0.8, 0.8], [0.2, 0.8]] }]);
+  const frame = (tracks, time) => counter.update(tracks, { width: W, height: H, time });
+  frame([at(1, 10, 50), at(2, 50, 50)], 0);
+  expect(counter.stats().z.occupancy).toBe(1);
+  frame([at(1, 50, 50), at(2, 50, 50)], 1000);
+  expect(counter.stats().z.occupancy).toBe(2);
+  frame([at(1, 50, 50), at(2, 90, 50)], 3000);
+  const s = counter.stats().z;
+  expect(s.in).toEqual({ 0: 2 });
+  expect(s.out).toEqual({ 0: 1 });
+  expect(averageDwellMs(s)).toBe(3000);
+
+  // A track that ends inside closes its visit without an exit
+  counter.forget(1, 4000);
+  expect(counter.stats().z.occupancy).toBe(0);
+  expect(counter.stats().z.out).toEqual({ 0: 1 });
+  expect(averageDwellMs(counter.stats().z)).toBe(3000);
+
+  counter.reset();
+  expect(counter.stats().z.in).toEqual({});
+});
+
+test("zones survive a JSON round trip and bad files are rejected", () => {
+  const zones = [
+    { id: "a", type: "line", name: "Door", points: [[0, 0.5], [1, 0.5]], anchor: "bottom" },
+    { id: "b", type: "polygon", name: "Till", points: [[0, 0], [1, 0], [0.5, 1]], anchor: "center" },
+  ];
+  expect(parseZones(serializeZones(zones))).toEqual(zones);
+  expect(() => parseZones("{}")).toThrow(/zones/);
+  expect(() => parseZones(JSON.stringify([{ type: "line", points: [[0, 0]] }]))).toThrow(/2/);
+  expect(() => parseZones(JSON.stringify([{ type: "polygon", points: [[0, 0], [2, 0], [0, 1]] }]))).toThrow(/0\.\.1/);
+  expect(() => parseZones(JSON.stringify([{ type: "circle", points: [] }]))).toThrow(/type/);
+});